@@ -3,14 +3,44 @@ const express = require('express');
 const cors = require('cors');
 const Replicate = require('replicate');
 const { createClient } = require('@supabase/supabase-js');
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const { WebSocket, WebSocketServer } = require('ws');
+const sharp = require('sharp');
+const busboy = require('busboy');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Gövde limitleri: JSON rotaları küçük limitle çalışır. Fotoğraflar multipart/form-data ile gelir;
+// eski uygulama sürümleri base64'ü JSON içinde gönderdiği için yalnızca bu rotalarda büyük limit var.
+const JSON_BODY_LIMIT = '1mb';
+const LEGACY_BASE64_BODY_LIMITS = {
+  '/api/save-character-images': '30mb',
+  '/api/save-messages': '50mb',
+  '/api/generate-photo': '10mb'
+};
+
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: '50mb' })); // Fotoğraf base64 için daha büyük limit
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+for (const [route, limit] of Object.entries(LEGACY_BASE64_BODY_LIMITS)) {
+  // Gövdeyi ayrıştıran ilk parser kazanır; aşağıdaki genel parser bu istekleri atlar
+  app.use(route, express.json({ limit }));
+}
+app.use(express.json({
+  limit: JSON_BODY_LIMIT,
+  verify: (req, res, buf) => {
+    // Webhook imzaları ham body üzerinden doğrulanır
+    if (req.originalUrl.startsWith('/api/webhooks/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
+app.use(express.urlencoded({ extended: true, limit: JSON_BODY_LIMIT }));
 
 // Replicate client
 const replicate = new Replicate({
@@ -19,7 +49,8 @@ const replicate = new Replicate({
 
 // Supabase client
 const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_ANON_KEY;
+// Kullanıcı kimliği artık JWT'den doğrulandığı için sunucu service role key ile çalışabilir (RLS bypass)
+const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
 
 if (!supabaseUrl || !supabaseKey) {
   console.error('❌ SUPABASE_URL and SUPABASE_ANON_KEY must be set in environment variables');
@@ -27,6 +58,11 @@ if (!supabaseUrl || !supabaseKey) {
   console.error('📝 SUPABASE_ANON_KEY: anon public key from Supabase Dashboard > Settings > API');
 }
 
+// Sunucuya ait tablolarda RLS açık ve apply_coin_transaction yalnızca service_role'e açık: anon key ile bunlar çalışmaz
+if (supabaseUrl && !process.env.SUPABASE_SERVICE_ROLE_KEY && process.env.SUPABASE_ANON_KEY) {
+  console.warn('⚠️ SUPABASE_SERVICE_ROLE_KEY is not set: coins, pricing, jobs and gallery need the service role key');
+}
+
 const supabase = supabaseUrl && supabaseKey ? createClient(supabaseUrl, supabaseKey) : null;
 
 // Supabase bağlantısını test et
@@ -40,17 +76,229 @@ if (supabase) {
 // Replicate API timeout ayarı
 const REPLICATE_TIMEOUT = 60000; // 60 saniye
 
+// ========== AUTH (SUPABASE JWT) ==========
+
+// HS256 projeleri için: Supabase Dashboard > Settings > API > JWT Secret
+const SUPABASE_JWT_SECRET = process.env.SUPABASE_JWT_SECRET;
+// Asimetrik anahtarlar için: yerel JWKS (JSON) veya JWKS URL'i
+const SUPABASE_JWT_JWKS = process.env.SUPABASE_JWT_JWKS;
+const SUPABASE_JWKS_URL = process.env.SUPABASE_JWKS_URL ||
+  (supabaseUrl ? `${supabaseUrl}/auth/v1/.well-known/jwks.json` : null);
+const SUPABASE_JWT_AUDIENCE = process.env.SUPABASE_JWT_AUDIENCE || 'authenticated';
+const JWKS_CACHE_TTL_MS = 10 * 60 * 1000;
+
+// Token gerektirmeyen /api yolları (kendi imza doğrulaması olan webhook'lar vb.)
+const PUBLIC_API_PATHS = ['/webhooks/'];
+
+// /api/admin/* erişimi: JWT app_metadata.role === 'admin' veya bu listedeki kullanıcılar
+const ADMIN_USER_IDS = (process.env.ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+
+let jwksCache = { keys: [], fetchedAt: 0 };
+
+/**
+ * Whether a JWK can verify tokens of the given algorithm (key type, curve and, when set, alg/use)
+ * @param {object} key - JWK
+ * @param {'RS256'|'ES256'} alg - Token header alg
+ * @returns {boolean}
+ */
+function jwkFitsAlg(key, alg) {
+  if ((key.alg && key.alg !== alg) || (key.use && key.use !== 'sig')) {
+    return false;
+  }
+  return alg === 'RS256'
+    ? key.kty === 'RSA'
+    : key.kty === 'EC' && key.crv === 'P-256';
+}
+
+/**
+ * Resolve the JWK for a token from SUPABASE_JWT_JWKS or the (cached) JWKS endpoint.
+ * Tokens without `kid` match the first key that fits their algorithm.
+ * @param {string} [kid] - Key ID from the JWT header
+ * @param {'RS256'|'ES256'} alg - Algorithm from the JWT header
+ * @returns {Promise<object|null>}
+ */
+async function getSupabaseJwk(kid, alg) {
+  const findKey = (keys) => keys.find(key => (!kid || key.kid === kid) && jwkFitsAlg(key, alg));
+
+  if (SUPABASE_JWT_JWKS) {
+    const { keys = [] } = JSON.parse(SUPABASE_JWT_JWKS);
+    return findKey(keys) || null;
+  }
+
+  if (!SUPABASE_JWKS_URL) {
+    return null;
+  }
+
+  const isStale = Date.now() - jwksCache.fetchedAt > JWKS_CACHE_TTL_MS;
+  let jwk = findKey(jwksCache.keys);
+
+  // Bilinmeyen kid: anahtar rotasyonu olabilir, en fazla dakikada bir yeniden çek
+  if (!jwk && (isStale || Date.now() - jwksCache.fetchedAt > 60 * 1000)) {
+    const response = await fetch(SUPABASE_JWKS_URL);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch JWKS: ${response.status}`);
+    }
+    const { keys = [] } = await response.json();
+    jwksCache = { keys, fetchedAt: Date.now() };
+    jwk = findKey(keys);
+  }
+
+  return jwk || null;
+}
+
+/**
+ * Verify a Supabase access token (HS256 with SUPABASE_JWT_SECRET, RS256/ES256 with JWKS)
+ * @param {string} token - Raw JWT
+ * @returns {Promise<object>} - Verified payload (throws on invalid token)
+ */
+async function verifySupabaseJwt(token) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new Error('Malformed token');
+  }
+
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Malformed token');
+  }
+
+  const signingInput = Buffer.from(`${parts[0]}.${parts[1]}`);
+  const signature = Buffer.from(parts[2], 'base64url');
+  let valid = false;
+
+  if (header.alg === 'HS256') {
+    if (!SUPABASE_JWT_SECRET) {
+      throw new Error('HS256 token but SUPABASE_JWT_SECRET is not configured');
+    }
+    const expected = crypto.createHmac('sha256', SUPABASE_JWT_SECRET).update(signingInput).digest();
+    valid = expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  } else if (header.alg === 'RS256' || header.alg === 'ES256') {
+    const jwk = await getSupabaseJwk(header.kid, header.alg);
+    if (!jwk) {
+      throw new Error(`No signing key found for kid ${header.kid}`);
+    }
+    const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    valid = crypto.verify('sha256', signingInput, { key, dsaEncoding: 'ieee-p1363' }, signature);
+  } else {
+    throw new Error(`Unsupported token algorithm: ${header.alg}`);
+  }
+
+  if (!valid) {
+    throw new Error('Invalid token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp !== 'number' || payload.exp <= now) {
+    throw new Error('Token expired');
+  }
+  if (typeof payload.nbf === 'number' && payload.nbf > now) {
+    throw new Error('Token not yet valid');
+  }
+
+  const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if (!audiences.includes(SUPABASE_JWT_AUDIENCE)) {
+    throw new Error('Invalid token audience');
+  }
+
+  if (!payload.sub) {
+    throw new Error('Token has no subject');
+  }
+
+  return payload;
+}
+
+/**
+ * Express middleware: require a Supabase access token and derive `req.userId` from it.
+ * A legacy `userId` in the body or query is ignored when it matches and rejected (403) otherwise.
+ */
+async function requireAuth(req, res, next) {
+  if (PUBLIC_API_PATHS.some(prefix => req.path.startsWith(prefix))) {
+    return next();
+  }
+
+  const authHeader = req.headers.authorization || '';
+  const match = authHeader.match(/^Bearer\s+(.+)$/i);
+
+  if (!match) {
+    return res.status(401).json({ error: 'Missing access token' });
+  }
+
+  let payload;
+  try {
+    payload = await verifySupabaseJwt(match[1].trim());
+  } catch (error) {
+    console.warn('⚠️ Rejected access token:', error.message);
+    return res.status(401).json({ error: 'Invalid access token', details: error.message });
+  }
+
+  const claimedUserId = req.body?.userId || req.query?.userId;
+  if (claimedUserId && claimedUserId !== payload.sub) {
+    console.warn(`⚠️ userId mismatch - token: ${payload.sub}, request: ${claimedUserId}`);
+    return res.status(403).json({ error: 'userId does not match the authenticated user' });
+  }
+
+  req.userId = payload.sub;
+  req.auth = payload;
+  next();
+}
+
+// Tüm /api route'ları kimlik doğrulaması gerektirir
+app.use('/api', requireAuth);
+
+/**
+ * Express middleware: only admins (see ADMIN_USER_IDS) may continue
+ */
+function requireAdmin(req, res, next) {
+  if (req.auth?.app_metadata?.role === 'admin' || ADMIN_USER_IDS.includes(req.userId)) {
+    return next();
+  }
+
+  console.warn(`⚠️ Non-admin user ${req.userId} tried to access ${req.path}`);
+  return res.status(403).json({ error: 'Admin access required' });
+}
+
+app.use('/api/admin', requireAdmin);
+
 // ========== SUPABASE STORAGE HELPER FUNCTIONS ==========
 
+// Private bucket modu: veritabanında public URL yerine nesne yolu saklanır,
+// istemciye kısa ömürlü imzalı URL'ler döner (bucket Supabase'de private yapılmalı)
+const STORAGE_PRIVATE_BUCKET = process.env.STORAGE_PRIVATE_BUCKET === 'true';
+const SIGNED_URL_TTL_SECONDS = parseInt(process.env.SIGNED_URL_TTL_SECONDS, 10) || 60 * 60;
+
 /**
  * Generic helper to upload buffer to Supabase Storage
  * @param {Buffer} buffer - Image buffer
  * @param {string} contentType - MIME type (e.g., 'image/jpeg', 'image/png')
  * @param {string} filename - Path in bucket (e.g., "avatars/character_id_profile.jpg")
- * @returns {Promise<string|null>} - Public URL or null on error
+ * @returns {Promise<string|null>} - Stored reference (see toStoredImageRef) or null on error
+ */
+// Devam eden/başarılı bucket kontrolü: aynı anda yüklenen varyantlar tek listeleme paylaşır,
+// bucket bulunduktan sonra tekrar listelenmez (bulunamazsa sonraki yüklemede yeniden denenir)
+let imagesBucketCheck = null;
+
+/**
+ * Whether the "images" bucket exists (cached once found)
+ * @returns {Promise<boolean>}
  */
+function checkBucketExists() {
+  if (!imagesBucketCheck) {
+    imagesBucketCheck = lookupImagesBucket().then(exists => {
+      if (!exists) {
+        imagesBucketCheck = null;
+      }
+      return exists;
+    });
+  }
+  return imagesBucketCheck;
+}
+
 // Bucket'ı kontrol et (oluşturma denemesi yapmadan)
-async function checkBucketExists() {
+async function lookupImagesBucket() {
   if (!supabase) {
     console.error('❌ Supabase not configured');
     return false;
@@ -76,7 +324,7 @@ async function checkBucketExists() {
     if (!imagesBucket) {
       console.error('❌ "images" bucket not found in bucket list');
       console.error('❌ Please create the bucket manually in Supabase Dashboard > Storage');
-      console.error('❌ Bucket name: "images", Public: true');
+      console.error(`❌ Bucket name: "images", Public: ${!STORAGE_PRIVATE_BUCKET}`);
       return false;
     }
 
@@ -118,15 +366,9 @@ async function uploadToSupabase(buffer, contentType, filename) {
       return null;
     }
 
-    // Get public URL
-    const { data: urlData } = supabase.storage
-      .from('images')
-      .getPublicUrl(filename);
-
     console.log(`✅ Uploaded image to Supabase Storage: ${filename}`);
-    console.log(`📸 Public URL: ${urlData.publicUrl}`);
-    
-    return urlData.publicUrl;
+
+    return toStoredImageRef(filename);
   } catch (error) {
     console.error('❌ Error uploading to Supabase Storage:', error);
     return null;
@@ -134,35 +376,36 @@ async function uploadToSupabase(buffer, contentType, filename) {
 }
 
 /**
- * Upload Base64 image to Supabase Storage
+ * Normalize a Base64 image and upload it with its variants to Supabase Storage
  * @param {string} base64Data - Base64 string (with or without data URI prefix)
- * @param {string} filePath - Path in bucket (e.g., "avatars/character_id_profile.jpg")
- * @returns {Promise<string|null>} - Public URL or null on error
+ * @param {string} filePath - Path in bucket (e.g., "avatars/<userId>/character_id_profile.jpg")
+ * @returns {Promise<string|null>} - Stored reference of the full image (see toStoredImageRef) or null on error
  */
 async function uploadBase64ToSupabase(base64Data, filePath) {
-  try {
-    // Remove data URI prefix if present
-    let base64String = base64Data;
-    if (base64String.includes(',')) {
-      base64String = base64String.split(',')[1];
-    }
-
-    // Convert base64 to Buffer
-    const buffer = Buffer.from(base64String, 'base64');
+  return uploadImageToSupabase(decodeBase64Image(base64Data), filePath);
+}
 
-    // Use generic upload function
-    return await uploadToSupabase(buffer, 'image/jpeg', filePath);
+/**
+ * Normalize an uploaded image (raw bytes, e.g. a multipart file part) and upload it with its variants to Supabase Storage
+ * @param {Buffer} buffer - Raw image bytes
+ * @param {string} filePath - Path in bucket (e.g., "chat_images/<userId>/message_id.jpg")
+ * @returns {Promise<string|null>} - Stored reference of the full image (see toStoredImageRef) or null on error
+ */
+async function uploadImageToSupabase(buffer, filePath) {
+  try {
+    const processed = await processImage(buffer);
+    return await uploadProcessedImage(processed, filePath);
   } catch (error) {
-    console.error('❌ Error processing base64 image:', error);
+    console.error('❌ Error processing uploaded image:', error.message);
     return null;
   }
 }
 
 /**
- * Download image from URL and upload to Supabase Storage
- * @param {string} imageUrl - URL of the image to download
- * @param {string} filename - Path in bucket (e.g., "generated/uuid.jpg")
- * @returns {Promise<string|null>} - Public URL or null on error
+ * Download image from URL, normalize it and upload it with its variants to Supabase Storage
+ * @param {string} imageUrl - URL of the image to download (see fetchRemoteImage for what is allowed)
+ * @param {string} filename - Path in bucket (e.g., "generated/<userId>/uuid.jpg")
+ * @returns {Promise<string|null>} - Stored reference of the full image (see toStoredImageRef) or null on error
  */
 async function uploadUrlToSupabase(imageUrl, filename) {
   if (!supabase) {
@@ -171,1446 +414,6264 @@ async function uploadUrlToSupabase(imageUrl, filename) {
   }
 
   try {
-    // Download image from URL using https/http
-    const https = require('https');
-    const http = require('http');
-    
-    const parsedUrl = new URL(imageUrl);
-    const client = parsedUrl.protocol === 'https:' ? https : http;
-
-    const buffer = await new Promise((resolve, reject) => {
-      const request = client.get(imageUrl, (response) => {
-        if (response.statusCode !== 200) {
-          reject(new Error(`Failed to download image: ${response.statusCode}`));
-          return;
-        }
-
-        const chunks = [];
-        response.on('data', (chunk) => chunks.push(chunk));
-        response.on('end', () => resolve(Buffer.concat(chunks)));
-        response.on('error', reject);
-      });
+    const { buffer } = await fetchRemoteImage(imageUrl);
 
-      request.on('error', reject);
-      request.setTimeout(30000, () => {
-        request.destroy();
-        reject(new Error('Download timeout'));
-      });
-    });
-
-    // Detect content type from response headers or filename
-    let contentType = 'image/jpeg'; // Default
-    if (filename.endsWith('.png')) {
-      contentType = 'image/png';
-    } else if (filename.endsWith('.jpg') || filename.endsWith('.jpeg')) {
-      contentType = 'image/jpeg';
-    }
-
-    // Use generic upload function
-    return await uploadToSupabase(buffer, contentType, filename);
+    // Format uzantıdan ya da Content-Type'tan değil içerikten tespit edilir
+    const processed = await processImage(buffer);
+    return await uploadProcessedImage(processed, filename);
   } catch (error) {
     console.error('❌ Error uploading URL to Supabase Storage:', error);
     return null;
   }
 }
 
-// Karakter görselleri oluştur
-app.post('/api/create-images', async (req, res) => {
-  try {
-    const { prompt, characterId } = req.body;
+/**
+ * Extract the path in the images bucket from a Storage URL (public or signed) or a stored object path
+ * @param {string} url - e.g. "https://x.supabase.co/storage/v1/object/public/images/avatars/1_profile.jpg" or "avatars/1_profile.jpg"
+ * @returns {string|null} - e.g. "avatars/1_profile.jpg", or null for non-Storage URLs
+ */
+function storagePathFromUrl(url) {
+  if (!url || typeof url !== 'string') {
+    return null;
+  }
 
-    if (!prompt) {
-      return res.status(400).json({ error: 'Prompt is required' });
-    }
+  // Private modda saklanan değer doğrudan yol (şema yok: http:, data:, file: değil)
+  if (!/^[a-z][a-z0-9+.-]*:/i.test(url) && !url.startsWith('/')) {
+    return url;
+  }
 
-    // Profil fotoğrafı için prompt (portrait)
-    const profilePrompt = `${prompt}, portrait, headshot, close-up, professional photography, high quality`;
-    
-    // Boydan fotoğraf için prompt (full body)
-    const fullBodyPrompt = `${prompt}, full body, standing, full length shot, professional photography, high quality`;
+  const match = url.match(/\/storage\/v1\/object\/(?:public|sign)\/images\/([^?#]+)/);
+  return match ? decodeURIComponent(match[1]) : null;
+}
 
-    // Replicate API ile görselleri oluştur
-    const [profileOutput, fullBodyOutput] = await Promise.all([
-      // Profil fotoğrafı
-      replicate.run(
-        "black-forest-labs/flux-1.1-pro",
-        {
-          input: {
-            prompt: profilePrompt,
-            aspect_ratio: "1:1",
-            output_format: "png",
-            output_quality: 90
-          }
-        }
-      ),
-      // Boydan fotoğraf
-      replicate.run(
-        "black-forest-labs/flux-1.1-pro",
-        {
-          input: {
-            prompt: fullBodyPrompt,
-            aspect_ratio: "9:16",
-            output_format: "png",
-            output_quality: 90
-          }
-        }
-      )
-    ]);
+/**
+ * One path segment built from a client- or token-supplied id (characters outside [A-Za-z0-9_.-] become "_")
+ * @param {string} value
+ * @returns {string}
+ */
+function storagePathSegment(value) {
+  return String(value).replace(/[^\w.-]/g, '_');
+}
 
-    // Replicate output genellikle array döner, ilk elemanı al
-    const profileImageURL = Array.isArray(profileOutput) ? profileOutput[0] : profileOutput;
-    const fullBodyImageURL = Array.isArray(fullBodyOutput) ? fullBodyOutput[0] : fullBodyOutput;
+/**
+ * Path of a new object in the user's own folder
+ * @param {string} folder - "avatars", "chat_images", "generated" or "job_inputs"
+ * @param {string} userId
+ * @param {string} name - File name (e.g. "character_id_profile.jpg")
+ * @returns {string} - e.g. "avatars/<userId>/character_id_profile.jpg"
+ */
+function userStoragePath(folder, userId, name) {
+  return `${folder}/${storagePathSegment(userId)}/${storagePathSegment(name)}`;
+}
 
-    res.json({
-      profileImageURL,
-      fullBodyImageURL,
-      characterId
-    });
-  } catch (error) {
-    console.error('Error creating images:', error);
-    res.status(500).json({ error: 'Failed to create images', details: error.message });
+/**
+ * Whether a path lies in one of the user's own folders.
+ * Objects uploaded before per-user folders existed never match; the reconcile job removes them once unreferenced.
+ * @param {string|null} filePath
+ * @param {string} userId
+ * @returns {boolean}
+ */
+function isUserStoragePath(filePath, userId) {
+  if (!filePath || filePath.split('/').some(segment => segment === '' || segment === '.' || segment === '..')) {
+    return false;
+  }
+  return STORAGE_MANAGED_PREFIXES.some(folder => filePath.startsWith(`${folder}/${storagePathSegment(userId)}/`));
+}
+
+/**
+ * Value to store in the database for an object of the images bucket:
+ * the object path in private bucket mode, the public URL otherwise
+ * @param {string} pathOrUrl - Object path or any Storage URL of it (public or signed)
+ * @returns {string} - Non-Storage URLs are returned unchanged
+ */
+function toStoredImageRef(pathOrUrl) {
+  const filePath = storagePathFromUrl(pathOrUrl);
+  if (!filePath) {
+    return pathOrUrl;
+  }
+  if (STORAGE_PRIVATE_BUCKET) {
+    return filePath;
+  }
+  return supabase.storage.from('images').getPublicUrl(filePath).data.publicUrl;
+}
+
+/**
+ * Whether an image URL (or path) sent back by a client may be stored on a row.
+ * Only references this server hands out are accepted: objects in the user's own folders,
+ * the value already stored on the row (e.g. a legacy path), and provider URLs returned when a Storage upload failed.
+ * Anything else could point at another user's object, which private bucket mode would then sign.
+ * @param {string} value - Non-empty URL or path from the client
+ * @param {string} userId
+ * @param {string|null} [existingValue] - Value currently stored on the row
+ * @returns {boolean}
+ */
+function isAcceptableClientImageRef(value, userId, existingValue = null) {
+  const filePath = storagePathFromUrl(value);
+  if (filePath) {
+    return isUserStoragePath(filePath, userId) || filePath === storagePathFromUrl(existingValue);
   }
-});
 
-// Chat endpoint
-app.post('/api/chat', async (req, res) => {
   try {
-    const { characterId, message, characterPrompt, characterName, messageHistory } = req.body;
+    const url = new URL(value);
+    return url.protocol === 'https:' && isAllowedRemoteHost(url.hostname);
+  } catch (error) {
+    return false;
+  }
+}
 
-    console.log('📥 Chat request received:', { characterId, characterName, message: message?.substring(0, 50) + '...', historyLength: messageHistory?.length || 0 });
+/**
+ * Storage paths referenced by a character's messages
+ * @param {string} userId
+ * @param {string} characterId
+ * @returns {Promise<Array<string>>}
+ */
+async function getMessageImagePaths(userId, characterId) {
+  const { data, error } = await supabase
+    .from('messages')
+    .select('image_url')
+    .eq('user_id', userId)
+    .eq('character_id', characterId)
+    .not('image_url', 'is', null);
+
+  if (error) {
+    throw new Error(`Failed to load message images: ${error.message}`);
+  }
 
-    if (!message || !characterPrompt) {
-      console.error('❌ Missing required fields');
-      return res.status(400).json({ error: 'Message and characterPrompt are required' });
-    }
+  return (data || []).map(row => storagePathFromUrl(row.image_url)).filter(Boolean);
+}
 
-    // System prompt'u direkt kullan - zaten içinde tüm bilgiler var
-    const systemPrompt = characterPrompt;
+/**
+ * Remove objects from the images bucket, together with their size variants (errors are logged, not thrown)
+ * @param {Array<string>} filePaths - Paths in bucket (e.g. ["generated/uuid.jpg"])
+ * @returns {Promise<boolean>} - true when the delete request succeeded
+ */
+async function removeFromSupabase(filePaths) {
+  if (!supabase || filePaths.length === 0) {
+    return !!supabase;
+  }
 
-    console.log('🤖 Calling Replicate API with openai/gpt-4o-mini...');
-    console.log('📝 System prompt:', systemPrompt.substring(0, 100) + '...');
-    console.log('📝 User message:', message);
-    console.log('📝 Message history length:', messageHistory?.length || 0);
-    
-    let response = '';
-    
-    try {
-      // Mesaj geçmişini hazırla
-      const messages = [];
-      
-      // System message ekle
-      messages.push({
-        role: 'system',
-        content: systemPrompt
-      });
-      
-      // Mesaj geçmişini ekle (eğer varsa)
-      if (messageHistory && Array.isArray(messageHistory)) {
-        messageHistory.forEach(msg => {
-          if (msg.role && msg.content) {
-            messages.push({
-              role: msg.role,
-              content: msg.content
-            });
-          }
-        });
-      }
-      
-      // Son kullanıcı mesajını ekle
-      messages.push({
-        role: 'user',
-        content: message
-      });
-      
-      console.log('📤 Total messages to send:', messages.length);
-      
-      // Replicate üzerinden OpenAI GPT-4o-mini kullan
-      const output = await replicate.run(
-        "openai/gpt-4o-mini",
-        {
-          input: {
-            messages: messages,
-            max_tokens: 500,
-            temperature: 0.7
-          }
-        }
-      );
+  const paths = [...new Set(filePaths.flatMap(filePath => imageOriginalPath(filePath) === filePath
+    ? [filePath, ...Object.values(imageVariantPaths(filePath))]
+    : [filePath]))];
 
-      console.log('📤 Replicate output type:', typeof output);
-      console.log('📤 Replicate output is array:', Array.isArray(output));
-      
-      // Replicate output'u işle
-      if (typeof output === 'string') {
-        response = output;
-      } else if (Array.isArray(output)) {
-        // Array ise tüm string'leri birleştir
-        response = output
-          .filter(item => item != null)
-          .map(item => typeof item === 'string' ? item : String(item))
-          .join('')
-          .trim();
-      } else if (output && typeof output === 'object') {
-        // Object ise text veya response field'ını ara
-        response = output.text || output.response || output.output || output.content || JSON.stringify(output);
-      } else {
-        response = String(output);
-      }
+  const { error } = await supabase.storage.from('images').remove(paths);
+  if (error) {
+    console.error(`❌ Failed to remove ${paths.length} Storage object(s):`, error.message);
+    return false;
+  }
 
-      console.log('📥 Raw response:', response.substring(0, 200));
-      
-      // Response'u temizle
-      response = response.trim();
-      
-      if (!response || response.length < 3) {
-        console.warn('⚠️ Response too short, using default');
-        response = "I'm here, how can I help you?";
-      }
-      
-      console.log('✅ Final response:', response.substring(0, 100) + '...');
-      
-    } catch (replicateError) {
-      console.error('❌ Replicate API Error:', replicateError);
-      console.error('❌ Error message:', replicateError.message);
-      console.error('❌ Error name:', replicateError.name);
-      console.error('❌ Error stack:', replicateError.stack);
-      
-      // Daha detaylı hata mesajı
-      if (replicateError.response) {
-        console.error('❌ Error response:', replicateError.response.data);
-        console.error('❌ Error status:', replicateError.response.status);
-      }
-      
-      // Hata fırlat ki üst seviye catch bloğu yakalasın
-      throw new Error(`Replicate API error: ${replicateError.message || 'Unknown error'}`);
-    }
+  console.log(`🗑️ Removed ${paths.length} Storage object(s): ${paths.slice(0, 3).join(', ')}${paths.length > 3 ? ', ...' : ''}`);
+  return true;
+}
 
-    console.log('✅ Final response:', response.substring(0, 100) + '...');
+// ========== IMAGE PROCESSING ==========
 
-    if (!response || response.length < 3) {
-      console.warn('⚠️ Empty response, using character-based fallback');
-      // Karakter özelliklerine göre daha iyi bir fallback
-      response = `*${characterPrompt.includes('Romantic') ? 'smiles warmly* ' : ''}${message}. That's interesting. Tell me more about that.`;
-    }
+// Her yüklenen fotoğraf JPEG'e çevrilir (EXIF/GPS dahil tüm metadata atılır) ve küçük boyutları üretilir
+const IMAGE_MAX_DIMENSION = 2048;
+const IMAGE_JPEG_QUALITY = 85;
+const IMAGE_VARIANTS = {
+  thumbnail: { suffix: '_thumb', size: 256, quality: 75 },
+  medium: { suffix: '_medium', size: 1024, quality: 80 }
+};
 
-    res.json({
-      response,
-      characterId
-    });
-  } catch (error) {
-    console.error('❌ Error in chat:', error);
-    console.error('❌ Error message:', error.message);
-    console.error('❌ Error stack:', error.stack);
-    
-    // Hata durumunda bile kullanıcıya anlamlı bir mesaj döndür
-    const errorResponse = `I'm having trouble processing that right now, but I heard you say "${message.substring(0, 30)}...". Can you try rephrasing that?`;
-    
-    res.status(500).json({ 
-      response: errorResponse,
-      error: 'Failed to get chat response', 
-      details: error.message,
-      characterId
-    });
+/**
+ * Detect the image format from its magic bytes (never from the filename or the client's label)
+ * @param {Buffer} buffer
+ * @returns {string|null} - MIME type (e.g. "image/png") or null if not a known image
+ */
+function sniffImageType(buffer) {
+  if (!buffer || buffer.length < 12) {
+    return null;
   }
-});
 
-// Karakter fotoğrafı üret (kullanıcı isteğine göre)
-app.post('/api/generate-photo', async (req, res) => {
-  try {
-    const { characterId, description, characterName, characterTraits, profileImageBase64 } = req.body;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (buffer.toString('ascii', 0, 4) === 'GIF8') {
+    return 'image/gif';
+  }
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  // ISO BMFF: "ftyp" kutusu + marka (iPhone fotoğrafları HEIC gelir)
+  if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+    const brand = buffer.toString('ascii', 8, 12);
+    if (['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis'].includes(brand)) {
+      return 'image/heic';
+    }
+    if (['mif1', 'msf1'].includes(brand)) {
+      return 'image/heif';
+    }
+    if (['avif', 'avis'].includes(brand)) {
+      return 'image/avif';
+    }
+  }
 
-    console.log('📸 ========== Photo generation request received ==========');
-    console.log('📸 Character:', characterName);
-    console.log('📸 Description:', description);
-    console.log('📸 Character ID:', characterId);
-    console.log('📸 Has profile image:', !!profileImageBase64);
-    console.log('📸 Character traits:', JSON.stringify(characterTraits));
+  return null;
+}
 
-    if (!description) {
-      return res.status(400).json({ error: 'Description is required' });
+/**
+ * Decode a base64 image (with or without data URI prefix)
+ * @param {string} base64Data
+ * @returns {Buffer}
+ */
+function decodeBase64Image(base64Data) {
+  let base64String = base64Data;
+  if (base64String.includes(',')) {
+    base64String = base64String.split(',')[1];
+  }
+  return Buffer.from(base64String, 'base64');
+}
+
+/**
+ * Normalize an uploaded image: auto-rotate by EXIF orientation, convert to JPEG,
+ * drop all metadata and render the smaller variants
+ * @param {Buffer} buffer - Raw upload
+ * @returns {Promise<{sourceType: string, width: number, height: number, image: Buffer, variants: Object<string, Buffer>}>}
+ * @throws {Error} - With status 415 for unknown or undecodable formats
+ */
+async function processImage(buffer) {
+  const sourceType = sniffImageType(buffer);
+  if (!sourceType) {
+    throw Object.assign(new Error('Unsupported image format'), { status: 415 });
+  }
+
+  // sharp çıktıya metadata yazmaz (withMetadata çağrılmadıkça); rotate() yönü piksellere uygular
+  const render = (size, quality) => sharp(buffer, { animated: false })
+    .rotate()
+    .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality, mozjpeg: true })
+    .toBuffer({ resolveWithObject: true });
+
+  try {
+    const { data: image, info } = await render(IMAGE_MAX_DIMENSION, IMAGE_JPEG_QUALITY);
+    const variants = {};
+    for (const [name, variant] of Object.entries(IMAGE_VARIANTS)) {
+      variants[name] = (await render(variant.size, variant.quality)).data;
     }
 
-    // Karakterin fiziksel özelliklerini description'a çevir
-    const getPhysicalAppearanceDescription = (physical) => {
-      switch (physical) {
-        case "A": return "Female, 20-25 years old, blonde hair";
-        case "B": return "Male, 25-30 years old, dark brown or black hair";
-        case "C": return "Female, 18-22 years old, colorful or unusual hair (pink, blue, purple)";
-        case "D": return "Male, 30-35 years old, brown hair";
-        case "E": return "Non-binary or any gender, 22-28 years old, red or auburn hair";
-        default: return "Average appearance";
-      }
-    };
+    return { sourceType, width: info.width, height: info.height, image, variants };
+  } catch (error) {
+    throw Object.assign(new Error(`Could not decode ${sourceType} image: ${error.message}`), { status: 415 });
+  }
+}
 
-    const getEyeColorDescription = (eye) => {
-      switch (eye) {
-        case "A": return "Bright blue eyes with soft, kind facial features";
-        case "B": return "Deep brown eyes with sharp, defined facial features";
-        case "C": return "Green or hazel eyes with distinctive, memorable features";
-        case "D": return "Dark, intense eyes with mysterious, captivating features";
-        case "E": return "Expressive eyes with animated, lively facial features";
-        default: return "Average eyes and features";
-      }
-    };
+/**
+ * Storage paths of an image's variants
+ * @param {string} filePath - e.g. "avatars/1_profile.jpg"
+ * @returns {Object<string, string>} - e.g. { thumbnail: "avatars/1_profile_thumb.jpg", medium: "avatars/1_profile_medium.jpg" }
+ */
+function imageVariantPaths(filePath) {
+  const base = filePath.replace(/\.[^./]+$/, '');
+  return Object.fromEntries(
+    Object.entries(IMAGE_VARIANTS).map(([name, variant]) => [name, `${base}${variant.suffix}.jpg`])
+  );
+}
 
-    const getBodyTypeDescription = (body) => {
-      switch (body) {
-        case "A": return "Slim build, average height (5'6\" to 5'10\"), graceful and elegant";
-        case "B": return "Athletic build, tall (5'10\" to 6'2\"), strong and confident";
-        case "C": return "Curvy build, petite to average height (5'2\" to 5'7\"), warm and inviting";
-        case "D": return "Muscular build, tall (6'0\" to 6'4\"), powerful and imposing";
-        case "E": return "Average build, any height, balanced and approachable";
-        default: return "Average build";
-      }
-    };
+/**
+ * Original path of a variant path (the path itself if it is not a variant)
+ * @param {string} filePath - e.g. "avatars/1_profile_thumb.jpg"
+ * @returns {string} - e.g. "avatars/1_profile.jpg"
+ */
+function imageOriginalPath(filePath) {
+  for (const variant of Object.values(IMAGE_VARIANTS)) {
+    if (filePath.endsWith(`${variant.suffix}.jpg`)) {
+      return filePath.slice(0, -`${variant.suffix}.jpg`.length) + '.jpg';
+    }
+  }
+  return filePath;
+}
+
+/**
+ * Upload a processed image and its variants
+ * @param {object} processed - Result of processImage
+ * @param {string} filePath - Path in bucket for the full image (e.g. "avatars/character_id_profile.jpg")
+ * @returns {Promise<string|null>} - Stored reference of the full image (see toStoredImageRef) or null on error
+ */
+async function uploadProcessedImage(processed, filePath) {
+  const variantPaths = imageVariantPaths(filePath);
+
+  const [ref, ...variantRefs] = await Promise.all([
+    uploadToSupabase(processed.image, 'image/jpeg', filePath),
+    ...Object.keys(variantPaths).map(name => uploadToSupabase(processed.variants[name], 'image/jpeg', variantPaths[name]))
+  ]);
+
+  if (!ref || variantRefs.some(variantRef => !variantRef)) {
+    return null;
+  }
+
+  console.log(`🖼️ Stored ${filePath} (${processed.sourceType} → image/jpeg, ${processed.width}x${processed.height}) with ${variantRefs.length} variants`);
+  return ref;
+}
+
+// ========== REMOTE IMAGE FETCH ==========
+
+// Yalnızca kullandığımız sağlayıcıların alan adlarından indirilir (alt alan adları dahil)
+const REMOTE_IMAGE_HOSTS = (process.env.REMOTE_IMAGE_HOSTS || 'replicate.delivery')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+const REMOTE_IMAGE_MAX_BYTES = parseInt(process.env.REMOTE_IMAGE_MAX_BYTES, 10) || 20 * 1024 * 1024;
+const REMOTE_IMAGE_MAX_REDIRECTS = 3;
+const REMOTE_IMAGE_TIMEOUT_MS = 30000;
+const REMOTE_IMAGE_RETRIES = 2;
+const REMOTE_IMAGE_RETRY_DELAY_MS = 500;
+
+// SSRF: özel, loopback, link-local, CGNAT, multicast ve ayrılmış aralıklar (IPv4-mapped IPv6 dahil)
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Error for a remote fetch; `retryable` marks transient failures (network errors, timeouts, 5xx, 429)
+ * @param {string} message
+ * @param {boolean} [retryable=false]
+ * @returns {Error}
+ */
+function remoteFetchError(message, retryable = false) {
+  return Object.assign(new Error(message), { retryable });
+}
+
+/**
+ * Whether a host is on the REMOTE_IMAGE_HOSTS allowlist
+ * @param {string} hostname
+ * @returns {boolean}
+ */
+function isAllowedRemoteHost(hostname) {
+  const host = hostname.toLowerCase();
+  return REMOTE_IMAGE_HOSTS.some(allowed => host === allowed || host.endsWith(`.${allowed}`));
+}
+
+/**
+ * Resolve a host and refuse private/loopback addresses
+ * @param {string} hostname
+ * @returns {Promise<{address: string, family: number}>} - Address to connect to (pinned, so DNS cannot change it afterwards)
+ */
+async function resolvePublicAddress(hostname) {
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    throw remoteFetchError(`Could not resolve ${hostname}: ${error.code || error.message}`, error.code === 'EAI_AGAIN');
+  }
+
+  const blocked = addresses.find(({ address, family }) => BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+  if (blocked || addresses.length === 0) {
+    throw remoteFetchError(`Refusing to fetch from ${hostname}: resolves to a private address`);
+  }
+
+  return addresses[0];
+}
+
+/**
+ * One GET without following redirects
+ * @param {URL} url
+ * @returns {Promise<{redirect: string}|{buffer: Buffer, contentType: string}>}
+ */
+async function requestRemoteImage(url) {
+  if (url.protocol !== 'https:') {
+    throw remoteFetchError(`Refusing to fetch non-HTTPS URL: ${url.protocol}`);
+  }
+  if (!isAllowedRemoteHost(url.hostname)) {
+    throw remoteFetchError(`Refusing to fetch from host not on the allowlist: ${url.hostname}`);
+  }
 
-    const getAppearanceDescription = (appearance) => {
-      switch (appearance) {
-        case "A": return "Modern and Chic (Casual) - Today's fashion, sweatshirt, jeans, or elegant dress";
-        case "B": return "Cyberpunk / Futuristic - Neon colors, technological accessories, from the future";
-        case "C": return "Gothic / Dark - Black-heavy, tattoos, piercings, melancholic vibe";
-        case "D": return "Anime / Cosplay - Colorful hair, big eyes, fantasy costumes";
-        case "E": return "Old Money / Classic - Suit, elegant jewelry, rich and elite appearance";
-        default: return "Modern";
+  const { address, family } = await resolvePublicAddress(url.hostname);
+
+  return new Promise((resolve, reject) => {
+    const request = https.get(url, {
+      // Doğrulanan adrese bağlan (DNS rebinding'e karşı); SNI ve Host başlığı hostname ile kalır
+      lookup: (hostname, options, callback) => options.all
+        ? callback(null, [{ address, family }])
+        : callback(null, address, family)
+    }, (response) => {
+      const { statusCode, headers } = response;
+
+      if ([301, 302, 303, 307, 308].includes(statusCode) && headers.location) {
+        response.resume();
+        resolve({ redirect: new URL(headers.location, url).toString() });
+        return;
       }
-    };
 
-    // Karakterin fiziksel özelliklerini description'a çevir
-    const physicalDesc = getPhysicalAppearanceDescription(characterTraits?.physicalAppearance || '');
-    const eyeDesc = getEyeColorDescription(characterTraits?.eyeColorAndFeatures || '');
-    const bodyDesc = getBodyTypeDescription(characterTraits?.bodyTypeAndHeight || '');
-    const appearanceDesc = getAppearanceDescription(characterTraits?.appearance || '');
-    
-    // Portre isteği kontrolü
-    const descriptionLower = description.toLowerCase();
-    const isPortraitRequest = descriptionLower.includes('portrait') || 
-                              descriptionLower.includes('headshot') || 
-                              descriptionLower.includes('close-up') ||
-                              descriptionLower.includes('closeup') ||
-                              descriptionLower.includes('face only');
-    
-    console.log('📸 Has profile image for face consistency:', !!profileImageBase64);
-    console.log('📸 Is portrait request:', isPortraitRequest);
-    
-    // ========== PROMPT CONSTRUCTION - USER DESCRIPTION ONLY ==========
-    // CRITICAL: User's description is EVERYTHING. No character traits added.
-    // Face consistency is maintained via Img2Img/FaceSwap ONLY.
-    
-    // Clean user description - remove Turkish phrases like "bana", "fotoğrafını at" etc.
-    let cleanDescription = description
-      .replace(/bana\s+/gi, '')
-      .replace(/\s+fotoğrafını\s+at/gi, '')
-      .replace(/\s+foto\s+at/gi, '')
-      .replace(/\s+fotoğraf\s+at/gi, '')
-      .trim();
-    
-    // SCENARIO A: Portrait/Close-up Prompt
-    // User description ONLY - no character traits to avoid bias
-    const photoPrompt = `${cleanDescription}, high quality, photorealistic`;
-    
-    // SCENARIO B: Action/Full-body Scene Prompt
-    // User description ONLY - scene is generated exactly as user describes
-    // NO character name, NO traits - prevents any portrait bias
-    const scenePrompt = `${cleanDescription}, wide angle, full scene, environmental context, high quality, photorealistic`;
-    
-    // Strong negative prompts to prevent portrait bias
-    const negativePrompt = "portrait, headshot, close-up, face only, upper body only, cropped, zoomed in, face closeup, head only, bust shot, shoulder up";
-    
-    console.log('📸 Original description:', description);
-    console.log('📸 Cleaned description:', cleanDescription);
-    console.log('📸 Photo prompt (Scenario A - Portrait):', photoPrompt);
-    console.log('📸 Scene prompt (Scenario B - Action):', scenePrompt);
-    console.log('📸 Negative prompt:', negativePrompt);
+      if (statusCode !== 200) {
+        response.resume();
+        reject(remoteFetchError(`Failed to download image: ${statusCode}`, statusCode >= 500 || statusCode === 429));
+        return;
+      }
 
-    let imageURL;
+      const contentType = (headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+      if (!contentType.startsWith('image/')) {
+        response.resume();
+        reject(remoteFetchError(`Refusing non-image content type: ${contentType || 'none'}`));
+        return;
+      }
 
-    // ========== SCENARIO A: Portrait/Close-up Request ==========
-    if (isPortraitRequest && profileImageBase64) {
-      console.log('📸 SCENARIO A: Portrait request - using Img2Img with Flux 1.1 Pro');
-      
-      // Flux 1.1 Pro input parametreleri (Img2Img)
-      const fluxInput = {
-        prompt: photoPrompt,
-        negative_prompt: negativePrompt, // Prevent portrait bias
-        aspect_ratio: "16:9",
-        output_format: "jpg"
-      };
+      if (parseInt(headers['content-length'], 10) > REMOTE_IMAGE_MAX_BYTES) {
+        response.destroy();
+        reject(remoteFetchError(`Image too large: ${headers['content-length']} bytes (max ${REMOTE_IMAGE_MAX_BYTES})`));
+        return;
+      }
 
-      try {
-        // Base64 string'in uzunluğunu kontrol et
-        const base64Length = profileImageBase64.length;
-        console.log('📸 Base64 image length:', base64Length, 'characters');
-        
-        // Eğer çok büyükse (5MB'den fazla), kullanma
-        if (base64Length > 5 * 1024 * 1024) {
-          console.warn('⚠️ Base64 image too large, skipping img2img');
-        } else {
-          // Base64'ü data URL formatına çevir
-          const imageDataUrl = `data:image/jpeg;base64,${profileImageBase64}`;
-          
-          // Flux 1.1 Pro için img2img parametreleri
-          fluxInput.image = imageDataUrl;
-          fluxInput.strength = 0.2; // Lower strength to allow more scene flexibility
-          
-          console.log('📸 Using profile image for face consistency (img2img with Flux 1.1 Pro)');
-          console.log('📸 Image size:', Buffer.from(profileImageBase64, 'base64').length, 'bytes');
-          console.log('📸 Strength:', fluxInput.strength);
+      const chunks = [];
+      let received = 0;
+      response.on('data', (chunk) => {
+        received += chunk.length;
+        if (received > REMOTE_IMAGE_MAX_BYTES) {
+          response.destroy();
+          reject(remoteFetchError(`Image too large: over ${REMOTE_IMAGE_MAX_BYTES} bytes`));
+          return;
         }
-      } catch (error) {
-        console.error('❌ Error processing profile image:', error);
-        return res.status(500).json({ 
-          error: 'Failed to process profile image',
-          details: error.message
-        });
-      }
+        chunks.push(chunk);
+      });
+      response.on('end', () => resolve({ buffer: Buffer.concat(chunks), contentType }));
+      response.on('error', (error) => reject(remoteFetchError(error.message, true)));
+    });
 
-      // Replicate API ile fotoğraf oluştur (Flux 1.1 Pro - img2img)
-      try {
-        const output = await Promise.race([
-          replicate.run("black-forest-labs/flux-1.1-pro", { input: fluxInput }),
-          new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('Photo generation timeout')), REPLICATE_TIMEOUT * 3)
-          )
-        ]);
-        
-        // Extract image URL from output
-        if (Array.isArray(output)) {
-          imageURL = output[0];
-        } else if (typeof output === 'string') {
-          imageURL = output;
-        } else if (output && typeof output === 'object') {
-          imageURL = output.url || output.image || output[0] || null;
+    request.on('error', (error) => reject(remoteFetchError(error.message, true)));
+    request.setTimeout(REMOTE_IMAGE_TIMEOUT_MS, () => {
+      request.destroy();
+      reject(remoteFetchError('Download timeout', true));
+    });
+  });
+}
+
+/**
+ * Download an image from an allowlisted provider host
+ * (HTTPS only, public addresses only, bounded redirects and size, image content types, retries on transient failures)
+ * @param {string} imageUrl
+ * @returns {Promise<{buffer: Buffer, contentType: string}>}
+ */
+async function fetchRemoteImage(imageUrl) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      let url = new URL(imageUrl);
+      for (let redirects = 0; ; redirects++) {
+        const result = await requestRemoteImage(url);
+        if (!result.redirect) {
+          return result;
         }
-        
-        console.log('✅ Portrait photo generated:', imageURL);
-      } catch (error) {
-        console.error('❌ Replicate API error (portrait):', error);
-        return res.status(500).json({ 
-          error: 'Failed to generate photo',
-          details: error.message || 'Unknown error',
-          model: 'black-forest-labs/flux-1.1-pro'
-        });
-      }
-    }
-    // ========== SCENARIO B: Action/Full-body Request ==========
-    else {
-      console.log('📸 SCENARIO B: Action/Full-body request - using Text-to-Image + Face Swap');
-      
-      // Step 1: Generate scene with Flux 1.1 Pro (Text-to-Image, NO image input)
-      // CRITICAL: Use scenePrompt (user description ONLY) to avoid portrait bias
-      const fluxInput = {
-        prompt: scenePrompt, // User description ONLY - no character traits
-        negative_prompt: negativePrompt, // Strong negative prompt to prevent portrait
-        aspect_ratio: "16:9",
-        output_format: "jpg"
-      };
-      
-      console.log('📸 Step 1: Generating scene with Flux 1.1 Pro (text-to-image)...');
-      console.log('📸 Using scenePrompt (no facial details to prevent zoom-in):', scenePrompt);
-      
-      let sceneImageURL;
-      try {
-        const output = await Promise.race([
-          replicate.run("black-forest-labs/flux-1.1-pro", { input: fluxInput }),
-          new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('Scene generation timeout')), REPLICATE_TIMEOUT * 3)
-          )
-        ]);
-        
-        // Extract scene image URL from output
-        if (Array.isArray(output)) {
-          sceneImageURL = output[0];
-        } else if (typeof output === 'string') {
-          sceneImageURL = output;
-        } else if (output && typeof output === 'object') {
-          sceneImageURL = output.url || output.image || output[0] || null;
+        if (redirects >= REMOTE_IMAGE_MAX_REDIRECTS) {
+          throw remoteFetchError(`Too many redirects (max ${REMOTE_IMAGE_MAX_REDIRECTS})`);
         }
-        
-        console.log('✅ Scene generated:', sceneImageURL);
-      } catch (error) {
-        console.error('❌ Replicate API error (scene generation):', error);
-        return res.status(500).json({ 
-          error: 'Failed to generate scene',
-          details: error.message || 'Unknown error',
-          model: 'black-forest-labs/flux-1.1-pro'
-        });
+        url = new URL(result.redirect);
       }
-      
-      // Step 2: Face Swap using easel/advanced-face-swap
-      if (profileImageBase64 && sceneImageURL) {
-        console.log('📸 Step 2: Performing face swap with easel/advanced-face-swap...');
-        
-        try {
-          let faceSwapOutput;
-          const sourceImageDataUrl = `data:image/jpeg;base64,${profileImageBase64}`;
-          
-          // Try easel/advanced-face-swap first (primary model)
-          try {
-            console.log('📸 Trying easel/advanced-face-swap model...');
-            const faceSwapInput = {
-              target_image: sceneImageURL,
-              source_image: sourceImageDataUrl
-            };
-            
-            faceSwapOutput = await Promise.race([
-              replicate.run("easel/advanced-face-swap", { input: faceSwapInput }),
-              new Promise((_, reject) => 
-                setTimeout(() => reject(new Error('Face swap timeout')), REPLICATE_TIMEOUT * 3)
-              )
-            ]);
-            
-            console.log('✅ Face swap completed with easel/advanced-face-swap');
-          } catch (easelError) {
-            console.warn('⚠️ easel/advanced-face-swap failed, trying fallback models...', easelError.message);
-            
-            // Fallback models
-            const fallbackModels = [
-              "lucataco/faceswap",
-              "fofr/face-swap",
-              "cdingram/face-swap:d1d6ea8c8be89d664a07a457526f7128109dee7030fdac424788d762c71ed111"
-            ];
-            
-            let lastError = easelError;
-            for (const model of fallbackModels) {
-              try {
-                console.log(`📸 Trying fallback model: ${model}...`);
-                const faceSwapInput = {
-                  target_image: sceneImageURL,
-                  source_image: sourceImageDataUrl
-                };
-                
-                faceSwapOutput = await Promise.race([
-                  replicate.run(model, { input: faceSwapInput }),
-                  new Promise((_, reject) => 
-                    setTimeout(() => reject(new Error('Face swap timeout')), REPLICATE_TIMEOUT * 3)
-                  )
-                ]);
-                
-                console.log(`✅ Face swap completed with ${model}`);
-                break; // Success, exit loop
-              } catch (modelError) {
-                console.warn(`⚠️ ${model} failed:`, modelError.message);
-                lastError = modelError;
-                continue; // Try next model
-              }
-            }
-            
-            if (!faceSwapOutput) {
-              throw lastError || new Error('All face swap models failed');
-            }
-          }
-          
-          // Extract final image URL from face swap output
-          if (Array.isArray(faceSwapOutput)) {
-            imageURL = faceSwapOutput[0];
-          } else if (typeof faceSwapOutput === 'string') {
-            imageURL = faceSwapOutput;
-          } else if (faceSwapOutput && typeof faceSwapOutput === 'object') {
-            imageURL = faceSwapOutput.url || faceSwapOutput.image || faceSwapOutput[0] || null;
-          }
-          
-          if (imageURL) {
-            console.log('✅ Face swap completed successfully:', imageURL);
-          } else {
-            throw new Error('Face swap returned no image URL');
-          }
-        } catch (error) {
-          console.error('❌ All face swap models failed:', error.message);
-          // Fallback: Use Img2Img with very low strength for face consistency
-          console.log('📸 Fallback: Using Img2Img with very low strength (0.1) for face consistency...');
-          
-          try {
-            const fallbackInput = {
-              prompt: scenePrompt,
-              negative_prompt: negativePrompt,
-              image: `data:image/jpeg;base64,${profileImageBase64}`,
-              strength: 0.1, // Very low strength to preserve scene but maintain face
-              aspect_ratio: "16:9",
-              output_format: "jpg"
-            };
-            
-            const fallbackOutput = await Promise.race([
-              replicate.run("black-forest-labs/flux-1.1-pro", { input: fallbackInput }),
-              new Promise((_, reject) => 
-                setTimeout(() => reject(new Error('Fallback timeout')), REPLICATE_TIMEOUT * 3)
-              )
-            ]);
-            
-            if (Array.isArray(fallbackOutput)) {
-              imageURL = fallbackOutput[0];
-            } else if (typeof fallbackOutput === 'string') {
-              imageURL = fallbackOutput;
-            } else if (fallbackOutput && typeof fallbackOutput === 'object') {
-              imageURL = fallbackOutput.url || fallbackOutput.image || fallbackOutput[0] || null;
-            }
-            
-            console.log('✅ Fallback Img2Img completed:', imageURL);
-          } catch (fallbackError) {
-            console.error('❌ Fallback Img2Img also failed:', fallbackError.message);
-            console.warn('⚠️ Using scene image without face swap');
-            imageURL = sceneImageURL;
-          }
-        }
-      } else {
-        // No profile image, use scene directly
-        console.log('⚠️ No profile image available, using scene image directly');
-        imageURL = sceneImageURL;
+    } catch (error) {
+      if (!error.retryable || attempt >= REMOTE_IMAGE_RETRIES) {
+        throw error;
       }
+      console.warn(`⚠️ Image download failed (${error.message}), retrying (${attempt + 1}/${REMOTE_IMAGE_RETRIES})...`);
+      await new Promise(resolve => setTimeout(resolve, REMOTE_IMAGE_RETRY_DELAY_MS * 2 ** attempt));
     }
+  }
+}
 
-    // Validate image URL
-    if (!imageURL) {
-      console.error('❌ No image URL in output');
-      return res.status(500).json({ 
-        error: 'Failed to generate photo - no image URL in response'
-      });
-    }
-    
-    // URL'in geçerli olup olmadığını kontrol et
-    if (!imageURL.startsWith('http://') && !imageURL.startsWith('https://')) {
-      console.error('❌ Invalid image URL format:', imageURL);
-      return res.status(500).json({ 
-        error: 'Failed to generate photo - invalid image URL format',
-        imageURL: imageURL
-      });
-    }
+// ========== IMAGE URLS ==========
 
-    console.log('✅ Final photo generated from Replicate:', imageURL);
+// Yanıtlardaki görsel alanları ve varyant karşılıkları
+const IMAGE_URL_FIELDS = {
+  imageURL: 'imageVariants',
+  profileImageURL: 'profileImageVariants',
+  fullBodyImageURL: 'fullBodyImageVariants'
+};
+const SIGNED_URL_BATCH_SIZE = 500;
 
-    // CRITICAL: Download Replicate image and upload to Supabase Storage for persistence
-    console.log('📥 Downloading image from Replicate and uploading to Supabase Storage...');
-    const uuid = require('crypto').randomUUID();
-    const filePath = `generated/${uuid}.jpg`;
-    const supabasePublicUrl = await uploadUrlToSupabase(imageURL, filePath);
+/**
+ * URLs clients can load for objects of the images bucket
+ * (public URLs, or signed URLs valid for SIGNED_URL_TTL_SECONDS in private bucket mode)
+ * @param {Array<string>} paths - Object paths
+ * @returns {Promise<Map<string, string|null>>} - path → URL (null when a signed URL could not be created, e.g. missing object)
+ */
+async function getImageUrls(paths) {
+  const urls = new Map();
+  const uniquePaths = [...new Set(paths)];
 
-    if (!supabasePublicUrl) {
-      console.error('❌ Failed to upload to Supabase Storage, returning Replicate URL as fallback');
-      // Fallback to Replicate URL if Storage upload fails
-      res.json({ 
-        imageURL: imageURL,
-        characterId: characterId
-      });
-      return;
-    }
+  if (!STORAGE_PRIVATE_BUCKET) {
+    uniquePaths.forEach(filePath => urls.set(filePath, supabase.storage.from('images').getPublicUrl(filePath).data.publicUrl));
+    return urls;
+  }
 
-    console.log('✅ Photo uploaded to Supabase Storage, returning Public URL:', supabasePublicUrl);
+  for (let i = 0; i < uniquePaths.length; i += SIGNED_URL_BATCH_SIZE) {
+    const batch = uniquePaths.slice(i, i + SIGNED_URL_BATCH_SIZE);
+    const { data, error } = await supabase.storage
+      .from('images')
+      .createSignedUrls(batch, SIGNED_URL_TTL_SECONDS);
 
-    // Return Supabase Public URL (permanent) instead of Replicate URL (temporary)
-    res.json({ 
-      imageURL: supabasePublicUrl,
-      characterId: characterId
-    });
+    if (error) {
+      throw new Error(`Failed to sign image URLs: ${error.message}`);
+    }
 
-  } catch (error) {
-    console.error('❌ Error in photo generation:', error);
-    console.error('❌ Error message:', error.message);
-    console.error('❌ Error stack:', error.stack);
-    
-    res.status(500).json({ 
-      error: 'Failed to generate photo', 
-      details: error.message
-    });
+    (data || []).forEach(entry => urls.set(entry.path, entry.error ? null : entry.signedUrl));
   }
-});
-
-// OpenAI Realtime API WebSocket bağlantısı
-app.post('/api/realtime/connect', async (req, res) => {
-  try {
-    const { characterName, characterPrompt } = req.body;
 
-    console.log('📞 Realtime connection request received');
-    console.log('📞 Character name:', characterName);
-    console.log('📞 Character prompt length:', characterPrompt?.length || 0);
+  return urls;
+}
 
-    if (!characterPrompt) {
-      console.error('❌ Character prompt is missing');
-      return res.status(400).json({ error: 'Character prompt is required' });
-    }
+/**
+ * Loadable URL of one stored image reference (non-Storage URLs are returned unchanged)
+ * @param {string|null} ref - Stored reference (see toStoredImageRef)
+ * @returns {Promise<string|null>}
+ */
+async function getImageUrl(ref) {
+  const filePath = storagePathFromUrl(ref);
+  if (!filePath) {
+    return ref || null;
+  }
+  return (await getImageUrls([filePath])).get(filePath) || null;
+}
 
-    // OpenAI Realtime API'ye bağlan
-    const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-    
-    if (!OPENAI_API_KEY) {
-      console.error('❌ OpenAI API key not configured');
-      return res.status(500).json({ error: 'OpenAI API key not configured' });
-    }
+/**
+ * When the URLs returned now stop working
+ * @returns {string|null} - ISO timestamp, or null in public bucket mode
+ */
+function imageUrlsExpireAt() {
+  if (!STORAGE_PRIVATE_BUCKET) {
+    return null;
+  }
+  return new Date(Date.now() + SIGNED_URL_TTL_SECONDS * 1000).toISOString();
+}
 
-    console.log('✅ OpenAI API key found (length:', OPENAI_API_KEY.length, ')');
+/**
+ * Replace stored image references in response objects with loadable URLs and add their variant URLs
+ * (imageURL → imageVariants, profileImageURL → profileImageVariants, fullBodyImageURL → fullBodyImageVariants).
+ * Images uploaded before variants existed have none; in public mode their variant URLs 404 and clients fall back to the full image.
+ * @param {object|Array<object>} items - Formatted objects (mutated in place)
+ * @returns {Promise<object|Array<object>>} - The same items
+ */
+async function presentImageUrls(items) {
+  const list = (Array.isArray(items) ? items : [items]).filter(Boolean);
+  if (!supabase || list.length === 0) {
+    return items;
+  }
 
-    // OpenAI Realtime API WebSocket URL'i
-    // Using gpt-4o-mini-realtime-preview for lower cost
-    const wsUrl = 'wss://api.openai.com/v1/realtime?model=gpt-4o-mini-realtime-preview';
+  const paths = [];
+  for (const item of list) {
+    for (const field of Object.keys(IMAGE_URL_FIELDS)) {
+      const filePath = storagePathFromUrl(item[field]);
+      if (filePath) {
+        paths.push(filePath, ...Object.values(imageVariantPaths(filePath)));
+      }
+    }
+  }
 
-    console.log('🔌 WebSocket URL:', wsUrl);
+  const urls = await getImageUrls(paths);
 
-    // Optimized instructions for better language detection and response quality
-    const enhancedInstructions = `${characterPrompt}
-
-You are ${characterName || 'the character'}. 
-
-CRITICAL RULES FOR VOICE CONVERSATION:
-1. ALWAYS respond in the EXACT SAME LANGUAGE the user speaks. Detect their language automatically.
-2. Keep answers SHORT - maximum 1-2 sentences. Be concise.
-3. Wait for the user to COMPLETELY finish speaking before you respond.
-4. If the user starts speaking while you're talking, STOP IMMEDIATELY.
-5. Listen carefully to what the user says and respond naturally based on your character traits.
-6. Don't repeat your name or traits unless specifically asked.
-7. NEVER use formal or corporate language. Be casual, warm, and genuine.
-8. DON'T constantly ask questions. Make statements, share thoughts, or react naturally.
-9. Talk like a real person, not like a customer service representative or AI assistant.
-10. Be authentic and conversational - avoid phrases like "How can I help you?" or "What would you like to talk about?".`;
-
-    // iOS uygulamasına WebSocket URL'i ve auth bilgisini döndür
-    const response = {
-      websocket_url: wsUrl,
-      auth_token: OPENAI_API_KEY,
-      instructions: enhancedInstructions
-    };
+  for (const item of list) {
+    for (const [field, variantsField] of Object.entries(IMAGE_URL_FIELDS)) {
+      if (!(field in item)) {
+        continue;
+      }
 
-    console.log('✅ Sending response to client');
-    res.json(response);
+      const filePath = storagePathFromUrl(item[field]);
+      if (!filePath) {
+        // Storage dışı URL (ör. yükleme başarısızsa Replicate URL'i) olduğu gibi kalır
+        item[variantsField] = null;
+        continue;
+      }
 
-  } catch (error) {
-    console.error('❌ Error in realtime connect:', error);
-    console.error('❌ Error stack:', error.stack);
-    res.status(500).json({ error: 'Failed to create realtime connection', details: error.message });
+      const variants = Object.entries(imageVariantPaths(filePath)).map(([name, variantPath]) => [name, urls.get(variantPath)]);
+      item[field] = urls.get(filePath) || null;
+      item[variantsField] = variants.every(([, url]) => url) ? Object.fromEntries(variants) : null;
+    }
   }
-});
 
+  return items;
+}
 
-// Karakterleri kaydet (Supabase)
-app.post('/api/save-characters', async (req, res) => {
-  try {
-    const { userId, characters } = req.body;
+// ========== MULTIPART UPLOADS ==========
 
-    if (!userId) {
-      return res.status(400).json({ error: 'userId is required' });
-    }
+// Ham dosya boyutu (base64 şişmesi yok); sharp zaten bunun üstündeki fotoğrafları küçültür
+const UPLOAD_MAX_FILE_BYTES = parseInt(process.env.UPLOAD_MAX_FILE_BYTES, 10) || 15 * 1024 * 1024;
+const UPLOAD_MAX_FIELD_BYTES = 1024 * 1024;
+
+/**
+ * Route middleware for multipart/form-data uploads (other content types pass through to the JSON parser's req.body).
+ * Text fields land in req.body, file parts in req.files[fieldName] = { buffer, mimeType, filename }.
+ * File parts are read as streams and cut off at maxFileBytes with a 413 as soon as the limit is crossed;
+ * file parts under a name the route does not expect are rejected with a 400.
+ * @param {object} options
+ * @param {number} options.maxFiles - File parts allowed per request
+ * @param {Array<string>|function(string): boolean} options.fileFields - Accepted file field names (or a predicate)
+ * @param {number} [options.maxFileBytes=UPLOAD_MAX_FILE_BYTES] - Per file
+ * @param {number} [options.maxFields=20]
+ * @returns {Function} - Express middleware
+ */
+function multipartUpload({ maxFiles, fileFields, maxFileBytes = UPLOAD_MAX_FILE_BYTES, maxFields = 20 }) {
+  const isExpectedFile = typeof fileFields === 'function' ? fileFields : (name) => fileFields.includes(name);
 
-    if (!characters) {
-      return res.status(400).json({ error: 'characters is required' });
+  return (req, res, next) => {
+    if (!req.is('multipart/form-data')) {
+      return next();
     }
 
-    if (!supabase) {
-      return res.status(500).json({ error: 'Supabase not configured' });
+    let parser;
+    try {
+      // busboy limiti doldurmayı da kesme sayar: tam maxFileBytes olan dosya kabul edilsin
+      parser = busboy({
+        headers: req.headers,
+        limits: { files: maxFiles, fileSize: maxFileBytes + 1, fields: maxFields, fieldSize: UPLOAD_MAX_FIELD_BYTES + 1 }
+      });
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid multipart body', details: error.message });
     }
 
-    // Önce mevcut karakterleri al (Supabase Storage URL'lerini korumak için)
-    const { data: existingCharacters, error: fetchError } = await supabase
-      .from('characters')
-      .select('character_id, profile_image_url, full_body_image_url')
-      .eq('user_id', userId);
+    const body = {};
+    const files = {};
+    let failed = false;
 
-    // Mevcut karakterlerin Supabase Storage URL'lerini sakla
-    const existingImageURLs = {};
-    if (existingCharacters) {
-      for (const existing of existingCharacters) {
-        existingImageURLs[existing.character_id] = {
-          profile_image_url: existing.profile_image_url,
-          full_body_image_url: existing.full_body_image_url
-        };
+    // İlk hatada cevap ver, kalan gövdeyi belleğe almadan tüket
+    const fail = (status, message) => {
+      if (failed) {
+        return;
       }
-    }
+      failed = true;
+      req.unpipe(parser);
+      req.resume();
+      res.status(status).json({ error: message });
+    };
 
-    // Önce mevcut karakterleri sil (upsert için)
-    await supabase
-      .from('characters')
-      .delete()
-      .eq('user_id', userId);
+    parser.on('field', (name, value, info) => {
+      if (info.valueTruncated) {
+        return fail(413, `Field ${name} exceeds ${UPLOAD_MAX_FIELD_BYTES} bytes`);
+      }
+      body[name] = value;
+    });
 
-    // Yeni karakterleri ekle
-    const charactersToInsert = characters.map(char => {
-      // characterTraits'i JSONB formatına çevir
-      let traits = char.characterTraits;
-      if (typeof traits !== 'object') {
-        traits = {};
+    parser.on('file', (name, stream, info) => {
+      if (!isExpectedFile(name)) {
+        stream.resume();
+        return fail(400, `Unexpected file field ${name}`);
       }
-      
-      // Eğer profileImageURL veya fullBodyImageURL boşsa veya local path ise (file:// ile başlıyorsa),
-      // mevcut Supabase Storage URL'sini kullan
-      let profileImageURL = char.profileImageURL || null;
-      let fullBodyImageURL = char.fullBodyImageURL || null;
-      
-      if (!profileImageURL || profileImageURL.startsWith('file://') || profileImageURL === '') {
-        const existing = existingImageURLs[char.id];
-        if (existing && existing.profile_image_url) {
-          profileImageURL = existing.profile_image_url;
-          console.log(`📸 Using existing profile URL for character ${char.id}: ${profileImageURL}`);
+
+      const chunks = [];
+      stream.on('data', (chunk) => {
+        if (!failed) {
+          chunks.push(chunk);
         }
-      }
-      
-      if (!fullBodyImageURL || fullBodyImageURL.startsWith('file://') || fullBodyImageURL === '') {
-        const existing = existingImageURLs[char.id];
-        if (existing && existing.full_body_image_url) {
-          fullBodyImageURL = existing.full_body_image_url;
-          console.log(`📸 Using existing full body URL for character ${char.id}: ${fullBodyImageURL}`);
+      });
+      stream.on('limit', () => fail(413, `File ${name} exceeds ${maxFileBytes} bytes`));
+      stream.on('close', () => {
+        if (!stream.truncated) {
+          files[name] = { buffer: Buffer.concat(chunks), mimeType: info.mimeType, filename: info.filename };
         }
+      });
+    });
+
+    parser.on('filesLimit', () => fail(413, `At most ${maxFiles} file(s) per request`));
+    parser.on('fieldsLimit', () => fail(413, `At most ${maxFields} fields per request`));
+    parser.on('error', (error) => fail(400, `Invalid multipart body: ${error.message}`));
+    parser.on('close', () => {
+      if (failed) {
+        return;
       }
-      
-      return {
-        user_id: userId,
-        character_id: char.id,
-        name: char.name,
-        profile_image_url: profileImageURL,
-        full_body_image_url: fullBodyImageURL,
-        created_at: char.createdAt,
-        is_user_created: char.isUserCreated || true,
-        character_traits: traits
-      };
+      req.body = body;
+      req.files = files;
+      next();
     });
 
-    console.log(`💾 Inserting ${charactersToInsert.length} characters into Supabase...`);
-    if (charactersToInsert.length > 0) {
-      console.log(`💾 First character to insert:`, JSON.stringify(charactersToInsert[0], null, 2));
-    }
+    req.pipe(parser);
+  };
+}
 
-    const { data, error } = await supabase
-      .from('characters')
-      .insert(charactersToInsert)
-      .select(); // Insert edilen verileri döndür
+/**
+ * Parse a JSON-encoded multipart text field (JSON bodies already carry objects and pass through)
+ * @param {*} value
+ * @returns {*} - Parsed value, or undefined when a string is not valid JSON
+ */
+function parseJsonField(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return undefined;
+  }
+}
 
-    if (error) {
-      console.error('❌ Supabase error saving characters:', error);
-      console.error('❌ Error code:', error.code);
-      console.error('❌ Error message:', error.message);
-      console.error('❌ Error details:', JSON.stringify(error, null, 2));
-      return res.status(500).json({ error: 'Failed to save characters', details: error.message });
-    }
+// ========== REPLICATE PREDICTIONS ==========
 
-    console.log(`💾 Insert result: ${data ? data.length : 0} rows inserted`);
-    if (data && data.length > 0) {
-      console.log(`💾 First inserted character:`, JSON.stringify(data[0], null, 2));
-    }
+// Replicate Dashboard > Webhooks > signing secret (whsec_...)
+const REPLICATE_WEBHOOK_SECRET = process.env.REPLICATE_WEBHOOK_SECRET;
+const REPLICATE_WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+// Webhook yoksa polling aralığı; webhook varsa kaybolan webhook'lara karşı yedek polling
+const PREDICTION_POLL_INTERVAL_MS = 2000;
+const PREDICTION_BACKSTOP_POLL_INTERVAL_MS = 15000;
+const PREDICTION_TERMINAL_STATUSES = ['succeeded', 'failed', 'canceled'];
 
-    // Verify: Hemen query yap ve kontrol et
-    console.log('💾 Verifying insert by querying Supabase...');
-    const { data: verifyData, error: verifyError } = await supabase
-      .from('characters')
-      .select('*')
-      .eq('user_id', userId);
+// Bu süreçte sonucu beklenen prediction'lar (prediction id -> { settle })
+const predictionWaiters = new Map();
 
-    if (verifyError) {
-      console.error('❌ Error verifying characters:', verifyError);
+/**
+ * Webhook URL for new predictions, or null when webhooks are not configured
+ * (needs PUBLIC_BASE_URL and REPLICATE_WEBHOOK_SECRET)
+ * @returns {string|null}
+ */
+function getReplicateWebhookUrl() {
+  if (!REPLICATE_WEBHOOK_SECRET || !process.env.PUBLIC_BASE_URL) {
+    return null;
+  }
+  return `${process.env.PUBLIC_BASE_URL.replace(/\/$/, '')}/api/webhooks/replicate`;
+}
+
+/**
+ * Persist the latest known state of a prediction in `replicate_predictions`
+ * @param {object} prediction - Replicate prediction object
+ * @param {object} [link] - Set when the prediction is created
+ * @param {string} [link.jobId]
+ * @param {string} [link.step]
+ * @param {string} [link.model]
+ */
+async function savePrediction(prediction, link) {
+  if (!supabase) {
+    return;
+  }
+
+  const row = {
+    id: prediction.id,
+    status: prediction.status,
+    output: prediction.output ?? null,
+    error: prediction.error ? String(prediction.error) : null,
+    completed_at: prediction.completed_at || null
+  };
+
+  if (link) {
+    row.job_id = link.jobId || null;
+    row.step = link.step || null;
+    row.model = link.model;
+  }
+
+  const { error } = await supabase
+    .from('replicate_predictions')
+    .upsert(row, { onConflict: 'id' });
+
+  if (error) {
+    console.error(`❌ Failed to save prediction ${prediction.id}:`, error);
+  }
+}
+
+/**
+ * Cancel a prediction that is no longer wanted (errors are logged, not thrown)
+ * @param {string} predictionId
+ * @param {string} reason
+ */
+async function cancelPrediction(predictionId, reason) {
+  try {
+    const prediction = await replicate.predictions.cancel(predictionId);
+    console.log(`🛑 Canceled prediction ${predictionId} (${reason})`);
+    await savePrediction(prediction);
+  } catch (error) {
+    console.warn(`⚠️ Failed to cancel prediction ${predictionId}:`, error.message);
+  }
+}
+
+/**
+ * Wait until a prediction reaches a terminal status, via webhook or polling.
+ * Cancels the prediction on timeout or abort.
+ * @param {object} prediction
+ * @param {object} options
+ * @param {number} options.timeoutMs
+ * @param {string} options.timeoutMessage
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<object>} - Completed prediction
+ */
+function waitForPrediction(prediction, { timeoutMs, timeoutMessage, signal }) {
+  const pollInterval = getReplicateWebhookUrl() ? PREDICTION_BACKSTOP_POLL_INTERVAL_MS : PREDICTION_POLL_INTERVAL_MS;
+
+  return new Promise((resolve, reject) => {
+    let finished = false;
+    let pollTimer = null;
+
+    const finish = (settle, value) => {
+      if (finished) {
+        return;
+      }
+      finished = true;
+      clearTimeout(timeoutTimer);
+      clearTimeout(pollTimer);
+      predictionWaiters.delete(prediction.id);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      settle(value);
+    };
+
+    const onAbort = () => {
+      cancelPrediction(prediction.id, 'aborted');
+      finish(reject, new Error('Prediction aborted'));
+    };
+
+    const timeoutTimer = setTimeout(() => {
+      console.warn(`⏱️ Prediction ${prediction.id} timed out after ${timeoutMs}ms`);
+      cancelPrediction(prediction.id, 'timeout');
+      finish(reject, new Error(timeoutMessage));
+    }, timeoutMs);
+
+    const poll = async () => {
+      try {
+        const latest = await replicate.predictions.get(prediction.id);
+        if (PREDICTION_TERMINAL_STATUSES.includes(latest.status)) {
+          await savePrediction(latest);
+          finish(resolve, latest);
+          return;
+        }
+      } catch (error) {
+        console.warn(`⚠️ Failed to poll prediction ${prediction.id}:`, error.message);
+      }
+      if (!finished) {
+        pollTimer = setTimeout(poll, pollInterval);
+      }
+    };
+
+    predictionWaiters.set(prediction.id, { settle: (completed) => finish(resolve, completed) });
+
+    if (signal) {
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener('abort', onAbort);
+    }
+
+    pollTimer = setTimeout(poll, pollInterval);
+  });
+}
+
+/**
+ * Create a Replicate prediction (with webhook when configured) and wait for its output.
+ * Replaces `Promise.race([replicate.run(...), timeout])`: on timeout the prediction is
+ * cancelled instead of left running. With `jobId` + `step`, a prediction already created for
+ * the same job step and model (e.g. before a restart) is reused instead of starting a new one.
+ * @param {string} model - "owner/name" or "owner/name:version"
+ * @param {object} input - Model input
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs] - Defaults to REPLICATE_TIMEOUT * 3
+ * @param {string} [options.timeoutMessage]
+ * @param {string} [options.jobId]
+ * @param {string} [options.step]
+ * @param {AbortSignal} [options.signal] - Abort → prediction is cancelled
+ * @param {function(object): Promise<void>} [options.onCreated] - Called with the created/reused prediction
+ * @returns {Promise<*>} - Prediction output
+ */
+async function runPrediction(model, input, { timeoutMs = REPLICATE_TIMEOUT * 3, timeoutMessage = 'Prediction timeout', jobId, step, signal, onCreated } = {}) {
+  let prediction = null;
+
+  if (jobId && supabase) {
+    const { data: existing } = await supabase
+      .from('replicate_predictions')
+      .select('*')
+      .eq('job_id', jobId)
+      .eq('step', step)
+      .eq('model', model)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (existing && existing.status === 'succeeded') {
+      console.log(`♻️ Reusing completed prediction ${existing.id} for job ${jobId} (${step})`);
+      return existing.output;
+    }
+
+    if (existing && !PREDICTION_TERMINAL_STATUSES.includes(existing.status)) {
+      console.log(`♻️ Resuming wait for prediction ${existing.id} for job ${jobId} (${step})`);
+      prediction = { id: existing.id, status: existing.status };
+    }
+  }
+
+  if (!prediction) {
+    const [modelName, version] = model.split(':');
+    const webhook = getReplicateWebhookUrl();
+
+    prediction = await replicate.predictions.create({
+      ...(version ? { version } : { model: modelName }),
+      input,
+      ...(webhook ? { webhook, webhook_events_filter: ['completed'] } : {})
+    });
+
+    console.log(`🚀 Created prediction ${prediction.id} (${model})${webhook ? ' with webhook' : ''}`);
+    await savePrediction(prediction, { jobId, step, model });
+  }
+
+  if (onCreated) {
+    await onCreated(prediction);
+  }
+
+  const completed = PREDICTION_TERMINAL_STATUSES.includes(prediction.status)
+    ? prediction
+    : await waitForPrediction(prediction, { timeoutMs, timeoutMessage, signal });
+
+  if (completed.status !== 'succeeded') {
+    throw new Error(`Prediction ${completed.status}: ${completed.error || 'unknown error'}`);
+  }
+
+  return completed.output;
+}
+
+/**
+ * Verify a Replicate webhook signature (webhook-id / webhook-timestamp / webhook-signature headers)
+ * @param {object} req - Express request with `rawBody`
+ * @returns {boolean}
+ */
+function verifyReplicateWebhook(req) {
+  const id = req.get('webhook-id');
+  const timestamp = req.get('webhook-timestamp');
+  const signatureHeader = req.get('webhook-signature');
+
+  if (!REPLICATE_WEBHOOK_SECRET || !id || !timestamp || !signatureHeader || !req.rawBody) {
+    return false;
+  }
+
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > REPLICATE_WEBHOOK_TOLERANCE_SECONDS) {
+    return false;
+  }
+
+  const key = Buffer.from(REPLICATE_WEBHOOK_SECRET.replace(/^whsec_/, ''), 'base64');
+  const expected = crypto
+    .createHmac('sha256', key)
+    .update(`${id}.${timestamp}.${req.rawBody.toString('utf8')}`)
+    .digest('base64');
+
+  // Header birden fazla "v1,<imza>" içerebilir (secret rotasyonu)
+  return signatureHeader
+    .split(' ')
+    .map(entry => entry.split(',')[1])
+    .some(signature => safeEqual(signature, expected));
+}
+
+// Replicate webhook'u: tamamlanan prediction'ı bekleyen üretime ilet
+app.post('/api/webhooks/replicate', async (req, res) => {
+  try {
+    if (!verifyReplicateWebhook(req)) {
+      console.warn('⚠️ Rejected Replicate webhook with invalid signature');
+      return res.status(401).json({ error: 'Invalid webhook signature' });
+    }
+
+    const prediction = req.body;
+    console.log(`📬 Replicate webhook: prediction ${prediction.id} ${prediction.status}`);
+
+    await savePrediction(prediction);
+
+    if (!PREDICTION_TERMINAL_STATUSES.includes(prediction.status)) {
+      return res.json({ success: true });
+    }
+
+    const waiter = predictionWaiters.get(prediction.id);
+    if (waiter) {
+      waiter.settle(prediction);
+      return res.json({ success: true });
+    }
+
+    // Bu süreçte bekleyen yok (ör. yeniden başlatma sonrası): ilgili job'ı ilerlet
+    if (supabase) {
+      const { data: record } = await supabase
+        .from('replicate_predictions')
+        .select('job_id')
+        .eq('id', prediction.id)
+        .maybeSingle();
+
+      if (record?.job_id && !activeJobs.has(record.job_id)) {
+        const { data: job } = await supabase
+          .from('generation_jobs')
+          .select('*')
+          .eq('id', record.job_id)
+          .in('status', ['queued', 'running'])
+          .maybeSingle();
+
+        if (job) {
+          console.log(`📬 Advancing job ${job.id} from webhook`);
+          runPhotoJob(job).catch(error => console.error(`❌ [job ${job.id}] Unexpected error:`, error));
+        }
+      }
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Error handling Replicate webhook:', error);
+    res.status(500).json({ error: 'Failed to handle webhook', details: error.message });
+  }
+});
+
+// Karakter görselleri oluştur
+app.post('/api/create-images', async (req, res) => {
+  let charge = null;
+
+  try {
+    const { prompt, characterId } = req.body;
+
+    if (!prompt) {
+      return res.status(400).json({ error: 'Prompt is required' });
+    }
+
+    // Ücreti provider çağrısından önce düş, hata olursa iade et
+    charge = await chargeOperation({
+      userId: req.userId,
+      operation: 'create_images',
+      model: 'black-forest-labs/flux-1.1-pro',
+      metadata: { characterId }
+    });
+
+    if (!charge.ok) {
+      const { ok, status, ...body } = charge;
+      return res.status(status).json(body);
+    }
+
+    // Profil fotoğrafı için prompt (portrait)
+    const profilePrompt = `${prompt}, portrait, headshot, close-up, professional photography, high quality`;
+    
+    // Boydan fotoğraf için prompt (full body)
+    const fullBodyPrompt = `${prompt}, full body, standing, full length shot, professional photography, high quality`;
+
+    // Biri başarısız olursa diğer prediction'ı iptal et (boşuna ücretlenmesin)
+    const abortController = new AbortController();
+
+    // Replicate API ile görselleri oluştur
+    const [profileOutput, fullBodyOutput] = await Promise.all([
+      // Profil fotoğrafı
+      runPrediction(
+        "black-forest-labs/flux-1.1-pro",
+        {
+          prompt: profilePrompt,
+          aspect_ratio: "1:1",
+          output_format: "png",
+          output_quality: 90
+        },
+        { timeoutMessage: 'Profile image timeout', signal: abortController.signal }
+      ),
+      // Boydan fotoğraf
+      runPrediction(
+        "black-forest-labs/flux-1.1-pro",
+        {
+          prompt: fullBodyPrompt,
+          aspect_ratio: "9:16",
+          output_format: "png",
+          output_quality: 90
+        },
+        { timeoutMessage: 'Full body image timeout', signal: abortController.signal }
+      )
+    ]).catch(error => {
+      abortController.abort();
+      throw error;
+    });
+
+    // Replicate output genellikle array döner, ilk elemanı al
+    const profileImageURL = Array.isArray(profileOutput) ? profileOutput[0] : profileOutput;
+    const fullBodyImageURL = Array.isArray(fullBodyOutput) ? fullBodyOutput[0] : fullBodyOutput;
+
+    res.json({
+      profileImageURL,
+      fullBodyImageURL,
+      characterId,
+      newBalance: charge.balance
+    });
+  } catch (error) {
+    console.error('Error creating images:', error);
+    const newBalance = await refundOperation(charge, error.message);
+    res.status(500).json({ error: 'Failed to create images', details: error.message, newBalance });
+  }
+});
+
+// ========== CONVERSATION CONTEXT ==========
+
+// Modele gönderilecek context için token bütçesi (system prompt + özet + son mesajlar + yeni mesaj)
+const CHAT_CONTEXT_TOKEN_BUDGET = parseInt(process.env.CHAT_CONTEXT_TOKEN_BUDGET, 10) || 3000;
+// Özet için ayrılan maksimum token (modelin max_tokens değeri)
+const CHAT_SUMMARY_MAX_TOKENS = parseInt(process.env.CHAT_SUMMARY_MAX_TOKENS, 10) || 300;
+// Özetlenmemiş geçmişten bir istekte çekilecek en fazla mesaj (en yeniler)
+const CHAT_HISTORY_MAX_MESSAGES = parseInt(process.env.CHAT_HISTORY_MAX_MESSAGES, 10) || 200;
+// Özetleme: bir model çağrısına giren en fazla mesaj ve bir turda en fazla kaç parti katlanacağı
+const CHAT_SUMMARY_BATCH_MESSAGES = parseInt(process.env.CHAT_SUMMARY_BATCH_MESSAGES, 10) || 100;
+const CHAT_SUMMARY_MAX_BATCHES = parseInt(process.env.CHAT_SUMMARY_MAX_BATCHES, 10) || 5;
+
+// Aynı konuşma için aynı anda birden fazla özetleme çalışmasın
+const summariesInFlight = new Set();
+
+/**
+ * Rough token estimate (~4 characters per token + per-message overhead)
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  if (!text) {
+    return 0;
+  }
+  return Math.ceil(text.length / 4) + 4;
+}
+
+/**
+ * Normalize Replicate language model output (string, token array or object) to plain text
+ * @param {*} output - Raw output of replicate.run()
+ * @returns {string}
+ */
+function extractReplicateText(output) {
+  if (typeof output === 'string') {
+    return output;
+  }
+  if (Array.isArray(output)) {
+    // Array ise tüm string'leri birleştir
+    return output
+      .filter(item => item != null)
+      .map(item => typeof item === 'string' ? item : String(item))
+      .join('')
+      .trim();
+  }
+  if (output && typeof output === 'object') {
+    // Object ise text veya response field'ını ara
+    return output.text || output.response || output.output || output.content || JSON.stringify(output);
+  }
+  return String(output);
+}
+
+/**
+ * Build the model context for a conversation from the `messages` table.
+ * Keeps the system prompt, the rolling summary and the most recent turns that fit
+ * CHAT_CONTEXT_TOKEN_BUDGET. Turns that no longer fit are returned as `overflow`, and
+ * `foldUntil` marks how far the summary has to catch up (including rows beyond the window).
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {string} params.characterId
+ * @param {string} params.systemPrompt
+ * @param {string} params.message - New user message (not yet part of the history)
+ * @returns {Promise<{messages: Array<{role: string, content: string}>, overflow: Array<object>, foldUntil: {cursor: string, op: string}|null, summary: object|null}>}
+ */
+async function buildConversationContext({ userId, characterId, systemPrompt, message }) {
+  const { data: summaryRow, error: summaryError } = await supabase
+    .from('conversation_summaries')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('character_id', characterId)
+    .maybeSingle();
+
+  if (summaryError) {
+    console.error('❌ Error loading conversation summary:', summaryError);
+  }
+
+  // En yeni CHAT_HISTORY_MAX_MESSAGES mesaj; daha eskileri bağlama zaten sığmaz ve
+  // foldIntoSummary tarafından (sınırdan itibaren partiler halinde) özete katılır
+  let query = supabase
+    .from('messages')
+    .select('message_id, text, is_user, timestamp')
+    .eq('user_id', userId)
+    .eq('character_id', characterId)
+    .order('timestamp', { ascending: false })
+    .order('message_id', { ascending: false })
+    .limit(CHAT_HISTORY_MAX_MESSAGES);
+
+  // Özete katlanmış mesajları tekrar çekme; aynı timestamp'li mesajlar message_id ile ayrılır
+  const boundary = summaryBoundaryCursor(summaryRow);
+  if (boundary) {
+    query = applyPageCursor(query, boundary, { sortColumn: 'timestamp', idColumn: 'message_id', op: 'gt' });
+  }
+
+  const { data: rows, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to load conversation history: ${error.message}`);
+  }
+
+  const history = (rows || []).filter(row => row.text).reverse();
+
+  // Client yeni mesajı zaten kaydetmişse iki kez gönderme
+  const last = history[history.length - 1];
+  if (last && last.is_user && last.text === message) {
+    history.pop();
+  }
+
+  let remaining = CHAT_CONTEXT_TOKEN_BUDGET
+    - estimateTokens(systemPrompt)
+    - estimateTokens(summaryRow?.summary)
+    - estimateTokens(message);
+
+  // En yeni mesajdan geriye doğru bütçeye sığanları al
+  let firstIncluded = history.length;
+  while (firstIncluded > 0) {
+    const cost = estimateTokens(history[firstIncluded - 1].text);
+    if (cost > remaining) {
+      break;
+    }
+    remaining -= cost;
+    firstIncluded--;
+  }
+
+  const recent = history.slice(firstIncluded);
+  const overflow = history.slice(0, firstIncluded);
+
+  // Özete katlanacak sınır: bütçeye sığmayan son mesaj (dahil); pencere doluysa en az
+  // pencerenin dışında kalan (çekilen en eski mesajdan önceki) tüm mesajlar
+  let foldUntil = null;
+  if (overflow.length > 0) {
+    const lastOverflow = overflow[overflow.length - 1];
+    foldUntil = { cursor: encodePageCursor(lastOverflow.timestamp, lastOverflow.message_id), op: 'lte' };
+  } else if (rows && rows.length >= CHAT_HISTORY_MAX_MESSAGES) {
+    const oldest = rows[rows.length - 1];
+    foldUntil = { cursor: encodePageCursor(oldest.timestamp, oldest.message_id), op: 'lt' };
+  }
+
+  const messages = [{ role: 'system', content: systemPrompt }];
+
+  if (summaryRow?.summary) {
+    messages.push({
+      role: 'system',
+      content: `Summary of the earlier conversation:\n${summaryRow.summary}`
+    });
+  }
+
+  for (const row of recent) {
+    messages.push({
+      role: row.is_user ? 'user' : 'assistant',
+      content: row.text
+    });
+  }
+
+  messages.push({ role: 'user', content: message });
+
+  console.log(`🧠 Context built - recent turns: ${recent.length}, overflow: ${overflow.length}, summary: ${summaryRow?.summary ? 'yes' : 'no'}, budget left: ${remaining}`);
+
+  return { messages, overflow, foldUntil, summary: summaryRow || null };
+}
+
+/**
+ * Cursor of the last message folded into a summary row (see pageCursorCondition)
+ * @param {object|null} summaryRow - Row from `conversation_summaries`
+ * @returns {string|null}
+ */
+function summaryBoundaryCursor(summaryRow) {
+  if (!summaryRow?.summarized_until) {
+    return null;
+  }
+  return summaryRow.summarized_until_message_id
+    ? encodePageCursor(summaryRow.summarized_until, summaryRow.summarized_until_message_id)
+    : summaryRow.summarized_until;
+}
+
+/**
+ * Fold turns that fell out of the context window into the rolling conversation summary.
+ * Every unsummarized message up to `until` is folded, oldest first, in batches of
+ * CHAT_SUMMARY_BATCH_MESSAGES (also the ones older than the CHAT_HISTORY_MAX_MESSAGES window);
+ * at most CHAT_SUMMARY_MAX_BATCHES per call, the rest continue on the next chat turn.
+ * Runs in the background through the `summary` LLM route; failures are logged and retried on the next chat turn.
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {string} params.characterId
+ * @param {string} [params.characterName]
+ * @param {object|null} params.summary - Current summary row (or null)
+ * @param {{cursor: string, op: string}} params.until - Upper bound from buildConversationContext (`foldUntil`)
+ */
+async function foldIntoSummary({ userId, characterId, characterName, summary, until }) {
+  const key = `${userId}:${characterId}`;
+  if (summariesInFlight.has(key)) {
+    return;
+  }
+  summariesInFlight.add(key);
+
+  const upperBound = pageCursorCondition(until.cursor, { sortColumn: 'timestamp', idColumn: 'message_id', op: until.op });
+  const route = resolveLlmRoute({ purpose: 'summary' });
+  let current = summary;
+
+  try {
+    for (let batch = 0; batch < CHAT_SUMMARY_MAX_BATCHES; batch++) {
+      const boundary = summaryBoundaryCursor(current);
+      const lowerBound = boundary && pageCursorCondition(boundary, { sortColumn: 'timestamp', idColumn: 'message_id', op: 'gt' });
+
+      const { data: rows, error: loadError } = await supabase
+        .from('messages')
+        .select('message_id, text, is_user, timestamp')
+        .eq('user_id', userId)
+        .eq('character_id', characterId)
+        .or(lowerBound ? `and(or(${lowerBound}),or(${upperBound}))` : upperBound)
+        .order('timestamp', { ascending: true })
+        .order('message_id', { ascending: true })
+        .limit(CHAT_SUMMARY_BATCH_MESSAGES);
+
+      if (loadError) {
+        throw new Error(`Failed to load messages to summarize: ${loadError.message}`);
+      }
+      if (!rows || rows.length === 0) {
+        break;
+      }
+
+      const turns = rows.filter(row => row.text);
+      let newSummary = current?.summary || '';
+
+      // Yalnızca görsel içeren mesajlar özeti değiştirmez, sınır yine ilerler
+      if (turns.length > 0) {
+        const transcript = turns
+          .map(row => `${row.is_user ? 'User' : (characterName || 'Character')}: ${row.text}`)
+          .join('\n');
+
+        const completion = await completeChat({
+          route,
+          maxTokens: CHAT_SUMMARY_MAX_TOKENS,
+          temperature: 0.3,
+          messages: [
+            {
+              role: 'system',
+              content: 'You maintain a running summary of a chat between a user and a character. Merge the previous summary with the new turns. Keep names, facts about the user, promises, running jokes and the emotional tone. Write in the language of the conversation. Reply with the summary only, at most 200 words.'
+            },
+            {
+              role: 'user',
+              content: `Previous summary:\n${current?.summary || '(none)'}\n\nNew turns:\n${transcript}`
+            }
+          ]
+        });
+
+        newSummary = completion.text.trim();
+        if (!newSummary) {
+          console.warn('⚠️ Summarizer returned empty text, keeping previous summary');
+          return;
+        }
+      }
+
+      const lastRow = rows[rows.length - 1];
+      const row = {
+        user_id: userId,
+        character_id: characterId,
+        summary: newSummary,
+        summarized_until: lastRow.timestamp,
+        summarized_until_message_id: lastRow.message_id,
+        updated_at: new Date().toISOString()
+      };
+
+      const { error } = await supabase
+        .from('conversation_summaries')
+        .upsert(row, { onConflict: 'user_id,character_id' });
+
+      if (error) {
+        console.error('❌ Failed to save conversation summary:', error);
+        return;
+      }
+
+      current = row;
+      console.log(`🧠 Folded ${turns.length} turns into summary for ${key}`);
+
+      if (rows.length < CHAT_SUMMARY_BATCH_MESSAGES) {
+        break;
+      }
+    }
+  } catch (error) {
+    console.error('❌ Error updating conversation summary:', error);
+  } finally {
+    summariesInFlight.delete(key);
+  }
+}
+
+// ========== SERVER-SENT EVENTS HELPERS ==========
+
+/**
+ * Check whether the client asked for a streamed response
+ * (`stream: true` in the body or `Accept: text/event-stream`)
+ * @param {object} req - Express request
+ * @returns {boolean}
+ */
+function wantsEventStream(req) {
+  if (req.body && req.body.stream === true) {
+    return true;
+  }
+  const accept = req.headers.accept || '';
+  return accept.includes('text/event-stream');
+}
+
+/**
+ * Switch the response into Server-Sent Events mode
+ * @param {object} res - Express response
+ */
+function openEventStream(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Proxy buffering'i kapat (Render/nginx)
+  });
+  res.flushHeaders();
+}
+
+/**
+ * Write a single SSE event with a JSON payload
+ * @param {object} res - Express response
+ * @param {string} event - Event name (e.g. 'delta', 'done', 'error')
+ * @param {object} data - JSON-serializable payload
+ */
+function sendEvent(res, event, data) {
+  if (res.writableEnded) {
+    return;
+  }
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+// ========== LLM PROVIDERS ==========
+
+// Chat için sağlayıcılar ve yönlendirme. LLM_CONFIG (JSON) ile değiştirilebilir:
+// `providers`: ad -> { type: 'replicate' | 'openai' | 'openai_compatible', model, baseUrl, apiKeyEnv, timeoutMs, maxTokens, temperature }
+// `routes`: `characters` (characterId -> sağlayıcı listesi) > `tiers` (kullanıcı tier'ı -> liste) > `default`.
+// `summary` (isteğe bağlı): konuşma özetleme için liste, yoksa `default` kullanılır.
+// Listedeki sağlayıcılar sırayla denenir; hata veya timeout olursa bir sonrakine geçilir.
+const DEFAULT_LLM_CONFIG = {
+  providers: {
+    replicate: { type: 'replicate', model: 'openai/gpt-4o-mini' },
+    openai: { type: 'openai', model: 'gpt-4o-mini', baseUrl: 'https://api.openai.com/v1', apiKeyEnv: 'OPENAI_API_KEY' },
+    local: { type: 'openai_compatible', model: process.env.LOCAL_LLM_MODEL, baseUrl: process.env.LOCAL_LLM_BASE_URL, apiKeyEnv: 'LOCAL_LLM_API_KEY' }
+  },
+  routes: {
+    default: ['replicate', 'openai'],
+    tiers: {},
+    characters: {}
+  }
+};
+
+const LLM_DEFAULT_TIMEOUT_MS = 30000;
+const LLM_DEFAULT_MAX_TOKENS = 500;
+const LLM_DEFAULT_TEMPERATURE = 0.7;
+
+/**
+ * Read LLM_CONFIG (falls back to DEFAULT_LLM_CONFIG when unset or invalid)
+ * @returns {{providers: object, routes: object}}
+ */
+function loadLlmConfig() {
+  if (!process.env.LLM_CONFIG) {
+    return DEFAULT_LLM_CONFIG;
+  }
+
+  try {
+    const config = JSON.parse(process.env.LLM_CONFIG);
+    return {
+      providers: { ...DEFAULT_LLM_CONFIG.providers, ...config.providers },
+      routes: { ...DEFAULT_LLM_CONFIG.routes, ...config.routes }
+    };
+  } catch (error) {
+    console.error('❌ Invalid LLM_CONFIG, using defaults:', error.message);
+    return DEFAULT_LLM_CONFIG;
+  }
+}
+
+const llmConfig = loadLlmConfig();
+
+/**
+ * Replicate adapter: streams with replicate.stream when `onDelta` is given.
+ * Replicate does not report token usage, so usage is estimated. No tool calling.
+ * @param {object} provider - Provider config
+ * @param {object} request - { messages, maxTokens, temperature, signal, onDelta }
+ * @returns {Promise<{text: string, finishReason: string, toolCalls: Array<object>, usage: object}>}
+ */
+async function completeWithReplicate(provider, { messages, maxTokens, temperature, signal, onDelta }) {
+  const input = { messages, max_tokens: maxTokens, temperature };
+  let text = '';
+
+  if (onDelta) {
+    for await (const event of replicate.stream(provider.model, { input, signal })) {
+      if (event.event === 'output' && event.data) {
+        text += event.data;
+        onDelta(event.data);
+      }
+    }
+  } else {
+    const output = await replicate.run(provider.model, { input, signal });
+    text = extractReplicateText(output);
+  }
+
+  const outputTokens = estimateTokens(text);
+  return {
+    text,
+    // Replicate bitiş nedenini vermiyor; limite dayandıysa büyük ihtimalle kesildi
+    finishReason: outputTokens >= maxTokens ? 'length' : 'stop',
+    toolCalls: [],
+    usage: {
+      inputTokens: messages.reduce((sum, msg) => sum + estimateTokens(msg.content), 0),
+      outputTokens,
+      estimated: true
+    }
+  };
+}
+
+/**
+ * OpenAI Chat Completions adapter, also used for OpenAI-compatible endpoints (vLLM, Ollama, LM Studio...)
+ * @param {object} provider - Provider config ({ baseUrl, apiKeyEnv, model })
+ * @param {object} request - { messages, maxTokens, temperature, signal, onDelta, tools }
+ * @returns {Promise<{text: string, finishReason: string, toolCalls: Array<{name: string, arguments: object}>, usage: object}>}
+ */
+async function completeWithOpenAICompatible(provider, { messages, maxTokens, temperature, signal, onDelta, tools }) {
+  if (!provider.baseUrl || !provider.model) {
+    throw new Error('Provider is missing baseUrl or model');
+  }
+
+  const apiKey = provider.apiKeyEnv ? process.env[provider.apiKeyEnv] : null;
+  if (provider.type === 'openai' && !apiKey) {
+    throw new Error(`${provider.apiKeyEnv} is not configured`);
+  }
+
+  const streaming = Boolean(onDelta);
+  const response = await fetch(`${provider.baseUrl.replace(/\/$/, '')}/chat/completions`, {
+    method: 'POST',
+    headers: {
+      ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      model: provider.model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      ...(tools ? { tools, tool_choice: 'auto' } : {}),
+      ...(streaming ? { stream: true, stream_options: { include_usage: true } } : {})
+    }),
+    signal
+  });
+
+  if (!response.ok) {
+    const body = await response.text();
+    throw new Error(`Chat completions error ${response.status}: ${body.substring(0, 200)}`);
+  }
+
+  if (!streaming) {
+    const data = await response.json();
+    const choice = data.choices?.[0];
+    return {
+      text: choice?.message?.content || '',
+      finishReason: choice?.finish_reason || 'stop',
+      toolCalls: parseToolCalls(choice?.message?.tool_calls),
+      usage: {
+        inputTokens: data.usage?.prompt_tokens ?? null,
+        outputTokens: data.usage?.completion_tokens ?? null,
+        estimated: false
+      }
+    };
+  }
+
+  // SSE yanıtı: "data: {...}" satırları, "data: [DONE]" ile biter
+  let text = '';
+  let finishReason = 'stop';
+  let usage = null;
+  let buffer = '';
+  // Tool call argümanları parça parça gelir (index -> { function: { name, arguments } })
+  const toolCallParts = [];
+  const decoder = new TextDecoder();
+
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      const data = line.trim();
+      if (!data.startsWith('data:') || data === 'data: [DONE]') {
+        continue;
+      }
+
+      const event = JSON.parse(data.slice(5));
+      const choice = event.choices?.[0];
+      if (choice?.delta?.content) {
+        text += choice.delta.content;
+        onDelta(choice.delta.content);
+      }
+      for (const part of choice?.delta?.tool_calls || []) {
+        const call = toolCallParts[part.index] || (toolCallParts[part.index] = { function: { name: '', arguments: '' } });
+        call.function.name += part.function?.name || '';
+        call.function.arguments += part.function?.arguments || '';
+      }
+      if (choice?.finish_reason) {
+        finishReason = choice.finish_reason;
+      }
+      if (event.usage) {
+        usage = event.usage;
+      }
+    }
+  }
+
+  return {
+    text,
+    finishReason,
+    toolCalls: parseToolCalls(toolCallParts.filter(Boolean)),
+    usage: usage
+      ? { inputTokens: usage.prompt_tokens, outputTokens: usage.completion_tokens, estimated: false }
+      : { inputTokens: null, outputTokens: estimateTokens(text), estimated: true }
+  };
+}
+
+/**
+ * Normalize OpenAI tool calls to { name, arguments } with parsed JSON arguments
+ * @param {Array<object>} [toolCalls]
+ * @returns {Array<{name: string, arguments: object}>}
+ */
+function parseToolCalls(toolCalls) {
+  return (toolCalls || [])
+    .filter(call => call.function?.name)
+    .map(call => {
+      try {
+        return { name: call.function.name, arguments: JSON.parse(call.function.arguments || '{}') };
+      } catch (error) {
+        console.warn(`⚠️ Ignoring tool call ${call.function.name} with invalid arguments:`, error.message);
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+const LLM_ADAPTERS = {
+  replicate: completeWithReplicate,
+  openai: completeWithOpenAICompatible,
+  openai_compatible: completeWithOpenAICompatible
+};
+
+// Tool calling destekleyen sağlayıcı tipleri (provider config'te `supportsTools: false` ile kapatılabilir)
+const LLM_TOOL_CAPABLE_TYPES = ['openai', 'openai_compatible'];
+
+/**
+ * @param {object} provider
+ * @returns {boolean}
+ */
+function providerSupportsTools(provider) {
+  return LLM_TOOL_CAPABLE_TYPES.includes(provider.type) && provider.supportsTools !== false;
+}
+
+/**
+ * Resolve the ordered provider list for a chat request
+ * @param {object} params
+ * @param {string} [params.characterId]
+ * @param {string} [params.tier] - User tier (JWT app_metadata.tier)
+ * @param {string} [params.purpose] - Internal use with its own route (e.g. 'summary'), falls back to the default route
+ * @returns {Array<{name: string} & object>}
+ */
+function resolveLlmRoute({ characterId, tier, purpose }) {
+  const { routes, providers } = llmConfig;
+  const names = (purpose && routes[purpose])
+    || (characterId && routes.characters?.[characterId])
+    || (tier && routes.tiers?.[tier])
+    || routes.default;
+
+  return names
+    .filter(name => {
+      if (!providers[name] || !LLM_ADAPTERS[providers[name].type]) {
+        console.warn(`⚠️ Unknown LLM provider in route: ${name}`);
+        return false;
+      }
+      return true;
+    })
+    .map(name => ({ name, ...providers[name] }));
+}
+
+/**
+ * Run a chat completion, failing over to the next provider on errors or timeouts.
+ * No failover once text has been streamed to the client, or when the caller aborted.
+ * With `tools`, tool-capable providers are tried first (in configured order); the rest
+ * stay as fallbacks and are called without tools.
+ * @param {object} params
+ * @param {Array<object>} params.messages - [{ role, content }]
+ * @param {Array<object>} params.route - From resolveLlmRoute
+ * @param {AbortSignal} [params.signal]
+ * @param {function(string): void} [params.onDelta] - Streaming callback
+ * @param {Array<object>} [params.tools] - OpenAI tool definitions
+ * @param {number} [params.maxTokens] - Overrides the provider's maxTokens
+ * @param {number} [params.temperature] - Overrides the provider's temperature
+ * @returns {Promise<{text: string, finishReason: string, toolCalls: Array<object>, usage: object, provider: string, model: string}>}
+ */
+async function completeChat({ messages, route, signal, onDelta, tools, maxTokens, temperature }) {
+  let lastError = null;
+  const orderedRoute = tools
+    ? [...route.filter(providerSupportsTools), ...route.filter(provider => !providerSupportsTools(provider))]
+    : route;
+
+  for (const provider of orderedRoute) {
+    let streamed = false;
+    const timeoutController = new AbortController();
+    const timer = setTimeout(() => timeoutController.abort(), provider.timeoutMs || LLM_DEFAULT_TIMEOUT_MS);
+    const providerSignal = signal ? AbortSignal.any([signal, timeoutController.signal]) : timeoutController.signal;
+
+    try {
+      console.log(`🤖 Calling ${provider.name} (${provider.model})...`);
+      const result = await LLM_ADAPTERS[provider.type](provider, {
+        messages,
+        maxTokens: maxTokens || provider.maxTokens || LLM_DEFAULT_MAX_TOKENS,
+        temperature: temperature ?? provider.temperature ?? LLM_DEFAULT_TEMPERATURE,
+        signal: providerSignal,
+        tools: tools && providerSupportsTools(provider) ? tools : undefined,
+        onDelta: onDelta && ((text) => {
+          streamed = true;
+          onDelta(text);
+        })
+      });
+
+      return { ...result, provider: provider.name, model: provider.model };
+    } catch (error) {
+      lastError = timeoutController.signal.aborted && !signal?.aborted
+        ? new Error(`${provider.name} timed out`)
+        : error;
+      console.warn(`⚠️ LLM provider ${provider.name} failed:`, lastError.message);
+
+      if (streamed || signal?.aborted) {
+        throw lastError;
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  throw lastError || new Error('No LLM provider configured');
+}
+
+// ========== CHAT PHOTO REQUESTS ==========
+
+// Kullanıcı sohbette fotoğraf isterse ("bana plajda bir fotoğrafını at") model bu tool'u çağırır;
+// sunucu fotoğraf pipeline'ını çalıştırıp görseli cevapla birlikte döner. CHAT_PHOTO_REQUESTS=false ile kapatılır.
+const CHAT_PHOTO_REQUESTS_ENABLED = process.env.CHAT_PHOTO_REQUESTS !== 'false';
+
+const CHAT_PHOTO_TOOL = {
+  type: 'function',
+  function: {
+    name: 'send_photo',
+    description: 'Send the user a photo of yourself. Call this only when the user asks you for a picture, photo or selfie of you, in any language. Do not call it for other requests.',
+    parameters: {
+      type: 'object',
+      properties: {
+        scene_description: {
+          type: 'string',
+          description: 'What the photo shows, in English, as a short image prompt: place, activity, pose, clothing, lighting. Do not describe your face.'
+        },
+        reply: {
+          type: 'string',
+          description: 'Short in-character message sent together with the photo, in the same language the user writes in.'
+        }
+      },
+      required: ['scene_description', 'reply']
+    }
+  }
+};
+
+/**
+ * Find the photo tool call in a completion, if the model made one
+ * @param {object} completion - completeChat result
+ * @returns {{name: string, arguments: {scene_description: string, reply: string}}|null}
+ */
+function findPhotoToolCall(completion) {
+  const call = completion.toolCalls?.find(toolCall => toolCall.name === CHAT_PHOTO_TOOL.function.name);
+  return call && call.arguments.scene_description ? call : null;
+}
+
+/**
+ * Charge and run the photo pipeline for a photo requested in chat. Never throws:
+ * failures are refunded and returned as `{ error }` so the text reply is still delivered.
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {string} [params.characterId]
+ * @param {string} params.description - Scene description from the tool call
+ * @returns {Promise<{imageURL?: string, error?: string, details?: string, newBalance?: number|null}>}
+ */
+async function fulfillChatPhotoRequest({ userId, characterId, description }) {
+  let charge = null;
+
+  try {
+    // Yüz tutarlılığı için kayıtlı profil fotoğrafı
+    const character = characterId && supabase ? await getCharacterRow(userId, characterId) : null;
+
+    charge = await chargeOperation({
+      userId,
+      operation: 'generate_photo',
+      model: 'black-forest-labs/flux-1.1-pro',
+      metadata: { characterId, source: 'chat' }
+    });
+
+    if (!charge.ok) {
+      return { error: charge.error, required: charge.required, available: charge.available };
+    }
+
+    const { imageURL, photoId } = await runPhotoPipeline({
+      userId,
+      characterId,
+      description,
+      characterName: character?.name,
+      // Private modda saklanan yol Replicate'in indirebileceği imzalı URL'e çevrilir
+      profileImageURL: (await getImageUrl(character?.profile_image_url)) || undefined
+    });
+
+    return await presentImageUrls({ imageURL, photoId, newBalance: charge.balance });
+  } catch (error) {
+    console.error('❌ Error generating photo requested in chat:', error.message);
+    return {
+      error: error.body?.error || 'Failed to generate photo',
+      details: error.message,
+      newBalance: await refundOperation(charge, error.message)
+    };
+  }
+}
+
+/**
+ * Completion metadata returned to the client next to the response text
+ * @param {object} completion - completeChat result
+ * @returns {{provider: string, model: string, finishReason: string, usage: object}}
+ */
+function describeCompletion(completion) {
+  return {
+    provider: completion.provider,
+    model: completion.model,
+    finishReason: completion.finishReason,
+    usage: completion.usage
+  };
+}
+
+// Chat endpoint
+// History: `characterId` gönderilirse context sunucuda `messages` tablosundan kurulur (token bütçesi + özet);
+// client sadece yeni mesajı göndermeli. Aksi halde eski `messageHistory` davranışı geçerli.
+// Persona: system prompt kayıtlı karakterden kurulur (`characterPrompt` sadece ALLOW_CLIENT_CHARACTER_PROMPT ile).
+// Streaming: `stream: true` veya `Accept: text/event-stream` ile SSE olarak döner.
+// Model: LLM_CONFIG route'undaki sağlayıcılar sırayla denenir (bkz. LLM PROVIDERS).
+// Events: `delta` { text } → token parçaları, `done` { response, characterId, provider, model, finishReason, usage } → final metin,
+// `photo` { status: 'generating' | 'ready' | 'failed', imageURL } → sohbette istenen fotoğraf (yanıtta `imageURL`),
+// `error` { response, error, details, characterId } → fallback mesajı ile hata.
+app.post('/api/chat', async (req, res) => {
+  const userId = req.userId;
+  const { characterId, message, characterPrompt, characterName, messageHistory } = req.body;
+  const streaming = wantsEventStream(req);
+  let charge = null;
+
+  try {
+    console.log('📥 Chat request received:', { characterId, characterName, message: message?.substring(0, 50) + '...', historyLength: messageHistory?.length || 0, streaming });
+
+    if (!message) {
+      console.error('❌ Missing required fields');
+      return res.status(400).json({ error: 'Message is required' });
+    }
+
+    // Persona prompt sunucuda, kayıtlı karakterden kurulur
+    let persona;
+    try {
+      persona = await buildCharacterPrompt({ userId, characterId, mode: 'chat', clientPrompt: characterPrompt, characterName });
+    } catch (error) {
+      if (!error.status) {
+        throw error;
+      }
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    // Sağlayıcı sırası: karakter > kullanıcı tier'ı > varsayılan
+    const route = resolveLlmRoute({ characterId, tier: req.auth?.app_metadata?.tier });
+    if (route.length === 0) {
+      return res.status(500).json({ error: 'No LLM provider configured' });
+    }
+
+    // Ücreti model çağrısından önce düş (route'taki en pahalı modelin fiyatı), cevap veren
+    // modelin fiyatına göre farkı iade et; hata olursa tamamını iade et
+    charge = await chargeOperation({
+      userId,
+      operation: 'chat',
+      model: await highestPricedModel('chat', route.map(provider => provider.model)),
+      metadata: { characterId }
+    });
+
+    if (!charge.ok) {
+      const { ok, status, ...body } = charge;
+      return res.status(status).json(body);
+    }
+
+    const systemPrompt = persona.prompt;
+
+    console.log('🤖 LLM route:', route.map(provider => provider.name).join(' → '));
+    console.log(`📝 System prompt (${persona.source}, templates ${persona.templateVersion}):`, systemPrompt.substring(0, 100) + '...');
+    console.log('📝 User message:', message);
+    console.log('📝 Message history length:', messageHistory?.length || 0);
+    
+    let response = '';
+    let completion = null;
+    let photoCall = null;
+    const abortController = new AbortController();
+    
+    // Sunucu tarafı geçmiş: characterId varsa context'i messages tablosundan kur
+    let context = null;
+    if (characterId && supabase) {
+      context = await buildConversationContext({ userId, characterId, systemPrompt, message });
+    }
+
+    try {
+      // Mesaj geçmişini hazırla
+      let messages = [];
+
+      if (context) {
+        messages = context.messages;
+      } else {
+        // System message ekle
+        messages.push({
+          role: 'system',
+          content: systemPrompt
+        });
+        
+        // Mesaj geçmişini ekle (eğer varsa) - eski client'lar için
+        if (messageHistory && Array.isArray(messageHistory)) {
+          messageHistory.forEach(msg => {
+            if (msg.role && msg.content) {
+              messages.push({
+                role: msg.role,
+                content: msg.content
+              });
+            }
+          });
+        }
+        
+        // Son kullanıcı mesajını ekle
+        messages.push({
+          role: 'user',
+          content: message
+        });
+      }
+      
+      console.log('📤 Total messages to send:', messages.length);
+
+      if (streaming) {
+        // SSE: token'ları geldikçe ilet
+        openEventStream(res);
+
+        // Client bağlantıyı kapatırsa sağlayıcı isteğini de durdur
+        res.on('close', () => {
+          if (!res.writableEnded) {
+            console.log('⚠️ Client closed chat stream, aborting LLM request');
+            abortController.abort();
+          }
+        });
+      }
+
+      completion = await completeChat({
+        messages,
+        route,
+        signal: abortController.signal,
+        onDelta: streaming ? (text => sendEvent(res, 'delta', { text })) : undefined,
+        tools: CHAT_PHOTO_REQUESTS_ENABLED ? [CHAT_PHOTO_TOOL] : undefined
+      });
+      response = completion.text;
+
+      // Fotoğraf isteğinde metin cevap tool argümanında gelir
+      photoCall = findPhotoToolCall(completion);
+      if (photoCall && !response.trim()) {
+        response = photoCall.arguments.reply || '';
+        if (streaming && response) {
+          sendEvent(res, 'delta', { text: response });
+        }
+      }
+
+      console.log(`📥 ${completion.provider} (${completion.model}) finished: ${completion.finishReason}, usage:`, completion.usage);
+      console.log('📥 Raw response:', response.substring(0, 200));
+      
+      // Response'u temizle
+      response = response.trim();
+      
+      if (!response || response.length < 3) {
+        console.warn('⚠️ Response too short, using default');
+        response = "I'm here, how can I help you?";
+      }
+      
+      console.log('✅ Final response:', response.substring(0, 100) + '...');
+      
+    } catch (llmError) {
+      console.error('❌ LLM Error:', llmError);
+
+      // Hata fırlat ki üst seviye catch bloğu yakalasın
+      throw new Error(`LLM error: ${llmError.message || 'Unknown error'}`);
+    }
+
+    console.log('✅ Final response:', response.substring(0, 100) + '...');
+
+    if (!response || response.length < 3) {
+      console.warn('⚠️ Empty response, using character-based fallback');
+      // Karakter özelliklerine göre daha iyi bir fallback
+      response = `*${systemPrompt.includes('Romantic') ? 'smiles warmly* ' : ''}${message}. That's interesting. Tell me more about that.`;
+    }
+
+    const settledBalance = await settleOperation(charge, completion.model);
+
+    // Bağlama girmeyen eski mesajları arka planda özete katla
+    if (context?.foldUntil) {
+      foldIntoSummary({ userId, characterId, characterName: persona.characterName, summary: context.summary, until: context.foldUntil });
+    }
+
+    // Kullanıcı fotoğraf istedi: pipeline'ı çalıştır, görseli cevapla birlikte döndür
+    let photo = null;
+    if (photoCall) {
+      console.log('📸 Photo requested in chat:', photoCall.arguments.scene_description);
+      if (streaming) {
+        sendEvent(res, 'photo', { status: 'generating' });
+      }
+      photo = await fulfillChatPhotoRequest({ userId, characterId, description: photoCall.arguments.scene_description });
+      if (streaming) {
+        sendEvent(res, 'photo', photo.imageURL ? { status: 'ready', imageURL: photo.imageURL, imageVariants: photo.imageVariants, photoId: photo.photoId } : { status: 'failed', ...photo });
+      }
+    }
+
+    const photoFields = photo
+      ? { imageURL: photo.imageURL || null, imageVariants: photo.imageVariants || null, photoId: photo.photoId || null, ...(photo.error ? { photoError: photo.error } : {}) }
+      : {};
+    const newBalance = photo?.newBalance ?? settledBalance ?? charge.balance;
+
+    if (streaming) {
+      // Final event: client delta'ları değil bu metni esas almalı (fallback'ler dahil)
+      sendEvent(res, 'done', { response, characterId, newBalance, ...photoFields, ...describeCompletion(completion) });
+      res.end();
+      return;
+    }
+
+    res.json({
+      response,
+      characterId,
+      newBalance,
+      ...photoFields,
+      ...describeCompletion(completion)
+    });
+  } catch (error) {
+    console.error('❌ Error in chat:', error);
+    console.error('❌ Error message:', error.message);
+    console.error('❌ Error stack:', error.stack);
+    
+    // Hata durumunda bile kullanıcıya anlamlı bir mesaj döndür
+    const errorResponse = `I'm having trouble processing that right now, but I heard you say "${(message || '').substring(0, 30)}...". Can you try rephrasing that?`;
+    const errorPayload = {
+      response: errorResponse,
+      error: 'Failed to get chat response', 
+      details: error.message,
+      characterId,
+      newBalance: await refundOperation(charge, error.message)
+    };
+
+    if (streaming) {
+      if (!res.headersSent) {
+        openEventStream(res);
+      }
+      sendEvent(res, 'error', errorPayload);
+      res.end();
+      return;
+    }
+    
+    res.status(500).json(errorPayload);
+  }
+});
+
+// ========== PHOTO GENERATION PIPELINE ==========
+
+// Adımlar: sahne/portre üretimi → face swap (+ fallback'ler) → Storage upload
+const PHOTO_PIPELINE_STEPS = ['scene', 'face_swap', 'upload'];
+
+// Senaryolar, adımlar, modeller, parametreler ve fallback sırası bu dosyada tanımlı
+const PHOTO_PIPELINE_PATH = process.env.PHOTO_PIPELINE_PATH || path.join(__dirname, 'catalog', 'photo-pipeline.json');
+
+// Arka arkaya bu kadar hata veren model cooldown süresince atlanır
+const MODEL_FAILURE_THRESHOLD = parseInt(process.env.MODEL_FAILURE_THRESHOLD, 10) || 3;
+const MODEL_COOLDOWN_MS = parseInt(process.env.MODEL_COOLDOWN_MS, 10) || 5 * 60 * 1000;
+
+/**
+ * Load and sanity-check the photo pipeline config. Throws on a malformed file.
+ * @param {string} filePath
+ * @returns {object}
+ */
+function loadPhotoPipelineConfig(filePath) {
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  for (const name of ['portrait', 'scene']) {
+    const scenario = config.scenarios?.[name];
+    if (!scenario || !Array.isArray(scenario.steps)) {
+      throw new Error(`Photo pipeline ${filePath} is missing scenario "${name}"`);
+    }
+
+    for (const stepConfig of scenario.steps) {
+      if (!PHOTO_PIPELINE_STEPS.includes(stepConfig.step)) {
+        throw new Error(`Photo pipeline scenario "${name}" has unknown step "${stepConfig.step}"`);
+      }
+      if (!stepConfig.skip && !stepConfig.candidates?.length) {
+        throw new Error(`Photo pipeline step "${name}.${stepConfig.step}" has no candidate models`);
+      }
+    }
+  }
+
+  return config;
+}
+
+const photoPipelineConfig = loadPhotoPipelineConfig(PHOTO_PIPELINE_PATH);
+console.log(`✅ Photo pipeline ${photoPipelineConfig.version} loaded`);
+
+// Model sağlık durumu (model -> sayaçlar); süreç içinde tutulur
+const modelHealth = new Map();
+
+/**
+ * Get (or create) the health record of a model
+ * @param {string} model
+ * @returns {object}
+ */
+function getModelHealth(model) {
+  if (!modelHealth.has(model)) {
+    modelHealth.set(model, {
+      successes: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      totalLatencyMs: 0,
+      lastLatencyMs: null,
+      lastError: null,
+      lastFailureAt: null,
+      cooldownUntil: 0
+    });
+  }
+  return modelHealth.get(model);
+}
+
+/**
+ * Record the outcome of a model call; repeated failures start a cooldown
+ * @param {string} model
+ * @param {object} result
+ * @param {boolean} result.ok
+ * @param {number} result.latencyMs
+ * @param {string} [result.error]
+ */
+function recordModelResult(model, { ok, latencyMs, error }) {
+  const health = getModelHealth(model);
+  health.totalLatencyMs += latencyMs;
+  health.lastLatencyMs = latencyMs;
+
+  if (ok) {
+    health.successes++;
+    health.consecutiveFailures = 0;
+    health.cooldownUntil = 0;
+    return;
+  }
+
+  health.failures++;
+  health.consecutiveFailures++;
+  health.lastError = error;
+  health.lastFailureAt = Date.now();
+
+  if (health.consecutiveFailures >= MODEL_FAILURE_THRESHOLD) {
+    health.cooldownUntil = Date.now() + MODEL_COOLDOWN_MS;
+    console.warn(`🧊 ${model} failed ${health.consecutiveFailures} times in a row, cooling down for ${MODEL_COOLDOWN_MS / 1000}s`);
+  }
+}
+
+/**
+ * Order step candidates: models in cooldown are skipped. If every model is cooling down,
+ * the one whose cooldown ends first is still tried so the step does not fail without an attempt.
+ * @param {Array<object>} candidates
+ * @returns {Array<object>}
+ */
+function selectHealthyCandidates(candidates) {
+  const now = Date.now();
+  const healthy = candidates.filter(candidate => getModelHealth(candidate.model).cooldownUntil <= now);
+
+  for (const candidate of candidates) {
+    if (!healthy.includes(candidate)) {
+      console.log(`🧊 Skipping ${candidate.model} (cooling down until ${new Date(getModelHealth(candidate.model).cooldownUntil).toISOString()})`);
+    }
+  }
+
+  if (healthy.length > 0) {
+    return healthy;
+  }
+
+  const soonest = [...candidates].sort((a, b) => getModelHealth(a.model).cooldownUntil - getModelHealth(b.model).cooldownUntil)[0];
+  return [soonest];
+}
+
+/**
+ * Resolve `{{var}}` placeholders. A value that is exactly one placeholder keeps the variable's type.
+ * @param {*} value
+ * @param {object} vars
+ * @returns {*}
+ */
+function resolvePipelineValue(value, vars) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  const whole = value.match(/^\{\{(\w+)\}\}$/);
+  if (whole) {
+    return vars[whole[1]];
+  }
+
+  return value.replace(/\{\{(\w+)\}\}/g, (match, key) => vars[key] ?? '');
+}
+
+/**
+ * Build the model input for a candidate; `inputIfAvailable` is merged only when all its values resolve
+ * @param {object} candidate
+ * @param {object} vars
+ * @returns {object}
+ */
+function buildCandidateInput(candidate, vars) {
+  const resolve = (input) => Object.fromEntries(
+    Object.entries(input || {}).map(([key, value]) => [key, resolvePipelineValue(value, vars)])
+  );
+
+  const input = resolve(candidate.input);
+  const optional = resolve(candidate.inputIfAvailable);
+
+  if (Object.values(optional).every(value => value !== undefined && value !== null && value !== '')) {
+    Object.assign(input, optional);
+  }
+
+  return input;
+}
+
+/**
+ * Extract the image URL from a Replicate image model output
+ * @param {*} output
+ * @returns {string|null}
+ */
+function extractImageUrl(output) {
+  if (Array.isArray(output)) {
+    return output[0] || null;
+  }
+  if (typeof output === 'string') {
+    return output;
+  }
+  if (output && typeof output === 'object') {
+    return output.url || output.image || output[0] || null;
+  }
+  return null;
+}
+
+/**
+ * Run one pipeline step: try its candidate models in order until one returns an image
+ * @param {object} stepConfig - Step from the pipeline config
+ * @param {object} vars - Template variables
+ * @param {object} context - { onStep, jobId }
+ * @returns {Promise<{imageURL: string, model: string, input: object}>} - Throws the last model error (with `.model`)
+ */
+async function runPipelineStep(stepConfig, vars, { onStep, jobId }) {
+  const { step } = stepConfig;
+  let lastError = null;
+
+  for (const candidate of selectHealthyCandidates(stepConfig.candidates)) {
+    const startedAt = Date.now();
+    console.log(`📸 [${step}] Trying ${candidate.model}${candidate.label ? ` (${candidate.label})` : ''}...`);
+    await onStep(step, 'running', { model: candidate.model, ...(candidate.label ? { fallback: candidate.label } : {}) });
+
+    try {
+      const modelInput = buildCandidateInput(candidate, vars);
+      const output = await runPrediction(candidate.model, modelInput, {
+        timeoutMessage: candidate.timeoutMessage,
+        jobId,
+        step,
+        // Oluşturulan prediction ID'sini adım durumuna yaz (webhook/yeniden başlatma eşleşmesi için)
+        onCreated: (prediction) => onStep(step, 'running', { predictionId: prediction.id })
+      });
+
+      const imageURL = extractImageUrl(output);
+      if (!imageURL) {
+        throw new Error('Model returned no image URL');
+      }
+
+      recordModelResult(candidate.model, { ok: true, latencyMs: Date.now() - startedAt });
+      console.log(`✅ [${step}] ${candidate.model} completed:`, imageURL);
+      return { imageURL, model: candidate.model, input: modelInput };
+    } catch (error) {
+      recordModelResult(candidate.model, { ok: false, latencyMs: Date.now() - startedAt, error: error.message });
+      console.warn(`⚠️ [${step}] ${candidate.model} failed:`, error.message);
+      lastError = error;
+      lastError.model = candidate.model;
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Create a pipeline error that carries the JSON body returned to the client
+ * @param {object} body - e.g. { error, details, model }
+ * @returns {Error}
+ */
+function photoPipelineError(body) {
+  const error = new Error(body.details || body.error);
+  error.body = body;
+  return error;
+}
+
+/**
+ * Generate a character photo for a user description, following the configured pipeline scenario
+ * @param {object} input
+ * @param {string} [input.userId] - Owner of the gallery entry
+ * @param {string} [input.characterId]
+ * @param {string} input.description - User's request, e.g. "at the beach at sunset"
+ * @param {string} [input.characterName]
+ * @param {string} [input.profileImageBase64] - Used for face consistency (img2img / face swap)
+ * @param {string} [input.profileImageURL] - Stored profile image, used when no base64 is given
+ * @param {object} [hooks]
+ * @param {function(string, string, object=): Promise<void>} [hooks.onStep] - Called as (step, status, details)
+ *   with step in PHOTO_PIPELINE_STEPS and status 'running' | 'succeeded' | 'failed' | 'skipped'
+ * @param {string} [hooks.jobId] - Links Replicate predictions to a generation job (reused after restarts)
+ * @returns {Promise<{imageURL: string, storedInSupabase: boolean, photoId: string|null}>} - Throws photoPipelineError on failure
+ */
+async function runPhotoPipeline(input, { onStep = async () => {}, jobId } = {}) {
+  const { description, profileImageBase64, profileImageURL } = input;
+  const config = photoPipelineConfig;
+
+  // Portre isteği kontrolü
+  const descriptionLower = description.toLowerCase();
+  const isPortraitRequest = config.portraitKeywords.some(keyword => descriptionLower.includes(keyword));
+
+  // CRITICAL: User's description is EVERYTHING. No character traits added.
+  // Face consistency is maintained via Img2Img/FaceSwap ONLY.
+
+  // Clean user description - remove Turkish phrases like "bana", "fotoğrafını at" etc.
+  const cleanDescription = description
+    .replace(/bana\s+/gi, '')
+    .replace(/\s+fotoğrafını\s+at/gi, '')
+    .replace(/\s+foto\s+at/gi, '')
+    .replace(/\s+fotoğraf\s+at/gi, '')
+    .trim();
+
+  // Çok büyük profil fotoğrafı model girdisi olarak kullanılmaz
+  let profileImage;
+  if (profileImageBase64 && profileImageBase64.length > config.maxProfileImageBase64Length) {
+    console.warn('⚠️ Base64 image too large, not using it for face consistency');
+  } else if (profileImageBase64) {
+    profileImage = `data:image/jpeg;base64,${profileImageBase64}`;
+  } else if (profileImageURL) {
+    profileImage = profileImageURL;
+  }
+
+  // Sahne seed'i galeride saklanır (aynı görseli yeniden üretebilmek için)
+  const vars = { description: cleanDescription, profileImage, seed: crypto.randomInt(2147483647) };
+  for (const [name, template] of Object.entries(config.prompts)) {
+    vars[name] = resolvePipelineValue(template, vars);
+  }
+
+  const scenarioName = isPortraitRequest && profileImage ? 'portrait' : 'scene';
+  const scenario = config.scenarios[scenarioName];
+
+  console.log('📸 Has profile image for face consistency:', !!profileImage);
+  console.log(`📸 Scenario: ${scenarioName} (pipeline ${config.version}) - ${scenario.description || ''}`);
+  console.log('📸 Cleaned description:', cleanDescription);
+
+  let imageURL = null;
+  // Galeri kaydı için: son görseli üreten model ve sahneyi üreten prompt
+  let finalModel = null;
+  let finalPrompt = null;
+
+  for (const stepConfig of scenario.steps) {
+    const { step } = stepConfig;
+
+    if (stepConfig.skip) {
+      await onStep(step, 'skipped');
+      continue;
+    }
+
+    const missing = (stepConfig.requires || []).filter(name => !vars[name]);
+    if (missing.length > 0) {
+      console.log(`⚠️ [${step}] Skipped, missing: ${missing.join(', ')}`);
+      await onStep(step, 'skipped', { missing });
+      continue;
+    }
+
+    try {
+      const result = await runPipelineStep(stepConfig, vars, { onStep, jobId });
+      imageURL = result.imageURL;
+      finalModel = result.model;
+      finalPrompt = finalPrompt || result.input.prompt || null;
+      if (stepConfig.output) {
+        vars[stepConfig.output] = result.imageURL;
+      }
+      await onStep(step, 'succeeded', { model: result.model });
+    } catch (error) {
+      // Örn. face swap başarısız: sahne görseli ile devam et
+      if (stepConfig.onFailure === 'use_previous' && imageURL) {
+        console.warn(`⚠️ [${step}] All models failed, using previous step's image`);
+        await onStep(step, 'failed', { error: error.message, usedSceneImage: true });
+        continue;
+      }
+
+      await onStep(step, 'failed', { error: error.message });
+      throw photoPipelineError({
+        error: stepConfig.errorMessage || `Failed to generate photo (${step})`,
+        details: error.message || 'Unknown error',
+        model: error.model
+      });
+    }
+  }
+
+  // Validate image URL
+  if (!imageURL) {
+    console.error('❌ No image URL in output');
+    throw photoPipelineError({ 
+      error: 'Failed to generate photo - no image URL in response'
+    });
+  }
+  
+  // URL'in geçerli olup olmadığını kontrol et
+  if (!imageURL.startsWith('http://') && !imageURL.startsWith('https://')) {
+    console.error('❌ Invalid image URL format:', imageURL);
+    throw photoPipelineError({ 
+      error: 'Failed to generate photo - invalid image URL format',
+      imageURL: imageURL
+    });
+  }
+
+  console.log('✅ Final photo generated from Replicate:', imageURL);
+
+  // CRITICAL: Download Replicate image and upload to Supabase Storage for persistence
+  console.log('📥 Downloading image from Replicate and uploading to Supabase Storage...');
+  await onStep('upload', 'running');
+  const uuid = crypto.randomUUID();
+  const filePath = userStoragePath('generated', input.userId, `${uuid}.jpg`);
+  const uploaded = await uploadUrlToSupabase(imageURL, filePath);
+
+  if (!uploaded) {
+    console.error('❌ Failed to upload to Supabase Storage, returning Replicate URL as fallback');
+    await onStep('upload', 'failed', { error: 'Storage upload failed, using Replicate URL' });
+    // Fallback to Replicate URL if Storage upload fails
+    return { imageURL, storedInSupabase: false, photoId: null };
+  }
+
+  console.log('✅ Photo uploaded to Supabase Storage:', uploaded);
+
+  // Karakter galerisine kaydet (hata üretimi bozmaz)
+  const photoId = await saveGalleryPhoto({
+    userId: input.userId,
+    characterId: input.characterId,
+    storagePath: filePath,
+    imageURL: uploaded,
+    prompt: finalPrompt,
+    model: finalModel,
+    // Seed sadece sahneyi Flux ürettiyse anlamlı
+    seed: finalPrompt ? vars.seed : null,
+    scenario: scenarioName,
+    jobId
+  });
+
+  await onStep('upload', 'succeeded', { photoId });
+
+  // Return the Storage reference (permanent) instead of Replicate URL (temporary); responses turn it into a loadable URL
+  return { imageURL: uploaded, storedInSupabase: true, photoId };
+}
+
+// Model başına başarı oranı, gecikme ve cooldown durumu
+app.get('/api/admin/model-stats', (req, res) => {
+  const now = Date.now();
+  const configuredModels = Object.values(photoPipelineConfig.scenarios)
+    .flatMap(scenario => scenario.steps)
+    .flatMap(stepConfig => stepConfig.candidates || [])
+    .map(candidate => candidate.model);
+
+  const models = [...new Set([...configuredModels, ...modelHealth.keys()])].map(model => {
+    const health = getModelHealth(model);
+    const attempts = health.successes + health.failures;
+
+    return {
+      model,
+      attempts,
+      successes: health.successes,
+      failures: health.failures,
+      successRate: attempts > 0 ? health.successes / attempts : null,
+      averageLatencyMs: attempts > 0 ? Math.round(health.totalLatencyMs / attempts) : null,
+      lastLatencyMs: health.lastLatencyMs,
+      consecutiveFailures: health.consecutiveFailures,
+      coolingDown: health.cooldownUntil > now,
+      cooldownUntil: health.cooldownUntil > now ? new Date(health.cooldownUntil).toISOString() : null,
+      lastError: health.lastError,
+      lastFailureAt: health.lastFailureAt ? new Date(health.lastFailureAt).toISOString() : null
+    };
+  });
+
+  res.json({
+    success: true,
+    pipelineVersion: photoPipelineConfig.version,
+    failureThreshold: MODEL_FAILURE_THRESHOLD,
+    cooldownMs: MODEL_COOLDOWN_MS,
+    models
+  });
+});
+
+// ========== GENERATION JOBS ==========
+
+// Bir job'ın sunucu çökmeleri arasında en fazla kaç kez yeniden başlatılacağı
+const JOB_MAX_ATTEMPTS = 3;
+
+// Bu süreçte çalışmakta olan job ID'leri (aynı job iki kez başlatılmasın)
+const activeJobs = new Set();
+
+/**
+ * Persist a partial update of a generation job
+ * @param {string} jobId
+ * @param {object} patch - Column values to update
+ */
+async function updateJob(jobId, patch) {
+  const { error } = await supabase
+    .from('generation_jobs')
+    .update({ ...patch, updated_at: new Date().toISOString() })
+    .eq('id', jobId);
+
+  if (error) {
+    console.error(`❌ Failed to update job ${jobId}:`, error);
+  }
+}
+
+/**
+ * Delete the profile image a job was created with (uploaded to Storage instead of being kept in `input`)
+ * @param {object} job - Row from `generation_jobs`
+ */
+async function releaseJobInput(job) {
+  const filePath = storagePathFromUrl(job.input?.profileImagePath);
+  if (filePath) {
+    await removeFromSupabase([filePath]);
+  }
+}
+
+/**
+ * Run (or re-run after a restart) a generate-photo job and persist per-step status.
+ * Charges were taken when the job was created; failures refund them.
+ * @param {object} job - Row from `generation_jobs`
+ */
+async function runPhotoJob(job) {
+  const tag = `[job ${job.id}]`;
+  const steps = job.steps || {};
+
+  if (activeJobs.has(job.id)) {
+    return;
+  }
+  activeJobs.add(job.id);
+
+  const onStep = async (step, status, details = {}) => {
+    steps[step] = {
+      ...steps[step],
+      ...details,
+      status,
+      ...(status === 'running' && !steps[step]?.startedAt ? { startedAt: new Date().toISOString() } : {}),
+      ...(status !== 'running' ? { finishedAt: new Date().toISOString() } : {})
+    };
+    await updateJob(job.id, { steps });
+  };
+
+  console.log(`📸 ${tag} Starting photo job (attempt ${job.attempts + 1})`);
+  await updateJob(job.id, { status: 'running', attempts: job.attempts + 1 });
+
+  try {
+    // Profil fotoğrafı job satırında değil Storage'da; model için yüklenebilir URL'e çevrilir
+    const { profileImagePath, ...input } = job.input;
+    if (profileImagePath) {
+      input.profileImageURL = await getImageUrl(profileImagePath);
+    }
+
+    const result = await runPhotoPipeline({ ...input, userId: job.user_id }, { onStep, jobId: job.id });
+
+    // Eski kayıtlardaki büyük base64 girdiyi iş bittikten sonra saklama
+    await updateJob(job.id, {
+      status: 'succeeded',
+      result,
+      input: { ...job.input, profileImageBase64: null }
+    });
+    console.log(`✅ ${tag} Photo job succeeded:`, result.imageURL);
+  } catch (error) {
+    console.error(`❌ ${tag} Photo job failed:`, error.message);
+    const newBalance = await refundOperation(job.charge, error.message);
+    await updateJob(job.id, {
+      status: 'failed',
+      error: error.body || { error: 'Failed to generate photo', details: error.message },
+      result: { newBalance },
+      input: { ...job.input, profileImageBase64: null }
+    });
+  } finally {
+    await releaseJobInput(job);
+    activeJobs.delete(job.id);
+  }
+}
+
+/**
+ * Resume jobs that were queued or running when the server stopped
+ */
+async function resumePendingJobs() {
+  if (!supabase) {
+    return;
+  }
+
+  const { data, error } = await supabase
+    .from('generation_jobs')
+    .select('*')
+    .in('status', ['queued', 'running'])
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('❌ Failed to load pending jobs:', error);
+    return;
+  }
+
+  for (const job of data || []) {
+    if (job.attempts >= JOB_MAX_ATTEMPTS) {
+      console.warn(`⚠️ [job ${job.id}] Giving up after ${job.attempts} attempts`);
+      const newBalance = await refundOperation(job.charge, 'Job abandoned after restarts');
+      await updateJob(job.id, {
+        status: 'failed',
+        error: { error: 'Failed to generate photo', details: 'Job abandoned after restarts' },
+        result: { newBalance },
+        input: { ...job.input, profileImageBase64: null }
+      });
+      await releaseJobInput(job);
+      continue;
+    }
+
+    // Sırayla çalıştır: yeniden başlatma sonrası Replicate'e ani yük bindirme
+    await runPhotoJob(job);
+  }
+}
+
+/**
+ * Public representation of a job for GET /api/jobs/:id
+ * @param {object} job - Row from `generation_jobs`
+ * @returns {object}
+ */
+function formatJob(job) {
+  const steps = {};
+  for (const step of PHOTO_PIPELINE_STEPS) {
+    steps[step] = job.steps?.[step] || { status: 'pending' };
+  }
+
+  return {
+    jobId: job.id,
+    kind: job.kind,
+    status: job.status,
+    characterId: job.character_id,
+    steps,
+    imageURL: job.result?.imageURL || null,
+    photoId: job.result?.photoId || null,
+    newBalance: job.result?.newBalance ?? null,
+    error: job.error || null,
+    createdAt: job.created_at,
+    updatedAt: job.updated_at
+  };
+}
+
+// Karakter fotoğrafı üret (kullanıcı isteğine göre)
+// Async mod: `async: true` (veya `Prefer: respond-async`) ile hemen 202 + jobId döner;
+// ilerleme GET /api/jobs/:id ile takip edilir. Aksi halde istek fotoğraf bitene kadar açık kalır.
+// Multipart: metin alanları + isteğe bağlı `profileImage` dosyası; JSON: profileImageBase64 (eski istemciler)
+app.post('/api/generate-photo', multipartUpload({ maxFiles: 1, fileFields: ['profileImage'] }), async (req, res) => {
+  let charge = null;
+
+  // Başarısız üretimde coin'leri iade edip hata döndür
+  const failWithRefund = async (status, body) => {
+    const newBalance = await refundOperation(charge, body.details || body.error);
+    return res.status(status).json({ ...body, newBalance });
+  };
+
+  try {
+    const { characterId, description, characterName } = req.body;
+    let { profileImageBase64 } = req.body;
+    // Multipart alanları metindir
+    const runAsync = req.body.async === true || req.body.async === 'true' || /respond-async/i.test(req.get('Prefer') || '');
+
+    console.log('📸 ========== Photo generation request received ==========');
+    console.log('📸 Character:', characterName);
+    console.log('📸 Description:', description);
+    console.log('📸 Character ID:', characterId);
+    console.log('📸 Has profile image:', !!(profileImageBase64 || req.files?.profileImage));
+    console.log('📸 Async:', runAsync);
+
+    if (!description) {
+      return res.status(400).json({ error: 'Description is required' });
+    }
+
+    // Yüklenen dosya normalize edilip (EXIF/GPS atılarak) pipeline'ın beklediği base64 JPEG'e çevrilir
+    let processedProfileImage = null;
+    if (req.files?.profileImage) {
+      try {
+        processedProfileImage = await processImage(req.files.profileImage.buffer);
+        profileImageBase64 = processedProfileImage.image.toString('base64');
+      } catch (error) {
+        if (!error.status) {
+          throw error;
+        }
+        return res.status(error.status).json({ error: error.message });
+      }
+    }
+
+    if (runAsync && !supabase) {
+      return res.status(500).json({ error: 'Supabase not configured' });
+    }
+
+    // Ücreti provider çağrılarından önce düş (face swap + fallback'ler dahil sabit fiyat)
+    charge = await chargeOperation({
+      userId: req.userId,
+      operation: 'generate_photo',
+      model: 'black-forest-labs/flux-1.1-pro',
+      metadata: { characterId }
+    });
+
+    if (!charge.ok) {
+      const { ok, status, ...body } = charge;
+      return res.status(status).json(body);
+    }
+
+    const input = { characterId, description, characterName, profileImageBase64 };
+
+    if (runAsync) {
+      const jobId = crypto.randomUUID();
+      // Job satırına base64 yazılmaz: fotoğraf Storage'a yüklenir, satırda yalnızca yolu tutulur
+      const jobInput = { characterId, description, characterName };
+      if (profileImageBase64) {
+        const inputPath = userStoragePath('job_inputs', req.userId, `${jobId}.jpg`);
+        jobInput.profileImagePath = processedProfileImage
+          ? await uploadProcessedImage(processedProfileImage, inputPath)
+          : await uploadImageToSupabase(decodeBase64Image(profileImageBase64), inputPath);
+        if (!jobInput.profileImagePath) {
+          return await failWithRefund(500, { error: 'Failed to create photo job', details: 'Profile image upload failed' });
+        }
+      }
+
+      const { data: job, error } = await supabase
+        .from('generation_jobs')
+        .insert([{
+          id: jobId,
+          user_id: req.userId,
+          character_id: characterId || null,
+          kind: 'generate_photo',
+          status: 'queued',
+          steps: {},
+          input: jobInput,
+          charge,
+          attempts: 0
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        console.error('❌ Failed to create photo job:', error);
+        await releaseJobInput({ input: jobInput });
+        return await failWithRefund(500, { error: 'Failed to create photo job', details: error.message });
+      }
+
+      console.log(`📸 Created photo job ${job.id}`);
+
+      // Arka planda çalıştır; sonuç generation_jobs tablosuna yazılır
+      runPhotoJob(job).catch(jobError => console.error(`❌ [job ${job.id}] Unexpected error:`, jobError));
+
+      return res.status(202).json({
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job.id}`,
+        characterId,
+        newBalance: charge.balance
+      });
+    }
+
+    const { imageURL, photoId, imageVariants } = await presentImageUrls(
+      await runPhotoPipeline({ ...input, userId: req.userId })
+    );
+
+    res.json({ 
+      imageURL,
+      imageVariants,
+      photoId,
+      characterId: characterId,
+      newBalance: charge.balance
+    });
+
+  } catch (error) {
+    console.error('❌ Error in photo generation:', error);
+    console.error('❌ Error message:', error.message);
+    console.error('❌ Error stack:', error.stack);
+    
+    return await failWithRefund(500, error.body || { 
+      error: 'Failed to generate photo', 
+      details: error.message
+    });
+  }
+});
+
+// Job durumunu getir (adım adım: scene, face_swap, upload)
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    if (!supabase) {
+      return res.status(500).json({ error: 'Supabase not configured' });
+    }
+
+    const { data: job, error } = await supabase
+      .from('generation_jobs')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('user_id', req.userId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('❌ Supabase error loading job:', error);
+      return res.status(500).json({ error: 'Failed to load job', details: error.message });
+    }
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({ success: true, ...(await presentImageUrls(formatJob(job))) });
+  } catch (error) {
+    console.error('❌ Error loading job:', error);
+    res.status(500).json({ error: 'Failed to load job', details: error.message });
+  }
+});
+
+// ========== REALTIME SESSION HELPERS ==========
+
+// Using gpt-4o-mini-realtime-preview for lower cost
+const REALTIME_MODEL = process.env.REALTIME_MODEL || 'gpt-4o-mini-realtime-preview';
+const REALTIME_DEFAULT_VOICE = process.env.REALTIME_VOICE || 'alloy';
+
+// Çıkarılan oturumlar (session_id -> kayıt). Ephemeral key'ler OpenAI tarafında ~1 dakikada
+// sona erer; burada kullanıcı/karakter bağını ve iptal durumunu tutuyoruz.
+const realtimeSessions = new Map();
+
+/**
+ * Mint a short-lived OpenAI Realtime client secret, pre-bound to model, voice and instructions
+ * @param {object} params
+ * @param {string} params.instructions
+ * @param {string} params.voice
+ * @returns {Promise<{id: string, client_secret: {value: string, expires_at: number}}>}
+ */
+async function createRealtimeClientSecret({ instructions, voice }) {
+  const response = await fetch('https://api.openai.com/v1/realtime/sessions', {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      model: REALTIME_MODEL,
+      voice,
+      instructions
+    })
+  });
+
+  if (!response.ok) {
+    const body = await response.text();
+    throw new Error(`OpenAI realtime session error ${response.status}: ${body.substring(0, 200)}`);
+  }
+
+  return response.json();
+}
+
+// Süresi dolan oturumları periyodik olarak temizle
+setInterval(() => {
+  const now = Date.now();
+  for (const [sessionId, session] of realtimeSessions) {
+    if (session.expiresAt <= now) {
+      realtimeSessions.delete(sessionId);
+    }
+  }
+}, 60 * 1000).unref();
+
+// ========== REALTIME WEBSOCKET RELAY ==========
+
+// Relay modunda bir aramanın maksimum süresi (saniye)
+const REALTIME_MAX_CALL_SECONDS = parseInt(process.env.REALTIME_MAX_CALL_SECONDS, 10) || 600;
+// connect çağrısından sonra WebSocket'in açılması için tanınan süre
+const REALTIME_RELAY_CONNECT_WINDOW_MS = 60 * 1000;
+// Upstream açılana kadar tamponlanan client mesajları için üst sınırlar (aşılırsa bağlantı kapanır)
+const REALTIME_RELAY_MAX_PENDING_MESSAGES = parseInt(process.env.REALTIME_RELAY_MAX_PENDING_MESSAGES, 10) || 200;
+const REALTIME_RELAY_MAX_PENDING_BYTES = parseInt(process.env.REALTIME_RELAY_MAX_PENDING_BYTES, 10) || 4 * 1024 * 1024;
+
+/**
+ * Look up a realtime session that is still usable (not expired, not revoked)
+ * @param {string} sessionId
+ * @returns {object|null}
+ */
+function getActiveRealtimeSession(sessionId) {
+  const session = realtimeSessions.get(sessionId);
+  if (!session || session.revoked || session.expiresAt <= Date.now()) {
+    return null;
+  }
+  return session;
+}
+
+/**
+ * Public ws(s):// base URL of this server, as seen by the app
+ * @param {object} req - Express request
+ * @returns {string}
+ */
+function getPublicWebSocketBase(req) {
+  if (process.env.PUBLIC_BASE_URL) {
+    return process.env.PUBLIC_BASE_URL.replace(/\/$/, '').replace(/^http/, 'ws');
+  }
+  const proto = (req.headers['x-forwarded-proto'] || req.protocol).split(',')[0].trim();
+  return `${proto === 'https' ? 'wss' : 'ws'}://${req.get('host')}`;
+}
+
+/**
+ * Constant-time string comparison
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') {
+    return false;
+  }
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+// Client'ın upstream'e gönderebileceği event'ler. Değer: nesne alanı başına izin verilen anahtarlar
+// (null = alan olduğu gibi geçer). Talimat, ses, model ve araçları yalnızca sunucu belirler.
+const REALTIME_CLIENT_EVENT_FIELDS = {
+  'session.update': {
+    session: ['turn_detection', 'input_audio_format', 'output_audio_format', 'input_audio_transcription', 'input_audio_noise_reduction']
+  },
+  'input_audio_buffer.append': {},
+  'input_audio_buffer.commit': {},
+  'input_audio_buffer.clear': {},
+  'output_audio_buffer.clear': {},
+  'conversation.item.create': { item: null },
+  'conversation.item.truncate': {},
+  'conversation.item.delete': {},
+  'conversation.item.retrieve': {},
+  'response.create': {
+    response: ['metadata']
+  },
+  'response.cancel': {}
+};
+
+/**
+ * Reduce a client Realtime event to the whitelisted types and fields
+ * @param {object} event - Parsed client event
+ * @returns {object|null} Sanitized event, or null when it must be dropped
+ */
+function sanitizeRealtimeClientEvent(event) {
+  if (!event || typeof event !== 'object' || !Object.hasOwn(REALTIME_CLIENT_EVENT_FIELDS, event.type)) {
+    return null;
+  }
+
+  const allowedFields = REALTIME_CLIENT_EVENT_FIELDS[event.type];
+  const sanitized = {};
+
+  for (const [key, value] of Object.entries(event)) {
+    if (!Object.hasOwn(allowedFields, key)) {
+      // Üst seviye skaler alanlar (event_id, audio, item_id, ...) serbest; nesneler yalnızca listedekiler
+      if (value === null || typeof value !== 'object') {
+        sanitized[key] = value;
+      }
+      continue;
+    }
+
+    const allowedKeys = allowedFields[key];
+    if (allowedKeys === null || value === null || typeof value !== 'object') {
+      sanitized[key] = value;
+      continue;
+    }
+    sanitized[key] = Object.fromEntries(Object.entries(value).filter(([field]) => allowedKeys.includes(field)));
+  }
+
+  // Client konuşmaya sistem mesajı ekleyerek karakter talimatlarını ezemez
+  if (event.type === 'conversation.item.create' && sanitized.item?.role === 'system') {
+    return null;
+  }
+
+  return sanitized;
+}
+
+/**
+ * Split a Realtime `response.done` usage into audio and text tokens (priced separately).
+ * Without the per-modality details, all tokens are counted as audio (the higher rate).
+ * @param {object} [responseUsage] - `response.usage`
+ * @returns {{inputTokens: number, outputTokens: number, inputTextTokens: number, outputTextTokens: number}} - `inputTokens`/`outputTokens` are audio
+ */
+function splitRealtimeUsage(responseUsage = {}) {
+  const input = responseUsage.input_token_details;
+  const output = responseUsage.output_token_details;
+
+  return {
+    inputTokens: input ? input.audio_tokens || 0 : responseUsage.input_tokens || 0,
+    outputTokens: output ? output.audio_tokens || 0 : responseUsage.output_tokens || 0,
+    inputTextTokens: input ? input.text_tokens || 0 : 0,
+    outputTextTokens: output ? output.text_tokens || 0 : 0
+  };
+}
+
+/**
+ * Relay one client WebSocket to the upstream OpenAI Realtime API.
+ * Injects the character instructions, enforces REALTIME_MAX_CALL_SECONDS and charges
+ * coins from the upstream `response.done` usage (the client no longer reports tokens).
+ * @param {WebSocket} client - App-side socket
+ * @param {object} session - Entry from realtimeSessions
+ */
+function startRealtimeRelay(client, session) {
+  const tag = `[relay ${session.sessionId}]`;
+  console.log(`📞 ${tag} Client connected (user ${session.userId}, character ${session.characterId})`);
+
+  const upstream = new WebSocket(`wss://api.openai.com/v1/realtime?model=${session.model}`, {
+    headers: {
+      'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
+      'OpenAI-Beta': 'realtime=v1'
+    }
+  });
+
+  const pending = []; // Upstream açılmadan gelen client mesajları
+  let pendingBytes = 0;
+  const usage = { inputTokens: 0, outputTokens: 0, inputTextTokens: 0, outputTextTokens: 0, deducted: 0 };
+  let chargeQueue = Promise.resolve(); // Bakiye güncellemeleri sırayla çalışsın
+  let upstreamOpened = false;
+  let closed = false;
+
+  const sendToClient = (event) => {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(JSON.stringify(event));
+    }
+  };
+
+  const closeBoth = (code, reason) => {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    clearTimeout(maxDurationTimer);
+    pending.length = 0;
+    if (client.readyState === WebSocket.OPEN || client.readyState === WebSocket.CONNECTING) {
+      client.close(code, reason);
+    }
+    if (upstream.readyState === WebSocket.OPEN || upstream.readyState === WebSocket.CONNECTING) {
+      upstream.close(1000, reason);
+    }
+
+    // Hiç ücretlendirme yapılmadıysa minimum oturum ücretini uygula (eski /api/deduct-coins davranışı)
+    chargeQueue = chargeQueue.then(async () => {
+      if (upstreamOpened && usage.deducted === 0) {
+        await charge({}, `relay:${session.sessionId}:minimum`);
+      }
+      realtimeSessions.delete(session.sessionId);
+      console.log(`📞 ${tag} Closed (${code} ${reason}) - audio in/out: ${usage.inputTokens}/${usage.outputTokens}, text in/out: ${usage.inputTextTokens}/${usage.outputTextTokens}, coins: ${usage.deducted}`);
+    });
+  };
+
+  const charge = async (tokens, idempotencyKey) => {
+    try {
+      const result = await deductCoins({
+        userId: session.userId,
+        ...tokens,
+        model: session.model,
+        idempotencyKey
+      });
+
+      if (!result.ok) {
+        console.error(`❌ ${tag} Coin deduction failed:`, result.error);
+        sendToClient({
+          type: 'error',
+          error: {
+            type: result.status === 400 ? 'insufficient_coins' : 'billing_error',
+            message: result.error,
+            required: result.required,
+            available: result.available
+          }
+        });
+        closeBoth(4002, 'billing_failed');
+        return;
+      }
+
+      usage.deducted += result.deductedAmount;
+      sendToClient({
+        type: 'relay.usage',
+        deductedAmount: result.deductedAmount,
+        totalDeducted: usage.deducted,
+        newBalance: result.newBalance
+      });
+    } catch (error) {
+      console.error(`❌ ${tag} Error charging realtime usage:`, error);
+    }
+  };
+
+  const maxDurationTimer = setTimeout(() => {
+    console.log(`⏱️ ${tag} Max call duration reached (${REALTIME_MAX_CALL_SECONDS}s)`);
+    sendToClient({ type: 'error', error: { type: 'max_duration_reached', message: 'Maximum call duration reached' } });
+    closeBoth(4000, 'max_duration_reached');
+  }, REALTIME_MAX_CALL_SECONDS * 1000);
+
+  session.close = closeBoth;
+
+  upstream.on('open', () => {
+    console.log(`✅ ${tag} Upstream connected`);
+    upstreamOpened = true;
+    // Karakter talimatlarını sunucu belirler
+    upstream.send(JSON.stringify({
+      type: 'session.update',
+      session: {
+        instructions: session.instructions,
+        voice: session.voice
+      }
+    }));
+    for (const message of pending) {
+      upstream.send(message);
+    }
+    pending.length = 0;
+    pendingBytes = 0;
+  });
+
+  client.on('message', (data, isBinary) => {
+    let outgoing = data;
+
+    if (!isBinary) {
+      let event;
+      try {
+        event = JSON.parse(data.toString());
+      } catch (error) {
+        console.warn(`⚠️ ${tag} Dropping non-JSON client frame`);
+        return;
+      }
+
+      // Client talimatları, sesi, modeli veya araçları değiştiremez (session.update ve response.create dahil)
+      const sanitized = sanitizeRealtimeClientEvent(event);
+      if (!sanitized) {
+        console.warn(`⚠️ ${tag} Dropping client event: ${event?.type}`);
+        return;
+      }
+      outgoing = JSON.stringify(sanitized);
+    }
+
+    if (upstream.readyState === WebSocket.OPEN) {
+      upstream.send(outgoing);
+      return;
+    }
+    if (closed) {
+      return;
+    }
+
+    pendingBytes += Buffer.byteLength(outgoing);
+    if (pending.length >= REALTIME_RELAY_MAX_PENDING_MESSAGES || pendingBytes > REALTIME_RELAY_MAX_PENDING_BYTES) {
+      console.warn(`⚠️ ${tag} Pending queue limit reached (${pending.length} messages, ${pendingBytes} bytes) before upstream opened`);
+      sendToClient({ type: 'error', error: { type: 'relay_buffer_full', message: 'Too much data sent before the call was connected' } });
+      closeBoth(4003, 'relay_buffer_full');
+      return;
+    }
+    pending.push(outgoing);
+  });
+
+  upstream.on('message', (data, isBinary) => {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(isBinary ? data : data.toString());
+    }
+
+    if (isBinary) {
+      return;
+    }
+
+    let event;
+    try {
+      event = JSON.parse(data.toString());
+    } catch (error) {
+      return;
+    }
+
+    if (event.type === 'response.done') {
+      const tokens = splitRealtimeUsage(event.response?.usage);
+
+      if (Object.values(tokens).every(count => count === 0)) {
+        return;
+      }
+
+      for (const [field, count] of Object.entries(tokens)) {
+        usage[field] += count;
+      }
+      const idempotencyKey = `relay:${session.sessionId}:${event.response?.id || crypto.randomUUID()}`;
+      chargeQueue = chargeQueue.then(() => charge(tokens, idempotencyKey));
+    }
+  });
+
+  client.on('close', () => closeBoth(1000, 'client_closed'));
+  upstream.on('close', () => closeBoth(1011, 'upstream_closed'));
+
+  client.on('error', (error) => {
+    console.error(`❌ ${tag} Client socket error:`, error.message);
+    closeBoth(1011, 'client_error');
+  });
+  upstream.on('error', (error) => {
+    console.error(`❌ ${tag} Upstream socket error:`, error.message);
+    sendToClient({ type: 'error', error: { type: 'upstream_error', message: 'Realtime service unavailable' } });
+    closeBoth(1011, 'upstream_error');
+  });
+}
+
+/**
+ * Accept relay WebSocket upgrades on /api/realtime/relay
+ * Auth: `session_id` query param + `auth_token` from /api/realtime/connect
+ * (as `Authorization: Bearer` header or `token` query param).
+ * @param {http.Server} server
+ */
+function attachRealtimeRelay(server) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: 1024 * 1024 });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname !== '/api/realtime/relay') {
+      socket.destroy();
+      return;
+    }
+
+    const sessionId = url.searchParams.get('session_id');
+    const authHeader = req.headers.authorization || '';
+    const token = authHeader.replace(/^Bearer\s+/i, '') || url.searchParams.get('token');
+    const session = getActiveRealtimeSession(sessionId);
+
+    if (!session || session.mode !== 'relay' || session.connected || !safeEqual(token, session.relayToken)) {
+      console.warn(`⚠️ Rejected realtime relay upgrade for session ${sessionId}`);
+      socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    // Tek kullanımlık: bağlantı süresince oturum süresi arama süresine uzar
+    session.connected = true;
+    session.expiresAt = Date.now() + (REALTIME_MAX_CALL_SECONDS + 60) * 1000;
+
+    wss.handleUpgrade(req, socket, head, (client) => startRealtimeRelay(client, session));
+  });
+}
+
+// OpenAI Realtime API WebSocket bağlantısı
+// Ham OPENAI_API_KEY asla client'a gönderilmez: kullanıcı + karaktere bağlı, kısa ömürlü
+// bir ephemeral key üretilir (model, voice ve instructions önceden bağlanmış olarak).
+// Karakter talimatları (prompt) yanıtta client'a dönülmez; sunucuda bağlanır.
+// `mode: 'relay'`: app bu sunucunun /api/realtime/relay WebSocket'ine bağlanır; ücretlendirme
+// sunucuda yapılır, client /api/deduct-coins çağırmamalı.
+app.post('/api/realtime/connect', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { characterId, characterName, characterPrompt, voice, mode } = req.body;
+
+    console.log('📞 Realtime connection request received');
+    console.log('📞 User ID:', userId);
+    console.log('📞 Character ID:', characterId);
+    console.log('📞 Character name:', characterName);
+    console.log('📞 Character prompt length:', characterPrompt?.length || 0);
+
+    if (!characterId) {
+      console.error('❌ characterId is missing');
+      return res.status(400).json({ error: 'characterId is required' });
+    }
+
+    if (!process.env.OPENAI_API_KEY) {
+      console.error('❌ OpenAI API key not configured');
+      return res.status(500).json({ error: 'OpenAI API key not configured' });
+    }
+
+    // Persona + sesli görüşme kuralları (sunucuda kayıtlı karakterden)
+    let persona;
+    try {
+      persona = await buildCharacterPrompt({ userId, characterId, mode: 'voice', clientPrompt: characterPrompt, characterName });
+    } catch (error) {
+      if (!error.status) {
+        throw error;
+      }
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    const enhancedInstructions = persona.prompt;
+    const sessionVoice = voice || REALTIME_DEFAULT_VOICE;
+
+    if (mode === 'relay') {
+      const sessionId = crypto.randomUUID();
+      const relayToken = crypto.randomBytes(32).toString('base64url');
+      const expiresAt = Date.now() + REALTIME_RELAY_CONNECT_WINDOW_MS;
+      const relayUrl = `${getPublicWebSocketBase(req)}/api/realtime/relay?session_id=${sessionId}`;
+
+      realtimeSessions.set(sessionId, {
+        sessionId,
+        mode: 'relay',
+        relayToken,
+        userId,
+        characterId,
+        model: REALTIME_MODEL,
+        voice: sessionVoice,
+        instructions: enhancedInstructions,
+        createdAt: Date.now(),
+        expiresAt,
+        connected: false,
+        revoked: false
+      });
+
+      console.log(`✅ Created relay session ${sessionId} for user ${userId}, character ${characterId}`);
+
+      return res.json({
+        mode: 'relay',
+        websocket_url: relayUrl,
+        auth_token: relayToken,
+        expires_at: new Date(expiresAt).toISOString(),
+        session_id: sessionId,
+        model: REALTIME_MODEL,
+        voice: sessionVoice,
+        max_duration_seconds: REALTIME_MAX_CALL_SECONDS
+      });
+    }
+
+    // OpenAI Realtime API WebSocket URL'i
+    const wsUrl = `wss://api.openai.com/v1/realtime?model=${REALTIME_MODEL}`;
+
+    console.log('🔌 WebSocket URL:', wsUrl);
+
+    const upstreamSession = await createRealtimeClientSecret({
+      instructions: enhancedInstructions,
+      voice: sessionVoice
+    });
+
+    const sessionId = crypto.randomUUID();
+    const expiresAt = (upstreamSession.client_secret?.expires_at || 0) * 1000 || Date.now() + 60 * 1000;
+
+    realtimeSessions.set(sessionId, {
+      sessionId,
+      upstreamSessionId: upstreamSession.id,
+      userId,
+      characterId,
+      model: REALTIME_MODEL,
+      voice: sessionVoice,
+      createdAt: Date.now(),
+      expiresAt,
+      revoked: false
+    });
+
+    console.log(`✅ Minted realtime session ${sessionId} for user ${userId}, character ${characterId} (expires ${new Date(expiresAt).toISOString()})`);
+
+    // iOS uygulamasına WebSocket URL'i ve ephemeral auth bilgisini döndür
+    res.json({
+      websocket_url: wsUrl,
+      auth_token: upstreamSession.client_secret.value,
+      expires_at: new Date(expiresAt).toISOString(),
+      session_id: sessionId,
+      model: REALTIME_MODEL,
+      voice: sessionVoice
+    });
+
+  } catch (error) {
+    console.error('❌ Error in realtime connect:', error);
+    console.error('❌ Error stack:', error.stack);
+    res.status(500).json({ error: 'Failed to create realtime connection', details: error.message });
+  }
+});
+
+// Bir kullanıcının açık realtime oturumlarını iptal et
+// Not: OpenAI ephemeral key'leri upstream'de iptal edilemez, kendi başlarına ~1 dakikada düşer;
+// relay oturumları ise anında kapatılır ve bir daha bağlanılamaz.
+app.post('/api/realtime/revoke', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { sessionId } = req.body;
+
+    let revoked = 0;
+    for (const session of realtimeSessions.values()) {
+      if (session.userId !== userId || session.revoked) {
+        continue;
+      }
+      if (sessionId && session.sessionId !== sessionId) {
+        continue;
+      }
+      session.revoked = true;
+      revoked++;
+
+      // Relay üzerinden devam eden aramayı da kapat
+      if (session.close) {
+        session.close(4001, 'session_revoked');
+      }
+    }
+
+    console.log(`✅ Revoked ${revoked} realtime session(s) for user ${userId}`);
+    res.json({ success: true, revoked });
+  } catch (error) {
+    console.error('❌ Error revoking realtime sessions:', error);
+    res.status(500).json({ error: 'Failed to revoke realtime sessions', details: error.message });
+  }
+});
+
+
+// ========== TRAIT CATALOG ==========
+
+// Karakter oluşturucu seçenekleri (etiketler + prompt parçaları); sürümlü JSON dosyası
+const TRAIT_CATALOG_PATH = process.env.TRAIT_CATALOG_PATH || path.join(__dirname, 'catalog', 'traits.json');
+
+/**
+ * Load and sanity-check the trait catalog. Throws on a malformed file so a bad deploy fails at startup.
+ * @param {string} filePath
+ * @returns {{version: string, defaultLocale: string, traits: Array<object>, byKey: Map<string, Map<string, object>>}}
+ */
+function loadTraitCatalog(filePath) {
+  const catalog = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  if (!catalog.version || !Array.isArray(catalog.traits)) {
+    throw new Error(`Trait catalog ${filePath} must have a version and a traits array`);
+  }
+
+  const byKey = new Map();
+  for (const trait of catalog.traits) {
+    if (!trait.key || !Array.isArray(trait.options) || byKey.has(trait.key)) {
+      throw new Error(`Trait catalog ${filePath} has a missing or duplicate trait key: ${trait.key}`);
+    }
+
+    const options = new Map();
+    for (const option of trait.options) {
+      if (!option.value || !option.prompt || options.has(option.value)) {
+        throw new Error(`Trait ${trait.key} has a missing or duplicate option: ${option.value}`);
+      }
+      options.set(option.value, option);
+    }
+    byKey.set(trait.key, options);
+  }
+
+  return { ...catalog, defaultLocale: catalog.defaultLocale || 'en', byKey };
+}
+
+const traitCatalog = loadTraitCatalog(TRAIT_CATALOG_PATH);
+console.log(`✅ Trait catalog ${traitCatalog.version} loaded (${traitCatalog.traits.length} traits)`);
+
+/**
+ * Validate character traits against the catalog. Only catalogued keys are checked;
+ * an empty value means "not chosen yet".
+ * @param {object} traits - characterTraits from the client
+ * @returns {Array<string>} - Error messages (empty when valid)
+ */
+function validateCharacterTraits(traits) {
+  if (traits === undefined || traits === null) {
+    return [];
+  }
+
+  if (typeof traits !== 'object' || Array.isArray(traits)) {
+    return ['characterTraits must be an object'];
+  }
+
+  const errors = [];
+  for (const [key, options] of traitCatalog.byKey) {
+    const value = traits[key];
+    if (value !== undefined && value !== null && value !== '' && !options.has(value)) {
+      errors.push(`Unknown value "${value}" for trait ${key}`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Pick a label for the requested locale, falling back to the catalog default
+ * @param {object} labels - { en: '...', tr: '...' }
+ * @param {string} locale
+ * @returns {string}
+ */
+function pickTraitLabel(labels, locale) {
+  return labels?.[locale] || labels?.[traitCatalog.defaultLocale] || '';
+}
+
+// Karakter oluşturucu için trait kataloğu (?locale=tr)
+app.get('/api/traits', (req, res) => {
+  // "tr-TR" -> "tr"
+  const locale = String(req.query.locale || traitCatalog.defaultLocale).toLowerCase().split(/[-_]/)[0];
+
+  res.json({
+    success: true,
+    version: traitCatalog.version,
+    locale,
+    traits: traitCatalog.traits.map(trait => ({
+      key: trait.key,
+      label: pickTraitLabel(trait.labels, locale),
+      options: trait.options.map(option => ({
+        value: option.value,
+        label: pickTraitLabel(option.labels, locale)
+      }))
+    }))
+  });
+});
+
+// ========== PERSONA PROMPTS ==========
+
+// Karakter system prompt şablonları (sürümlü). Chat ve sesli görüşme aynı persona şablonunu paylaşır,
+// her mod kendi kurallarını ekler.
+const PROMPT_TEMPLATES_PATH = process.env.PROMPT_TEMPLATES_PATH || path.join(__dirname, 'catalog', 'prompts.json');
+// Eski app sürümleri için: client'ın gönderdiği characterPrompt'u kabul et (varsayılan kapalı)
+const ALLOW_CLIENT_CHARACTER_PROMPT = process.env.ALLOW_CLIENT_CHARACTER_PROMPT === 'true';
+
+const promptTemplates = JSON.parse(fs.readFileSync(PROMPT_TEMPLATES_PATH, 'utf8'));
+console.log(`✅ Prompt templates ${promptTemplates.version} loaded`);
+
+/**
+ * Fill `{{name}}`-style placeholders in a template (array of lines)
+ * @param {Array<string>} lines
+ * @param {object} values
+ * @returns {string}
+ */
+function renderPromptTemplate(lines, values) {
+  return lines
+    .join('\n')
+    .replace(/\{\{(\w+)\}\}/g, (match, key) => values[key] ?? '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Describe catalogued traits with their prompt fragments, one line per chosen trait
+ * @param {object} traits - character_traits
+ * @returns {string}
+ */
+function describeCharacterTraits(traits) {
+  return traitCatalog.traits
+    .map(trait => {
+      const option = traitCatalog.byKey.get(trait.key).get(traits?.[trait.key]);
+      return option ? `- ${pickTraitLabel(trait.labels, traitCatalog.defaultLocale)}: ${option.prompt}` : null;
+    })
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Build the system prompt for a character. By default it is built from the stored character
+ * (name + character_traits); a client-sent prompt is only used when ALLOW_CLIENT_CHARACTER_PROMPT is set.
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {string} [params.characterId]
+ * @param {'chat' | 'voice'} params.mode
+ * @param {string} [params.clientPrompt] - Legacy characterPrompt from the app
+ * @param {string} [params.characterName] - Legacy name, used with clientPrompt
+ * @returns {Promise<{prompt: string, source: 'server' | 'client', templateVersion: string, characterName: string}>}
+ *   Throws an error with `status` when the character cannot be resolved
+ */
+async function buildCharacterPrompt({ userId, characterId, mode, clientPrompt, characterName }) {
+  const modeRules = promptTemplates.modes[mode];
+
+  if (ALLOW_CLIENT_CHARACTER_PROMPT && clientPrompt) {
+    const name = characterName || 'the character';
+    return {
+      prompt: `${clientPrompt}\n\n${renderPromptTemplate(modeRules, { name })}`,
+      source: 'client',
+      templateVersion: promptTemplates.version,
+      characterName: name
+    };
+  }
+
+  const fail = (status, message) => Object.assign(new Error(message), { status });
+
+  if (!characterId) {
+    throw fail(400, 'characterId is required');
+  }
+
+  if (!supabase) {
+    throw fail(500, 'Supabase not configured');
+  }
+
+  const character = await getCharacterRow(userId, characterId);
+  if (!character) {
+    throw fail(404, 'Character not found');
+  }
+
+  const values = {
+    name: character.name || 'the character',
+    traits: describeCharacterTraits(formatCharacter(character).characterTraits)
+  };
+
+  return {
+    prompt: `${renderPromptTemplate(promptTemplates.persona, values)}\n\n${renderPromptTemplate(modeRules, values)}`,
+    source: 'server',
+    templateVersion: promptTemplates.version,
+    characterName: values.name
+  };
+}
+
+// ========== CHARACTERS ==========
+
+// İstemcinin PATCH ile değiştirebileceği alanlar (iOS adı -> kolon)
+const CHARACTER_EDITABLE_FIELDS = {
+  name: 'name',
+  profileImageURL: 'profile_image_url',
+  fullBodyImageURL: 'full_body_image_url',
+  isUserCreated: 'is_user_created',
+  characterTraits: 'character_traits'
+};
+
+/**
+ * Convert a `characters` row to the iOS format
+ * @param {object} row
+ * @returns {object}
+ */
+function formatCharacter(row) {
+  // character_traits JSONB'den parse et
+  let traits = row.character_traits;
+  if (typeof traits === 'string') {
+    try {
+      traits = JSON.parse(traits);
+    } catch (e) {
+      console.error('❌ Failed to parse character_traits:', e);
+      traits = {};
+    }
+  }
+
+  return {
+    id: row.character_id,
+    name: row.name,
+    profileImageURL: row.profile_image_url,
+    fullBodyImageURL: row.full_body_image_url,
+    createdAt: row.created_at,
+    isUserCreated: row.is_user_created,
+    characterTraits: traits,
+    version: row.version,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Check the image URLs of an iOS character (see isAcceptableClientImageRef)
+ * @param {object} char - Character (or partial character) from the client
+ * @param {object|null} existing - Current row, if any
+ * @param {string} userId
+ * @returns {Array<string>} - Error messages, empty if valid
+ */
+function validateCharacterImageRefs(char, existing, userId) {
+  const errors = [];
+
+  for (const field of ['profileImageURL', 'fullBodyImageURL']) {
+    const value = char[field];
+    // Boş ve file:// değerleri characterChangesToRow yok sayar
+    if (!value || (typeof value === 'string' && value.startsWith('file://'))) {
+      continue;
+    }
+    if (typeof value !== 'string' || !isAcceptableClientImageRef(value, userId, existing?.[CHARACTER_EDITABLE_FIELDS[field]])) {
+      errors.push(`${field} is not an image uploaded by this user`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Map the editable fields of an iOS character to column values.
+ * Empty or local (file://) image URLs never overwrite a stored Storage URL; Storage URLs are stored as references (see toStoredImageRef).
+ * @param {object} char - Character (or partial character) from the client
+ * @param {object|null} existing - Current row, if any
+ * @returns {object} - Column values to write
+ */
+function characterChangesToRow(char, existing) {
+  const row = {};
+
+  for (const [field, column] of Object.entries(CHARACTER_EDITABLE_FIELDS)) {
+    if (char[field] !== undefined) {
+      row[column] = char[field];
+    }
+  }
+
+  if (row.character_traits !== undefined && (typeof row.character_traits !== 'object' || row.character_traits === null)) {
+    row.character_traits = {};
+  }
+
+  for (const column of ['profile_image_url', 'full_body_image_url']) {
+    if (column in row && (!row[column] || row[column].startsWith('file://'))) {
+      if (existing && existing[column]) {
+        console.log(`📸 Keeping existing ${column} for character ${existing.character_id}`);
+        delete row[column];
+      } else {
+        row[column] = null;
+      }
+    } else if (column in row) {
+      // İstemci elindeki (imzalı olabilir) URL'i geri gönderir; süresi dolmayan referans saklanır
+      row[column] = toStoredImageRef(row[column]);
+    }
+  }
+
+  return row;
+}
+
+/**
+ * Load a single character row
+ * @param {string} userId
+ * @param {string} characterId
+ * @returns {Promise<object|null>}
+ */
+async function getCharacterRow(userId, characterId) {
+  const { data, error } = await supabase
+    .from('characters')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('character_id', characterId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load character: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Create or update a character with optimistic concurrency.
+ * Without `expectedVersion` the character is created and must not exist yet; with it, the
+ * update only applies if the stored version still matches (the DB trigger bumps `version`).
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {string} params.characterId
+ * @param {object} params.changes - Column values (see characterChangesToRow)
+ * @param {number} [params.expectedVersion]
+ * @param {string} [params.createdAt] - Only used when creating
+ * @returns {Promise<{status: 'created' | 'updated' | 'conflict' | 'not_found', row: object|null}>}
+ */
+async function writeCharacter({ userId, characterId, changes, expectedVersion, createdAt }) {
+  if (expectedVersion === undefined || expectedVersion === null) {
+    const { data, error } = await supabase
+      .from('characters')
+      .insert({
+        user_id: userId,
+        character_id: characterId,
+        is_user_created: true,
+        character_traits: {},
+        ...changes,
+        ...(createdAt ? { created_at: createdAt } : {})
+      })
+      .select()
+      .single();
+
+    if (error && error.code === '23505') { // unique_violation: başka cihaz önce oluşturdu
+      return { status: 'conflict', row: await getCharacterRow(userId, characterId) };
+    }
+
+    if (error) {
+      throw new Error(`Failed to create character: ${error.message}`);
+    }
+
+    return { status: 'created', row: data };
+  }
+
+  const { data, error } = await supabase
+    .from('characters')
+    .update(changes)
+    .eq('user_id', userId)
+    .eq('character_id', characterId)
+    .eq('version', expectedVersion)
+    .select();
+
+  if (error) {
+    throw new Error(`Failed to update character: ${error.message}`);
+  }
+
+  if (data && data.length > 0) {
+    return { status: 'updated', row: data[0] };
+  }
+
+  // Hiç satır güncellenmedi: ya karakter yok ya da sürüm eski
+  const current = await getCharacterRow(userId, characterId);
+  return { status: current ? 'conflict' : 'not_found', row: current };
+}
+
+/**
+ * Send the result of writeCharacter (409 carries the current server copy)
+ * @param {object} res - Express response
+ * @param {object} result - writeCharacter result
+ * @param {number} successStatus
+ */
+async function sendCharacterWriteResult(res, result, successStatus) {
+  if (result.status === 'conflict') {
+    return res.status(409).json({
+      error: 'Character was modified by another device',
+      character: result.row ? await presentImageUrls(formatCharacter(result.row)) : null
+    });
+  }
+
+  if (result.status === 'not_found') {
+    return res.status(404).json({ error: 'Character not found' });
+  }
+
+  res.status(successStatus).json({ success: true, character: await presentImageUrls(formatCharacter(result.row)) });
+}
+
+// Tek karakteri getir
+app.get('/api/characters/:id', async (req, res) => {
+  try {
+    if (!supabase) {
+      return res.status(500).json({ error: 'Supabase not configured' });
+    }
+
+    const row = await getCharacterRow(req.userId, req.params.id);
+    if (!row) {
+      return res.status(404).json({ error: 'Character not found' });
+    }
+
+    res.json({ success: true, character: await presentImageUrls(formatCharacter(row)) });
+  } catch (error) {
+    console.error('❌ Error loading character:', error);
+    res.status(500).json({ error: 'Failed to load character', details: error.message });
+  }
+});
+
+// Yeni karakter oluştur (zaten varsa 409 + sunucudaki kopya)
+app.post('/api/characters/:id', async (req, res) => {
+  try {
+    if (!supabase) {
+      return res.status(500).json({ error: 'Supabase not configured' });
+    }
+
+    const traitErrors = validateCharacterTraits(req.body.characterTraits);
+    if (traitErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid character traits', details: traitErrors });
+    }
+
+    const imageErrors = validateCharacterImageRefs(req.body, null, req.userId);
+    if (imageErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid character images', details: imageErrors });
+    }
+
+    const characterId = req.params.id;
+    const result = await writeCharacter({
+      userId: req.userId,
+      characterId,
+      changes: characterChangesToRow(req.body, null),
+      createdAt: req.body.createdAt
+    });
+
+    if (result.status === 'created') {
+      console.log(`✅ Created character ${characterId} for user ${req.userId}`);
+    }
+    await sendCharacterWriteResult(res, result, 201);
+  } catch (error) {
+    console.error('❌ Error creating character:', error);
+    res.status(500).json({ error: 'Failed to create character', details: error.message });
+  }
+});
+
+// Karakteri güncelle: body'de istemcinin bildiği `version` zorunlu, eskiyse 409
+app.patch('/api/characters/:id', async (req, res) => {
+  try {
+    const { version } = req.body;
+
+    if (!Number.isInteger(version)) {
+      return res.status(400).json({ error: 'version is required' });
+    }
+
+    const traitErrors = validateCharacterTraits(req.body.characterTraits);
+    if (traitErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid character traits', details: traitErrors });
+    }
+
+    if (!supabase) {
+      return res.status(500).json({ error: 'Supabase not configured' });
+    }
+
+    const characterId = req.params.id;
+    const existing = await getCharacterRow(req.userId, characterId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Character not found' });
+    }
+
+    const imageErrors = validateCharacterImageRefs(req.body, existing, req.userId);
+    if (imageErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid character images', details: imageErrors });
+    }
+
+    const changes = characterChangesToRow(req.body, existing);
+    if (Object.keys(changes).length === 0) {
+      // Değişiklik yok; yine de sürüm eskiyse istemci haberdar olmalı
+      return await sendCharacterWriteResult(res, { status: existing.version === version ? 'updated' : 'conflict', row: existing }, 200);
+    }
+
+    const result = await writeCharacter({ userId: req.userId, characterId, changes, expectedVersion: version });
+
+    if (result.status === 'updated') {
+      console.log(`✅ Updated character ${characterId} to version ${result.row.version} for user ${req.userId}`);
+    } else if (result.status === 'conflict') {
+      console.warn(`⚠️ Rejected stale update for character ${characterId} (client v${version}, server v${result.row?.version})`);
+    }
+    await sendCharacterWriteResult(res, result, 200);
+  } catch (error) {
+    console.error('❌ Error updating character:', error);
+    res.status(500).json({ error: 'Failed to update character', details: error.message });
+  }
+});
+
+// Karakterleri kaydet (Supabase) - eski istemciler için toplu kayıt
+// Her karakter ayrı ayrı yazılır; `version` gönderilmişse eski sürümler `conflicts` içinde döner.
+// Listede olmayan karakterler silinmez (silme: /api/delete-character).
+app.post('/api/save-characters', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { characters } = req.body;
+
+    if (!Array.isArray(characters)) {
+      return res.status(400).json({ error: 'characters must be an array' });
+    }
+
+    if (characters.some(char => !char || !char.id)) {
+      return res.status(400).json({ error: 'Every character requires an id' });
+    }
+
+    // Hiçbir şey yazmadan önce tüm trait değerlerini doğrula
+    const invalidCharacters = characters
+      .map(char => ({ id: char.id, errors: validateCharacterTraits(char.characterTraits) }))
+      .filter(result => result.errors.length > 0);
+
+    if (invalidCharacters.length > 0) {
+      return res.status(400).json({ error: 'Invalid character traits', details: invalidCharacters });
+    }
+
+    if (!supabase) {
+      return res.status(500).json({ error: 'Supabase not configured' });
+    }
+
+    const { data: existingCharacters, error: fetchError } = await supabase
+      .from('characters')
+      .select('*')
+      .eq('user_id', userId);
+
+    if (fetchError) {
+      console.error('❌ Supabase error loading characters:', fetchError);
+      return res.status(500).json({ error: 'Failed to save characters', details: fetchError.message });
+    }
+
+    const existingById = new Map((existingCharacters || []).map(row => [row.character_id, row]));
+
+    // Görsel URL'leri de hiçbir şey yazılmadan önce doğrulanır
+    const invalidImages = characters
+      .map(char => ({ id: char.id, errors: validateCharacterImageRefs(char, existingById.get(char.id) || null, userId) }))
+      .filter(result => result.errors.length > 0);
+
+    if (invalidImages.length > 0) {
+      return res.status(400).json({ error: 'Invalid character images', details: invalidImages });
+    }
+
+    let saved = 0;
+    const conflicts = [];
+    const failed = [];
+
+    for (const char of characters) {
+      const existing = existingById.get(char.id) || null;
+
+      try {
+        // Sürümsüz (eski) istemci: okunan sürüme karşı yaz, araya giren yazmayı ezme
+        const expectedVersion = existing ? (Number.isInteger(char.version) ? char.version : existing.version) : undefined;
+        const result = await writeCharacter({
+          userId,
+          characterId: char.id,
+          changes: characterChangesToRow(char, existing),
+          expectedVersion,
+          createdAt: char.createdAt
+        });
+
+        if (result.status === 'created' || result.status === 'updated') {
+          saved++;
+        } else {
+          conflicts.push({ id: char.id, character: result.row ? await presentImageUrls(formatCharacter(result.row)) : null });
+        }
+      } catch (error) {
+        console.error(`❌ Failed to save character ${char.id}:`, error.message);
+        failed.push({ id: char.id, error: error.message });
+      }
+    }
+
+    console.log(`✅ Saved ${saved}/${characters.length} characters for user ${userId} (${conflicts.length} conflicts, ${failed.length} failed)`);
+    res.json({ success: failed.length === 0, count: saved, conflicts, failed });
+  } catch (error) {
+    console.error('❌ Error saving characters:', error);
+    res.status(500).json({ error: 'Failed to save characters', details: error.message });
+  }
+});
+
+// Karakterleri yükle (Supabase)
+app.get('/api/load-characters', async (req, res) => {
+  try {
+    console.log('📥 ========== LOAD CHARACTERS REQUEST ==========');
+    const userId = req.userId;
+
+    console.log('📥 User ID:', userId);
+
+    if (!supabase) {
+      console.error('❌ Supabase not configured');
+      return res.status(500).json({ error: 'Supabase not configured' });
+    }
+
+    console.log('📥 Querying Supabase for characters...');
+    const { data, error } = await supabase
+      .from('characters')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('❌ Supabase error loading characters:', error);
+      console.error('❌ Error details:', JSON.stringify(error, null, 2));
+      return res.status(500).json({ error: 'Failed to load characters', details: error.message });
+    }
+
+    console.log('📥 Supabase returned', data?.length || 0, 'characters');
+    if (data && data.length > 0) {
+      console.log('📥 First character:', JSON.stringify(data[0], null, 2));
+    } else {
+      console.warn('⚠️ No characters found for user', userId);
+    }
+
+    // Supabase'den gelen verileri iOS formatına çevir
+    const characters = await presentImageUrls((data || []).map(formatCharacter));
+
+    console.log(`✅ Successfully loaded ${characters.length} characters for user ${userId}`);
+    res.json({ success: true, characters, imageUrlsExpireAt: imageUrlsExpireAt() });
+  } catch (error) {
+    console.error('❌ Error loading characters:', error);
+    console.error('❌ Error stack:', error.stack);
+    res.status(500).json({ error: 'Failed to load characters', details: error.message });
+  }
+});
+
+// ========== PAGINATION CURSORS ==========
+
+// Cursor sıralama değerleri Supabase'in döndürdüğü timestamp'lerdir (ör. 2026-10-01T12:00:00.123456+00:00)
+const PAGE_CURSOR_TIMESTAMP = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d{1,6})?)?(Z|[+-]\d{2}(:?\d{2})?)?$/;
+
+/**
+ * Opaque keyset cursor for lists ordered by (sort column, unique id column)
+ * @param {string} sortValue - e.g. timestamp / created_at as returned by Supabase
+ * @param {string} id - Tiebreak id of the same row
+ * @returns {string}
+ */
+function encodePageCursor(sortValue, id) {
+  return Buffer.from(JSON.stringify([sortValue, id])).toString('base64url');
+}
+
+/**
+ * Decode a cursor from encodePageCursor. Eski istemcilerin gönderdiği düz timestamp'ler
+ * id'siz cursor olarak kabul edilir (yalnızca sıralama sütunuyla karşılaştırılır).
+ * @param {string} cursor
+ * @returns {{sortValue: string, id: string|null}|null} - null for malformed or tampered cursors
+ */
+function decodePageCursor(cursor) {
+  const isTimestamp = (value) => PAGE_CURSOR_TIMESTAMP.test(value) && !Number.isNaN(Date.parse(value));
+
+  if (typeof cursor !== 'string' || cursor === '') {
+    return null;
+  }
+  if (isTimestamp(cursor)) {
+    return { sortValue: cursor, id: null };
+  }
+
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Array.isArray(decoded) && decoded.length === 2 && isTimestamp(decoded[0]) && typeof decoded[1] === 'string' && decoded[1] !== '') {
+      return { sortValue: decoded[0], id: decoded[1] };
+    }
+  } catch (error) {
+    // Geçersiz base64/JSON
+  }
+  return null;
+}
+
+/**
+ * Quote a value for a PostgREST `or=(...)` filter
+ * @param {string} value
+ * @returns {string}
+ */
+function postgrestQuote(value) {
+  return `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * PostgREST condition (the body of an `or=(...)` filter) comparing rows with a cursor in
+ * (sortColumn, idColumn) order. lt/gt are strict; lte/gte also match the cursor row itself.
+ * @param {string} cursor - From encodePageCursor (or a legacy plain sort value)
+ * @param {object} options
+ * @param {string} options.sortColumn
+ * @param {string} options.idColumn
+ * @param {'lt'|'gt'|'lte'|'gte'} options.op
+ * @returns {string}
+ */
+function pageCursorCondition(cursor, { sortColumn, idColumn, op }) {
+  const decoded = decodePageCursor(cursor);
+  if (!decoded) {
+    throw new Error('Invalid page cursor');
+  }
+
+  const { sortValue, id } = decoded;
+  const sort = postgrestQuote(sortValue);
+
+  if (id === null) {
+    return `${sortColumn}.${op}.${sort}`;
+  }
+
+  const strictOp = op.startsWith('lt') ? 'lt' : 'gt';
+  return `${sortColumn}.${strictOp}.${sort},and(${sortColumn}.eq.${sort},${idColumn}.${op}.${postgrestQuote(id)})`;
+}
+
+/**
+ * Restrict a query to rows strictly after/before a cursor in (sortColumn, idColumn) order,
+ * so rows sharing the same sort value are neither skipped nor repeated across pages.
+ * @param {object} query - Supabase query builder
+ * @param {string} cursor - From encodePageCursor (or a legacy plain sort value)
+ * @param {object} options
+ * @param {string} options.sortColumn
+ * @param {string} options.idColumn
+ * @param {'lt'|'gt'} options.op - 'lt' for descending pages, 'gt' for ascending
+ * @returns {object} Query builder
+ */
+function applyPageCursor(query, cursor, { sortColumn, idColumn, op }) {
+  return query.or(pageCursorCondition(cursor, { sortColumn, idColumn, op }));
+}
+
+// ========== GALLERY ==========
+
+const GALLERY_PAGE_DEFAULT_LIMIT = 30;
+const GALLERY_PAGE_MAX_LIMIT = 100;
+
+// Galeriden profil/boy fotoğrafına terfi: hedef -> (kolon, Storage yolu son eki)
+const GALLERY_PROMOTE_TARGETS = {
+  profile: { column: 'profile_image_url', suffix: 'profile' },
+  fullBody: { column: 'full_body_image_url', suffix: 'fullbody' }
+};
+
+/**
+ * Record a generated photo in the character's gallery (errors are logged, not thrown)
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {string} [params.characterId]
+ * @param {string} params.storagePath - Path in the images bucket
+ * @param {string} params.imageURL
+ * @param {string|null} params.prompt
+ * @param {string|null} params.model
+ * @param {number|null} params.seed
+ * @param {string} params.scenario
+ * @param {string} [params.jobId]
+ * @returns {Promise<string|null>} - Gallery photo ID
+ */
+async function saveGalleryPhoto({ userId, characterId, storagePath, imageURL, prompt, model, seed, scenario, jobId }) {
+  if (!supabase || !userId) {
+    return null;
+  }
+
+  const id = crypto.randomUUID();
+  const { error } = await supabase
+    .from('gallery_photos')
+    .insert({
+      id,
+      user_id: userId,
+      character_id: characterId || null,
+      storage_path: storagePath,
+      image_url: imageURL,
+      prompt,
+      model,
+      seed,
+      scenario,
+      job_id: jobId || null
+    });
+
+  if (error) {
+    console.error('❌ Failed to save gallery photo:', error);
+    return null;
+  }
+
+  console.log(`🖼️ Saved gallery photo ${id} for character ${characterId}`);
+  return id;
+}
+
+/**
+ * Convert a `gallery_photos` row to the iOS format
+ * @param {object} row
+ * @returns {object}
+ */
+function formatGalleryPhoto(row) {
+  return {
+    id: row.id,
+    characterId: row.character_id,
+    imageURL: row.image_url,
+    prompt: row.prompt,
+    model: row.model,
+    seed: row.seed,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Load one gallery photo of the user's character
+ * @param {string} userId
+ * @param {string} characterId
+ * @param {string} photoId
+ * @returns {Promise<object|null>}
+ */
+async function getGalleryPhotoRow(userId, characterId, photoId) {
+  const { data, error } = await supabase
+    .from('gallery_photos')
+    .select('*')
+    .eq('id', photoId)
+    .eq('user_id', userId)
+    .eq('character_id', characterId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load gallery photo: ${error.message}`);
+  }
+
+  return data;
+}
+
+// Karakterin galerisi (yeniden eskiye); `before` = önceki sayfanın nextCursor'ı
+app.get('/api/characters/:id/gallery', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || GALLERY_PAGE_DEFAULT_LIMIT, GALLERY_PAGE_MAX_LIMIT);
+    const { before } = req.query;
+
+    if (before && !decodePageCursor(before)) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    if (!supabase) {
+      return res.status(500).json({ error: 'Supabase not configured' });
+    }
+
+    let query = supabase
+      .from('gallery_photos')
+      .select('*')
+      .eq('user_id', req.userId)
+      .eq('character_id', req.params.id)
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(limit + 1); // Bir fazlası: sonraki sayfa var mı?
+
+    if (before) {
+      query = applyPageCursor(query, before, { sortColumn: 'created_at', idColumn: 'id', op: 'lt' });
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error('❌ Supabase error loading gallery:', error);
+      return res.status(500).json({ error: 'Failed to load gallery', details: error.message });
+    }
+
+    const rows = data || [];
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+
+    res.json({
+      success: true,
+      photos: await presentImageUrls(page.map(formatGalleryPhoto)),
+      hasMore,
+      nextCursor: hasMore ? encodePageCursor(page[page.length - 1].created_at, page[page.length - 1].id) : null,
+      imageUrlsExpireAt: imageUrlsExpireAt()
+    });
+  } catch (error) {
+    console.error('❌ Error loading gallery:', error);
+    res.status(500).json({ error: 'Failed to load gallery', details: error.message });
+  }
+});
+
+// Galeriden fotoğraf sil (Storage nesnesi dahil)
+app.delete('/api/characters/:id/gallery/:photoId', async (req, res) => {
+  try {
+    if (!supabase) {
+      return res.status(500).json({ error: 'Supabase not configured' });
+    }
+
+    const photo = await getGalleryPhotoRow(req.userId, req.params.id, req.params.photoId);
+    if (!photo) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+
+    const { error } = await supabase
+      .from('gallery_photos')
+      .delete()
+      .eq('id', photo.id)
+      .eq('user_id', req.userId);
+
+    if (error) {
+      console.error('❌ Supabase error deleting gallery photo:', error);
+      return res.status(500).json({ error: 'Failed to delete photo', details: error.message });
+    }
+
+    await removeFromSupabase([photo.storage_path]);
+
+    console.log(`✅ Deleted gallery photo ${photo.id} for user ${req.userId}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Error deleting gallery photo:', error);
+    res.status(500).json({ error: 'Failed to delete photo', details: error.message });
+  }
+});
+
+// Galeri fotoğrafını karakterin profil veya boy fotoğrafı yap. Body: `target` ('profile' | 'fullBody').
+// Görsel kullanıcının avatars/ klasörüne kopyalanır; galeriden silinse de profil fotoğrafı kalır.
+app.post('/api/characters/:id/gallery/:photoId/promote', async (req, res) => {
+  try {
+    const target = GALLERY_PROMOTE_TARGETS[req.body.target];
+    if (!target) {
+      return res.status(400).json({ error: `target must be one of: ${Object.keys(GALLERY_PROMOTE_TARGETS).join(', ')}` });
+    }
+
+    if (!supabase) {
+      return res.status(500).json({ error: 'Supabase not configured' });
+    }
+
+    const characterId = req.params.id;
+    const [photo, character] = await Promise.all([
+      getGalleryPhotoRow(req.userId, characterId, req.params.photoId),
+      getCharacterRow(req.userId, characterId)
+    ]);
+
+    if (!photo || !character) {
+      return res.status(404).json({ error: photo ? 'Character not found' : 'Photo not found' });
+    }
+
+    const { data: blob, error: downloadError } = await supabase.storage
+      .from('images')
+      .download(photo.storage_path);
+
+    if (downloadError) {
+      console.error('❌ Failed to download gallery photo:', downloadError);
+      return res.status(500).json({ error: 'Failed to promote photo', details: downloadError.message });
+    }
+
+    const uploaded = await uploadProcessedImage(
+      await processImage(Buffer.from(await blob.arrayBuffer())),
+      userStoragePath('avatars', req.userId, `${characterId}_${target.suffix}.jpg`)
+    );
+
+    if (!uploaded) {
+      return res.status(500).json({ error: 'Failed to promote photo', details: 'Storage upload failed' });
+    }
+
+    const { data, error } = await supabase
+      .from('characters')
+      .update({ [target.column]: uploaded })
+      .eq('user_id', req.userId)
+      .eq('character_id', characterId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ Supabase error promoting gallery photo:', error);
+      return res.status(500).json({ error: 'Failed to promote photo', details: error.message });
+    }
+
+    console.log(`✅ Promoted gallery photo ${photo.id} to ${req.body.target} image of character ${characterId}`);
+    res.json({ success: true, character: await presentImageUrls(formatCharacter(data)) });
+  } catch (error) {
+    console.error('❌ Error promoting gallery photo:', error);
+    res.status(500).json({ error: 'Failed to promote photo', details: error.message });
+  }
+});
+
+// ========== CHARACTER IMAGES & MESSAGES ==========
+
+const IMAGE_URL_REFRESH_MAX = 200;
+// İstemciden gelen yollar PostgREST filtresine girer: yalnızca bizim ürettiğimiz biçimdeki yollar
+const STORAGE_PATH_PATTERN = /^[\w-]+(\/[\w.-]+)+$/;
+
+/**
+ * Which of the given paths belong to the user's characters, messages or gallery photos
+ * (variant paths count as their original's)
+ * @param {string} userId
+ * @param {Array<string>} paths
+ * @returns {Promise<Set<string>>} - Owned paths (as given)
+ */
+async function getOwnedStoragePaths(userId, paths) {
+  const owned = new Set();
+  const originals = [...new Set(paths.filter(filePath => STORAGE_PATH_PATTERN.test(filePath)).map(imageOriginalPath))];
+
+  for (let i = 0; i < originals.length; i += 50) {
+    const batch = originals.slice(i, i + 50);
+    const likeFilters = columns => batch.flatMap(filePath => columns.map(column => `${column}.like.*${filePath}*`)).join(',');
+
+    const [photosResult, charactersResult, messagesResult] = await Promise.all([
+      supabase.from('gallery_photos').select('storage_path').eq('user_id', userId).in('storage_path', batch),
+      supabase.from('characters').select('profile_image_url, full_body_image_url').eq('user_id', userId)
+        .or(likeFilters(['profile_image_url', 'full_body_image_url'])),
+      supabase.from('messages').select('image_url').eq('user_id', userId).or(likeFilters(['image_url']))
+    ]);
+
+    const failed = [photosResult, charactersResult, messagesResult].find(result => result.error);
+    if (failed) {
+      throw new Error(`Failed to check image ownership: ${failed.error.message}`);
+    }
+
+    (photosResult.data || []).forEach(photo => owned.add(photo.storage_path));
+    [
+      ...(charactersResult.data || []).flatMap(row => [row.profile_image_url, row.full_body_image_url]),
+      ...(messagesResult.data || []).map(row => row.image_url)
+    ].map(storagePathFromUrl).filter(Boolean).forEach(filePath => owned.add(filePath));
+  }
+
+  return new Set(paths.filter(filePath => owned.has(imageOriginalPath(filePath))));
+}
+
+// Süresi dolan (veya dolmak üzere olan) görsel URL'lerini yenile
+// Body: { urls: [...] } — imzalı/public URL'ler veya nesne yolları (varyantlar dahil)
+// Yanıt: { urls: { <gönderilen>: <yeni URL> | null } } — null: kullanıcıya ait değil ya da Storage'da yok
+app.post('/api/images/refresh-urls', async (req, res) => {
+  try {
+    const { urls } = req.body;
+
+    if (!Array.isArray(urls) || urls.some(url => typeof url !== 'string')) {
+      return res.status(400).json({ error: 'urls must be an array of strings' });
+    }
+
+    if (urls.length > IMAGE_URL_REFRESH_MAX) {
+      return res.status(400).json({ error: `At most ${IMAGE_URL_REFRESH_MAX} urls per request` });
+    }
+
+    if (!supabase) {
+      return res.status(500).json({ error: 'Supabase not configured' });
+    }
+
+    const pathsByUrl = new Map(urls.map(url => [url, storagePathFromUrl(url)]));
+    const owned = await getOwnedStoragePaths(req.userId, [...pathsByUrl.values()].filter(Boolean));
+    const fresh = await getImageUrls([...owned]);
+
+    res.json({
+      success: true,
+      urls: Object.fromEntries(urls.map(url => {
+        const filePath = pathsByUrl.get(url);
+        return [url, filePath && owned.has(filePath) ? fresh.get(filePath) || null : null];
+      })),
+      imageUrlsExpireAt: imageUrlsExpireAt()
+    });
+  } catch (error) {
+    console.error('❌ Error refreshing image URLs:', error);
+    res.status(500).json({ error: 'Failed to refresh image URLs', details: error.message });
+  }
+});
+
+// Karakter fotoğraflarını Supabase Storage'a yükle ve Public URL'i kaydet
+// Multipart: `characterId` + `profileImage` / `fullBodyImage` dosyaları; JSON: profileImageBase64 / fullBodyImageBase64 (eski istemciler)
+app.post('/api/save-character-images', multipartUpload({ maxFiles: 2, fileFields: ['profileImage', 'fullBodyImage'] }), async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { characterId, profileImageBase64, fullBodyImageBase64 } = req.body;
+    const profileImage = req.files?.profileImage?.buffer || (profileImageBase64 ? decodeBase64Image(profileImageBase64) : null);
+    const fullBodyImage = req.files?.fullBodyImage?.buffer || (fullBodyImageBase64 ? decodeBase64Image(fullBodyImageBase64) : null);
+
+    if (!characterId) {
+      return res.status(400).json({ error: 'characterId is required' });
+    }
+
+    if (!supabase) {
+      return res.status(500).json({ error: 'Supabase not configured' });
+    }
+
+    // Önce iki fotoğrafı da işle: desteklenmeyen format hiçbir şey yüklenmeden 415 döner
+    let processedProfile = null;
+    let processedFullBody = null;
+    try {
+      processedProfile = profileImage ? await processImage(profileImage) : null;
+      processedFullBody = fullBodyImage ? await processImage(fullBodyImage) : null;
+    } catch (error) {
+      if (!error.status) {
+        throw error;
+      }
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    // Upload images to Supabase Storage and get Public URLs
+    let profileImagePublicUrl = null;
+    let fullBodyImagePublicUrl = null;
+
+    if (processedProfile) {
+      const filePath = userStoragePath('avatars', userId, `${characterId}_profile.jpg`);
+      profileImagePublicUrl = await uploadProcessedImage(processedProfile, filePath);
+      if (!profileImagePublicUrl) {
+        console.error('❌ Failed to upload profile image to Supabase Storage');
+      }
+    }
+
+    if (processedFullBody) {
+      const filePath = userStoragePath('avatars', userId, `${characterId}_fullbody.jpg`);
+      fullBodyImagePublicUrl = await uploadProcessedImage(processedFullBody, filePath);
+      if (!fullBodyImagePublicUrl) {
+        console.error('❌ Failed to upload full body image to Supabase Storage');
+      }
+    }
+
+    // Karakteri bul ve güncelle (Public URLs ile)
+    // Retry mekanizması: Karakter henüz kaydedilmemiş olabilir, birkaç kez deneyelim
+    let existingCharacter = null;
+    let retries = 3;
+    let fetchError = null;
+
+    while (retries > 0 && !existingCharacter) {
+      const { data, error } = await supabase
+        .from('characters')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('character_id', characterId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') { // PGRST116 = not found
+        fetchError = error;
+        console.error('❌ Supabase error fetching character:', error);
+        break;
+      }
+
+      if (data) {
+        existingCharacter = data;
+        break;
+      }
+
+      // Karakter bulunamadı, 500ms bekle ve tekrar dene
+      retries--;
+      if (retries > 0) {
+        console.log(`⚠️ Character ${characterId} not found, retrying... (${retries} attempts left)`);
+        await new Promise(resolve => setTimeout(resolve, 500));
+      }
+    }
+
+    if (fetchError && fetchError.code !== 'PGRST116') {
+      return res.status(500).json({ error: 'Failed to fetch character', details: fetchError.message });
+    }
+
+    if (existingCharacter) {
+      // Karakter var, güncelle (Public URLs ile)
+      const updateData = {};
+      if (profileImagePublicUrl) {
+        updateData.profile_image_url = profileImagePublicUrl;
+      }
+      if (fullBodyImagePublicUrl) {
+        updateData.full_body_image_url = fullBodyImagePublicUrl;
+      }
+
+      if (Object.keys(updateData).length > 0) {
+        const { error: updateError } = await supabase
+          .from('characters')
+          .update(updateData)
+          .eq('user_id', userId)
+          .eq('character_id', characterId);
+
+        if (updateError) {
+          console.error('❌ Supabase error updating character images:', updateError);
+          return res.status(500).json({ error: 'Failed to update character images', details: updateError.message });
+        }
+
+        console.log(`✅ Updated character images for character ${characterId} and user ${userId}`);
+        console.log(`📸 Profile URL: ${profileImagePublicUrl || 'not updated'}`);
+        console.log(`📸 Full Body URL: ${fullBodyImagePublicUrl || 'not updated'}`);
+      }
+
+      res.json({ 
+        success: true,
+        ...(await presentImageUrls({ profileImageURL: profileImagePublicUrl, fullBodyImageURL: fullBodyImagePublicUrl })),
+        imageUrlsExpireAt: imageUrlsExpireAt()
+      });
     } else {
-      console.log(`💾 Verification: Found ${verifyData?.length || 0} characters in database`);
-      if (verifyData && verifyData.length > 0) {
-        console.log(`💾 First verified character:`, JSON.stringify(verifyData[0], null, 2));
+      // Karakter hala bulunamadı, fotoğraflar yüklenmiş ama karakter kaydına kaydedilemedi
+      console.log(`⚠️ Character ${characterId} not found for user ${userId} after retries, images uploaded but not saved to character record`);
+      console.log(`📸 Profile URL uploaded: ${profileImagePublicUrl || 'none'}`);
+      console.log(`📸 Full Body URL uploaded: ${fullBodyImagePublicUrl || 'none'}`);
+      // Fotoğraflar yüklenmiş, karakter kaydına kaydedilemedi ama başarılı sayılabilir
+      res.json({ 
+        success: true, 
+        message: 'Images uploaded but character not found',
+        ...(await presentImageUrls({ profileImageURL: profileImagePublicUrl, fullBodyImageURL: fullBodyImagePublicUrl })),
+        imageUrlsExpireAt: imageUrlsExpireAt()
+      });
+    }
+  } catch (error) {
+    console.error('❌ Error saving character images:', error);
+    res.status(500).json({ error: 'Failed to save character images', details: error.message });
+  }
+});
+
+// Mesaj sayfalama limitleri (load-messages)
+const MESSAGES_PAGE_DEFAULT_LIMIT = 50;
+const MESSAGES_PAGE_MAX_LIMIT = 200;
+// Tek save-messages isteğinde kabul edilen en fazla mesaj
+const MESSAGES_SAVE_MAX_BATCH = 500;
+// Multipart save-messages isteğinde en fazla fotoğraf (`image:<messageId>` dosya alanları)
+const MESSAGES_SAVE_MAX_IMAGES = 20;
+
+/**
+ * Image URLs currently stored on some of a character's messages
+ * @param {string} userId
+ * @param {string} characterId
+ * @param {Array<string>} messageIds
+ * @returns {Promise<Map<string, string|null>>} - message_id → image_url
+ */
+async function getStoredMessageImageUrls(userId, characterId, messageIds) {
+  const imageUrls = new Map();
+
+  for (let i = 0; i < messageIds.length; i += 100) {
+    const { data, error } = await supabase
+      .from('messages')
+      .select('message_id, image_url')
+      .eq('user_id', userId)
+      .eq('character_id', characterId)
+      .in('message_id', messageIds.slice(i, i + 100));
+
+    if (error) {
+      throw new Error(`Failed to load message images: ${error.message}`);
+    }
+
+    data.forEach(row => imageUrls.set(row.message_id, row.image_url));
+  }
+
+  return imageUrls;
+}
+
+// Mesajları kaydet (Supabase)
+// Sadece yeni veya değişen mesajlar gönderilir; message_id üzerinden upsert edilir
+// Multipart: `characterId`, `messages` (JSON metin alanı) ve her fotoğraf için `image:<messageId>` dosyası;
+// eski istemciler fotoğrafı imageURL içinde data:image base64 olarak gönderir
+app.post('/api/save-messages', multipartUpload({ maxFiles: MESSAGES_SAVE_MAX_IMAGES, fileFields: name => name.startsWith('image:') }), async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { characterId } = req.body;
+    const messages = parseJsonField(req.body.messages);
+    const imageFiles = req.files || {};
+
+    if (!characterId) {
+      return res.status(400).json({ error: 'characterId is required' });
+    }
+
+    if (!Array.isArray(messages)) {
+      return res.status(400).json({ error: 'messages must be an array' });
+    }
+
+    if (messages.length > MESSAGES_SAVE_MAX_BATCH) {
+      return res.status(400).json({ error: `At most ${MESSAGES_SAVE_MAX_BATCH} messages can be saved per request` });
+    }
+
+    if (messages.some(msg => !msg || !msg.id)) {
+      return res.status(400).json({ error: 'Every message requires an id' });
+    }
+
+    if (!supabase) {
+      return res.status(500).json({ error: 'Supabase not configured' });
+    }
+
+    if (messages.length === 0) {
+      return res.json({ success: true, count: 0 });
+    }
+
+    // Yükleme olmayan imageURL'ler istemcinin geri gönderdiği referanslardır: kullanıcının kendi klasöründe
+    // değilse yalnızca mesajda zaten kayıtlı olan değer kabul edilir (bkz. isAcceptableClientImageRef)
+    const referencedImages = messages.filter(msg => !imageFiles[`image:${msg.id}`] && msg.imageURL &&
+      !(typeof msg.imageURL === 'string' && (msg.imageURL.startsWith('data:image') || msg.imageURL.startsWith('file://'))));
+    const existingImageUrls = await getStoredMessageImageUrls(
+      userId,
+      characterId,
+      referencedImages.filter(msg => typeof msg.imageURL === 'string' && !isAcceptableClientImageRef(msg.imageURL, userId)).map(msg => msg.id)
+    );
+    const invalidImages = referencedImages
+      .filter(msg => typeof msg.imageURL !== 'string' || !isAcceptableClientImageRef(msg.imageURL, userId, existingImageUrls.get(msg.id)))
+      .map(msg => ({ id: msg.id, errors: ['imageURL is not an image uploaded by this user'] }));
+
+    if (invalidImages.length > 0) {
+      return res.status(400).json({ error: 'Invalid message images', details: invalidImages });
+    }
+
+    // Process messages: upload images to Supabase Storage if they are Base64
+    console.log('💾 Processing', messages.length, 'new/changed messages...');
+    // Yüklenen fotoğrafların URL'leri (varyantlarla) cevapta döner
+    const uploadedImages = {};
+    const messagesToUpsert = await Promise.all(messages.map(async (msg, index) => {
+      let imageUrl = msg.imageURL || null;
+      const imageFile = imageFiles[`image:${msg.id}`];
+
+      // Multipart file part for this message wins over imageURL
+      if (imageFile) {
+        const filePath = userStoragePath('chat_images', userId, `${msg.id}.jpg`);
+        console.log(`💾 Uploading message image ${index + 1}/${messages.length} to Storage: ${filePath}`);
+        const uploaded = await uploadImageToSupabase(imageFile.buffer, filePath);
+        if (uploaded) {
+          imageUrl = uploaded;
+          uploadedImages[msg.id] = { imageURL: uploaded };
+          console.log(`✅ Uploaded message image to Storage: ${filePath}`);
+        } else {
+          console.error(`❌ Failed to upload message image for message ${msg.id}`);
+          imageUrl = null; // Don't save if upload failed
+        }
+      }
+      // If imageURL is Base64, upload to Storage
+      else if (imageUrl && imageUrl.startsWith('data:image')) {
+        const filePath = userStoragePath('chat_images', userId, `${msg.id}.jpg`);
+        console.log(`💾 Uploading message image ${index + 1}/${messages.length} to Storage: ${filePath}`);
+        const uploaded = await uploadBase64ToSupabase(imageUrl, filePath);
+        if (uploaded) {
+          imageUrl = uploaded;
+          uploadedImages[msg.id] = { imageURL: uploaded };
+          console.log(`✅ Uploaded message image to Storage: ${filePath}`);
+        } else {
+          console.error(`❌ Failed to upload message image for message ${msg.id}`);
+          imageUrl = null; // Don't save if upload failed
+        }
+      }
+      // If it's a file:// URL, skip (shouldn't happen anymore, but handle gracefully)
+      else if (imageUrl && imageUrl.startsWith('file://')) {
+        console.warn(`⚠️ Message ${index + 1}/${messages.length} has file:// URL, skipping (should be Supabase Storage URL): ${imageUrl}`);
+        imageUrl = null; // Don't save local file paths
+      }
+      // Otherwise it is a validated Storage URL/path or provider URL: store its reference (signed URLs expire)
+      else if (imageUrl) {
+        imageUrl = toStoredImageRef(imageUrl);
+      }
+
+      return {
+        user_id: userId,
+        character_id: characterId,
+        message_id: msg.id,
+        text: msg.text,
+        is_user: msg.isUser,
+        timestamp: msg.timestamp,
+        image_url: imageUrl,
+        updated_at: new Date().toISOString()
+      };
+    }));
+
+    // Aynı istekte tekrar eden message_id'ler: sonuncusu geçerli
+    const uniqueMessages = [...new Map(messagesToUpsert.map(row => [row.message_id, row])).values()];
+
+    const { error } = await supabase
+      .from('messages')
+      .upsert(uniqueMessages, { onConflict: 'user_id,character_id,message_id' });
+
+    if (error) {
+      console.error('❌ Supabase error saving messages:', error);
+      console.error('❌ Error details:', JSON.stringify(error, null, 2));
+      return res.status(500).json({ error: 'Failed to save messages', details: error.message });
+    }
+
+    console.log(`✅ Successfully upserted ${uniqueMessages.length} messages for user ${userId}, character ${characterId}`);
+    await presentImageUrls(Object.values(uploadedImages));
+    res.json({ success: true, count: uniqueMessages.length, images: uploadedImages, imageUrlsExpireAt: imageUrlsExpireAt() });
+  } catch (error) {
+    console.error('❌ Error saving messages:', error);
+    res.status(500).json({ error: 'Failed to save messages', details: error.message });
+  }
+});
+
+// Mesajları yükle (Supabase)
+// Query: `limit`, `before` (oldestCursor'dan eski sayfa) veya `after` (newestCursor'dan yeni mesajlar).
+// Cursor'lar (timestamp, message_id) çiftidir; eski istemcilerin düz timestamp'leri de kabul edilir.
+// Cursor yoksa en yeni sayfa döner. Mesajlar her zaman eskiden yeniye sıralıdır.
+app.get('/api/load-messages', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { characterId, before, after } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || MESSAGES_PAGE_DEFAULT_LIMIT, MESSAGES_PAGE_MAX_LIMIT);
+
+    if (!characterId) {
+      return res.status(400).json({ error: 'characterId is required' });
+    }
+
+    if (before && after) {
+      return res.status(400).json({ error: 'Use either before or after, not both' });
+    }
+
+    if ((before && !decodePageCursor(before)) || (after && !decodePageCursor(after))) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    if (!supabase) {
+      return res.status(500).json({ error: 'Supabase not configured' });
+    }
+
+    // `after`: eskiden yeniye ilerle; aksi halde en yeniden geriye doğru sayfala
+    const forward = Boolean(after);
+
+    let query = supabase
+      .from('messages')
+      .select('message_id, text, is_user, timestamp, image_url')
+      .eq('user_id', userId)
+      .eq('character_id', characterId)
+      .order('timestamp', { ascending: forward })
+      .order('message_id', { ascending: forward })
+      .limit(limit + 1); // Bir fazlası: sonraki sayfa var mı?
+
+    if (before) {
+      query = applyPageCursor(query, before, { sortColumn: 'timestamp', idColumn: 'message_id', op: 'lt' });
+    }
+
+    if (after) {
+      query = applyPageCursor(query, after, { sortColumn: 'timestamp', idColumn: 'message_id', op: 'gt' });
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error('❌ Supabase error loading messages:', error);
+      return res.status(500).json({ error: 'Failed to load messages', details: error.message });
+    }
+
+    const rows = data || [];
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+    if (!forward) {
+      page.reverse();
+    }
+
+    // Supabase'den gelen verileri iOS formatına çevir
+    const messages = await presentImageUrls(page.map(formatMessage));
+    const oldest = page[0];
+    const newest = page[page.length - 1];
+
+    console.log(`✅ Loaded ${messages.length} messages for user ${userId}, character ${characterId}`);
+    res.json({
+      success: true,
+      messages,
+      hasMore,
+      // Daha eski sayfa için `before`, daha yeni mesajlar için `after` olarak gönderilir
+      oldestCursor: oldest ? encodePageCursor(oldest.timestamp, oldest.message_id) : null,
+      newestCursor: newest ? encodePageCursor(newest.timestamp, newest.message_id) : null,
+      imageUrlsExpireAt: imageUrlsExpireAt()
+    });
+  } catch (error) {
+    console.error('❌ Error loading messages:', error);
+    res.status(500).json({ error: 'Failed to load messages', details: error.message });
+  }
+});
+
+// Bir karakteri sil (Supabase)
+app.delete('/api/delete-character', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { characterId } = req.body;
+
+    if (!characterId) {
+      return res.status(400).json({ error: 'characterId is required' });
+    }
+
+    if (!supabase) {
+      return res.status(500).json({ error: 'Supabase not configured' });
+    }
+
+    // Silinecek Storage nesnelerini satırlar silinmeden önce topla
+    const character = await getCharacterRow(userId, characterId);
+    const messageImagePaths = await getMessageImagePaths(userId, characterId);
+    const { data: galleryPhotos, error: galleryError } = await supabase
+      .from('gallery_photos')
+      .select('storage_path')
+      .eq('user_id', userId)
+      .eq('character_id', characterId);
+
+    if (galleryError) {
+      console.error('❌ Supabase error loading gallery photos:', galleryError);
+      return res.status(500).json({ error: 'Failed to delete character', details: galleryError.message });
+    }
+
+    // Yalnızca kullanıcının kendi klasöründeki nesneler silinir; başka kullanıcının karakter id'si
+    // ya da istemcinin yazdığı bir URL başkasının nesnesine ulaştırmaz. Galeri yollarını sunucu yazar.
+    const ownedPaths = [
+      ...(character ? [
+        userStoragePath('avatars', userId, `${characterId}_profile.jpg`),
+        userStoragePath('avatars', userId, `${characterId}_fullbody.jpg`),
+        storagePathFromUrl(character.profile_image_url),
+        storagePathFromUrl(character.full_body_image_url)
+      ] : []),
+      ...messageImagePaths
+    ].filter(filePath => isUserStoragePath(filePath, userId));
+
+    const storagePaths = [...new Set([
+      ...ownedPaths,
+      ...(galleryPhotos || []).map(photo => photo.storage_path)
+    ].filter(Boolean))];
+
+    // Önce karakterin mesajlarını ve galerisini sil. Biri başarısız olursa dur: kalan satırlar
+    // hâlâ bu nesnelere işaret eder, Storage'a ve karakter satırına dokunulmaz
+    const { error: messagesError } = await supabase
+      .from('messages')
+      .delete()
+      .eq('user_id', userId)
+      .eq('character_id', characterId);
+
+    if (messagesError) {
+      console.error('❌ Supabase error deleting messages:', messagesError);
+      return res.status(500).json({ error: 'Failed to delete character', details: messagesError.message });
+    }
+
+    const { error: galleryDeleteError } = await supabase
+      .from('gallery_photos')
+      .delete()
+      .eq('user_id', userId)
+      .eq('character_id', characterId);
+
+    if (galleryDeleteError) {
+      console.error('❌ Supabase error deleting gallery photos:', galleryDeleteError);
+      return res.status(500).json({ error: 'Failed to delete character', details: galleryDeleteError.message });
+    }
+
+    // Sonra karakteri sil
+    const { error } = await supabase
+      .from('characters')
+      .delete()
+      .eq('user_id', userId)
+      .eq('character_id', characterId);
+
+    if (error) {
+      console.error('❌ Supabase error deleting character:', error);
+      return res.status(500).json({ error: 'Failed to delete character', details: error.message });
+    }
+
+    // Satırlar silindi; Storage silme başarısız olursa kalan nesneleri reconcile job'ı temizler
+    await removeFromSupabase(storagePaths);
+
+    console.log(`✅ Deleted character ${characterId}, its messages and ${storagePaths.length} Storage object(s) for user ${userId}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Error deleting character:', error);
+    res.status(500).json({ error: 'Failed to delete character', details: error.message });
+  }
+});
+
+// Bir karakterin mesajlarını sil (Supabase)
+app.delete('/api/delete-messages', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { characterId } = req.body;
+
+    if (!characterId) {
+      return res.status(400).json({ error: 'characterId is required' });
+    }
+
+    if (!supabase) {
+      return res.status(500).json({ error: 'Supabase not configured' });
+    }
+
+    const messageImagePaths = await getMessageImagePaths(userId, characterId);
+
+    const { error } = await supabase
+      .from('messages')
+      .delete()
+      .eq('user_id', userId)
+      .eq('character_id', characterId);
+
+    if (error) {
+      console.error('❌ Supabase error deleting messages:', error);
+      return res.status(500).json({ error: 'Failed to delete messages', details: error.message });
+    }
+
+    // Galeride veya karakter fotoğrafı olarak hâlâ kullanılan görseller silinmez
+    const stillReferenced = await getReferencedStoragePaths(messageImagePaths);
+    const storagePaths = [...new Set(messageImagePaths)]
+      .filter(filePath => isUserStoragePath(filePath, userId) && !stillReferenced.has(filePath));
+    await removeFromSupabase(storagePaths);
+
+    console.log(`✅ Deleted messages and ${storagePaths.length} Storage object(s) for character ${characterId} and user ${userId}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Error deleting messages:', error);
+    res.status(500).json({ error: 'Failed to delete messages', details: error.message });
+  }
+});
+
+// ========== STORAGE RECONCILIATION ==========
+
+// images bucket'ında sunucunun yönettiği klasörler (diğer nesnelere dokunulmaz)
+const STORAGE_MANAGED_PREFIXES = ['avatars', 'chat_images', 'generated'];
+// Bu süreden yeni nesneler silinmez (satırı henüz yazılmamış yüklemeler)
+const STORAGE_ORPHAN_GRACE_HOURS = parseFloat(process.env.STORAGE_ORPHAN_GRACE_HOURS) || 24;
+// Ayarlıysa reconcile job'ı bu aralıkla (dry-run olmadan) çalışır
+const STORAGE_RECONCILE_INTERVAL_HOURS = parseFloat(process.env.STORAGE_RECONCILE_INTERVAL_HOURS) || 0;
+const STORAGE_LIST_PAGE_SIZE = 1000;
+const STORAGE_REMOVE_BATCH_SIZE = 100;
+// Admin raporunda listelenen en fazla orphan nesne
+const STORAGE_REPORT_MAX_ORPHANS = 500;
+
+let storageReconcileRunning = false;
+
+/**
+ * Which of the given paths are still referenced by gallery photos or character images
+ * (message images are checked by the callers that delete messages)
+ * @param {Array<string>} paths
+ * @returns {Promise<Set<string>>}
+ */
+async function getReferencedStoragePaths(paths) {
+  const referenced = new Set();
+  const uniquePaths = [...new Set(paths)];
+
+  for (let i = 0; i < uniquePaths.length; i += 50) {
+    const batch = uniquePaths.slice(i, i + 50);
+
+    const { data: photos, error: photosError } = await supabase
+      .from('gallery_photos')
+      .select('storage_path')
+      .in('storage_path', batch);
+
+    const { data: characters, error: charactersError } = await supabase
+      .from('characters')
+      .select('profile_image_url, full_body_image_url')
+      .or(batch.flatMap(filePath => [
+        `profile_image_url.like.*${filePath}*`,
+        `full_body_image_url.like.*${filePath}*`
+      ]).join(','));
+
+    if (photosError || charactersError) {
+      // Emin değilsek hepsini kullanılıyor say: yanlışlıkla silmektense bırak
+      console.error('❌ Failed to check Storage references:', (photosError || charactersError).message);
+      batch.forEach(filePath => referenced.add(filePath));
+      continue;
+    }
+
+    (photos || []).forEach(photo => referenced.add(photo.storage_path));
+    for (const character of characters || []) {
+      [character.profile_image_url, character.full_body_image_url]
+        .map(storagePathFromUrl)
+        .filter(Boolean)
+        .forEach(filePath => referenced.add(filePath));
+    }
+  }
+
+  return referenced;
+}
+
+/**
+ * Load every Storage path referenced by any row (characters, messages, gallery_photos)
+ * @returns {Promise<Set<string>>}
+ * @throws {Error} - If any page fails; callers must not delete anything with a partial set
+ */
+async function loadAllReferencedStoragePaths() {
+  const referenced = new Set();
+
+  // `orderBy`: tablonun unique anahtarı. Sırasız .range() sayfaları satır atlayabilir;
+  // atlanan bir referans canlı bir nesnenin orphan diye silinmesi demek.
+  const sources = [
+    { table: 'characters', columns: 'profile_image_url, full_body_image_url', orderBy: ['user_id', 'character_id'], toPaths: row => [storagePathFromUrl(row.profile_image_url), storagePathFromUrl(row.full_body_image_url)] },
+    { table: 'messages', columns: 'image_url', orderBy: ['user_id', 'character_id', 'message_id'], toPaths: row => [storagePathFromUrl(row.image_url)] },
+    { table: 'gallery_photos', columns: 'storage_path', orderBy: ['id'], toPaths: row => [row.storage_path] }
+  ];
+
+  for (const source of sources) {
+    for (let from = 0; ; from += STORAGE_LIST_PAGE_SIZE) {
+      let query = supabase
+        .from(source.table)
+        .select(source.columns);
+      for (const column of source.orderBy) {
+        query = query.order(column, { ascending: true });
+      }
+      const { data, error } = await query.range(from, from + STORAGE_LIST_PAGE_SIZE - 1);
+
+      // Eksik bir referans kümesiyle devam edilmez: reconcile hiçbir şey silmeden durur
+      if (error || !Array.isArray(data)) {
+        throw new Error(`Failed to load ${source.table} references: ${error?.message || 'no data returned'}`);
+      }
+
+      data.flatMap(source.toPaths).filter(Boolean).forEach(filePath => referenced.add(filePath));
+
+      if (data.length < STORAGE_LIST_PAGE_SIZE) {
+        break;
+      }
+    }
+  }
+
+  return referenced;
+}
+
+/**
+ * List every object under a folder of the images bucket, including its subfolders (per-user folders)
+ * @param {string} prefix - e.g. "generated"
+ * @returns {Promise<Array<{path: string, createdAt: string, size: number|null}>>}
+ */
+async function listStorageObjects(prefix) {
+  const objects = [];
+
+  for (let offset = 0; ; offset += STORAGE_LIST_PAGE_SIZE) {
+    const { data, error } = await supabase.storage
+      .from('images')
+      .list(prefix, { limit: STORAGE_LIST_PAGE_SIZE, offset, sortBy: { column: 'name', order: 'asc' } });
+
+    if (error || !Array.isArray(data)) {
+      throw new Error(`Failed to list ${prefix}/: ${error?.message || 'no data returned'}`);
+    }
+
+    for (const entry of data) {
+      // Klasörlerin id'si yok
+      if (entry.id) {
+        objects.push({
+          path: `${prefix}/${entry.name}`,
+          createdAt: entry.updated_at || entry.created_at,
+          size: entry.metadata?.size ?? null
+        });
+      } else {
+        objects.push(...await listStorageObjects(`${prefix}/${entry.name}`));
+      }
+    }
+
+    if (data.length < STORAGE_LIST_PAGE_SIZE) {
+      break;
+    }
+  }
+
+  return objects;
+}
+
+/**
+ * Find Storage objects that no row references and (unless dry-run) delete the ones older than the grace period
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=true] - Only report, delete nothing
+ * @param {number} [options.graceHours]
+ * @returns {Promise<object>} - Report
+ */
+async function reconcileStorage({ dryRun = true, graceHours = STORAGE_ORPHAN_GRACE_HOURS } = {}) {
+  const startedAt = new Date();
+  const cutoff = startedAt.getTime() - graceHours * 60 * 60 * 1000;
+
+  const referenced = await loadAllReferencedStoragePaths();
+
+  let scanned = 0;
+  let tooRecent = 0;
+  const orphans = [];
+
+  for (const prefix of STORAGE_MANAGED_PREFIXES) {
+    for (const object of await listStorageObjects(prefix)) {
+      scanned++;
+      // Varyantlar orijinalleri referanslıysa kullanılıyor sayılır
+      if (referenced.has(imageOriginalPath(object.path))) {
+        continue;
+      }
+      if (!object.createdAt || new Date(object.createdAt).getTime() > cutoff) {
+        tooRecent++;
+        continue;
+      }
+      orphans.push(object);
+    }
+  }
+
+  let deleted = 0;
+  if (!dryRun) {
+    for (let i = 0; i < orphans.length; i += STORAGE_REMOVE_BATCH_SIZE) {
+      const batch = orphans.slice(i, i + STORAGE_REMOVE_BATCH_SIZE).map(object => object.path);
+      if (await removeFromSupabase(batch)) {
+        deleted += batch.length;
       }
     }
+  }
+
+  const report = {
+    dryRun,
+    graceHours,
+    scanned,
+    referenced: referenced.size,
+    tooRecent,
+    orphanCount: orphans.length,
+    orphanBytes: orphans.reduce((sum, object) => sum + (object.size || 0), 0),
+    deleted,
+    orphans: orphans.slice(0, STORAGE_REPORT_MAX_ORPHANS),
+    startedAt: startedAt.toISOString(),
+    finishedAt: new Date().toISOString()
+  };
+
+  console.log(`🧹 Storage reconcile${dryRun ? ' (dry run)' : ''}: scanned ${scanned}, orphans ${orphans.length}, deleted ${deleted}`);
+  return report;
+}
+
+// Orphan Storage nesnelerini bul/sil. Body: `dryRun` (varsayılan true), opsiyonel `graceHours`
+app.post('/api/admin/storage/reconcile', async (req, res) => {
+  try {
+    if (!supabase) {
+      return res.status(500).json({ error: 'Supabase not configured' });
+    }
+
+    if (storageReconcileRunning) {
+      return res.status(409).json({ error: 'Storage reconcile is already running' });
+    }
 
-    console.log(`✅ Saved ${characters.length} characters for user ${userId}`);
-    res.json({ success: true, count: characters.length });
+    const graceHours = req.body.graceHours === undefined ? STORAGE_ORPHAN_GRACE_HOURS : Number(req.body.graceHours);
+    if (!Number.isFinite(graceHours) || graceHours < 0) {
+      return res.status(400).json({ error: 'graceHours must be a non-negative number' });
+    }
+
+    storageReconcileRunning = true;
+    try {
+      const report = await reconcileStorage({ dryRun: req.body.dryRun !== false, graceHours });
+      res.json({ success: true, ...report });
+    } finally {
+      storageReconcileRunning = false;
+    }
   } catch (error) {
-    console.error('❌ Error saving characters:', error);
-    res.status(500).json({ error: 'Failed to save characters', details: error.message });
+    console.error('❌ Error reconciling Storage:', error);
+    res.status(500).json({ error: 'Failed to reconcile Storage', details: error.message });
   }
 });
 
-// Karakterleri yükle (Supabase)
-app.get('/api/load-characters', async (req, res) => {
-  try {
-    console.log('📥 ========== LOAD CHARACTERS REQUEST ==========');
-    const { userId } = req.query;
+if (supabase && STORAGE_RECONCILE_INTERVAL_HOURS > 0) {
+  setInterval(async () => {
+    if (storageReconcileRunning) {
+      return;
+    }
+    storageReconcileRunning = true;
+    try {
+      await reconcileStorage({ dryRun: false });
+    } catch (error) {
+      console.error('❌ Scheduled Storage reconcile failed:', error.message);
+    } finally {
+      storageReconcileRunning = false;
+    }
+  }, STORAGE_RECONCILE_INTERVAL_HOURS * 60 * 60 * 1000).unref();
+}
 
-    console.log('📥 User ID:', userId);
+// ========== SYNC (CHANGE FEED) ==========
 
-    if (!userId) {
-      console.error('❌ Missing userId');
-      return res.status(400).json({ error: 'userId is required' });
+const SYNC_PAGE_DEFAULT_LIMIT = 200;
+const SYNC_PAGE_MAX_LIMIT = 1000;
+// Cursor: "<tx_id>-<seq>" (sync_changes_page sırası); ilk senkronizasyonda `0`.
+// Eski sürümlerin yalnızca seq içeren cursor'ları baştan senkronizasyon olarak ele alınır.
+const SYNC_CURSOR_PATTERN = /^(\d+)-(\d+)$/;
+const SYNC_LEGACY_CURSOR_PATTERN = /^\d+$/;
+
+/**
+ * Convert a `messages` row to the iOS format
+ * @param {object} row
+ * @returns {object}
+ */
+function formatMessage(row) {
+  return {
+    id: row.message_id,
+    text: row.text,
+    isUser: row.is_user,
+    timestamp: row.timestamp,
+    imageURL: row.image_url
+  };
+}
+
+// Son senkronizasyondan beri değişenler: `since` = önceki yanıtın `cursor` değeri (ilk senkronizasyon: 0)
+// Yanıt: commit sırasıyla `changes` ({ type, id, characterId, seq, deleted, character | message }),
+// yeni `cursor` ve `hasMore` (true ise aynı istek yeni cursor ile tekrarlanır).
+// Henüz commit olmamış (ya da daha eski bir transaction'ı bekleyen) değişiklikler sonraki senkronizasyonda gelir.
+app.get('/api/sync', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const since = req.query.since === undefined ? '0' : String(req.query.since);
+    const limit = Math.min(parseInt(req.query.limit, 10) || SYNC_PAGE_DEFAULT_LIMIT, SYNC_PAGE_MAX_LIMIT);
+    const sinceMatch = SYNC_LEGACY_CURSOR_PATTERN.test(since) ? [since, '0', '0'] : since.match(SYNC_CURSOR_PATTERN);
+
+    if (!sinceMatch) {
+      return res.status(400).json({ error: 'since must be a cursor returned by /api/sync' });
     }
 
     if (!supabase) {
-      console.error('❌ Supabase not configured');
       return res.status(500).json({ error: 'Supabase not configured' });
     }
 
-    console.log('📥 Querying Supabase for characters...');
-    const { data, error } = await supabase
-      .from('characters')
-      .select('*')
-      .eq('user_id', userId)
-      .order('created_at', { ascending: true });
+    const { data, error } = await supabase.rpc('sync_changes_page', {
+      p_user_id: userId,
+      p_after_tx: sinceMatch[1],
+      p_after_seq: Number(sinceMatch[2]),
+      p_limit: limit + 1 // Bir fazlası: sonraki sayfa var mı?
+    });
 
     if (error) {
-      console.error('❌ Supabase error loading characters:', error);
-      console.error('❌ Error details:', JSON.stringify(error, null, 2));
-      return res.status(500).json({ error: 'Failed to load characters', details: error.message });
+      console.error('❌ Supabase error loading sync changes:', error);
+      return res.status(500).json({ error: 'Failed to load changes', details: error.message });
     }
 
-    console.log('📥 Supabase returned', data?.length || 0, 'characters');
-    if (data && data.length > 0) {
-      console.log('📥 First character:', JSON.stringify(data[0], null, 2));
-    } else {
-      console.warn('⚠️ No characters found for user', userId);
+    const rows = data || [];
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+
+    // Aynı kayıt sayfada birden fazla değiştiyse yalnızca sonuncusu önemli
+    const latest = new Map();
+    for (const change of page) {
+      const key = `${change.entity}:${change.character_id}:${change.entity_id}`;
+      latest.delete(key); // Sıra son değişikliğe göre olsun
+      latest.set(key, change);
     }
+    const collapsed = [...latest.values()];
+
+    const characterIds = collapsed
+      .filter(change => change.entity === 'character' && change.op === 'upsert')
+      .map(change => change.entity_id);
+    const messageIds = collapsed
+      .filter(change => change.entity === 'message' && change.op === 'upsert')
+      .map(change => change.entity_id);
+
+    const [charactersResult, messagesResult] = await Promise.all([
+      characterIds.length > 0
+        ? supabase.from('characters').select('*').eq('user_id', userId).in('character_id', characterIds)
+        : { data: [] },
+      messageIds.length > 0
+        ? supabase.from('messages').select('*').eq('user_id', userId).in('message_id', messageIds)
+        : { data: [] }
+    ]);
 
-    // Supabase'den gelen verileri iOS formatına çevir
-    const characters = (data || []).map((row, index) => {
-      // character_traits JSONB'den parse et
-      let traits = row.character_traits;
-      if (typeof traits === 'string') {
-        try {
-          traits = JSON.parse(traits);
-        } catch (e) {
-          console.error('❌ Failed to parse character_traits:', e);
-          traits = {};
-        }
+    if (charactersResult.error || messagesResult.error) {
+      const fetchError = charactersResult.error || messagesResult.error;
+      console.error('❌ Supabase error loading changed rows:', fetchError);
+      return res.status(500).json({ error: 'Failed to load changes', details: fetchError.message });
+    }
+
+    const charactersById = new Map(charactersResult.data.map(row => [row.character_id, row]));
+    const messagesByKey = new Map(messagesResult.data.map(row => [`${row.character_id}:${row.message_id}`, row]));
+
+    const changes = [];
+    for (const change of collapsed) {
+      const base = { type: change.entity, id: change.entity_id, characterId: change.character_id, seq: change.seq };
+
+      if (change.op === 'delete') {
+        changes.push({ ...base, deleted: true });
+        continue;
       }
-      
-      const character = {
-        id: row.character_id,
-        name: row.name,
-        profileImageURL: row.profile_image_url,
-        fullBodyImageURL: row.full_body_image_url,
-        createdAt: row.created_at,
-        isUserCreated: row.is_user_created,
-        characterTraits: traits
-      };
-      
-      // İlk 3 karakteri logla
-      if (index < 3) {
-        console.log(`📥 Character ${index + 1}: id=${row.character_id}, name=${row.name}, profileURL=${row.profile_image_url || 'nil'}, fullBodyURL=${row.full_body_image_url || 'nil'}`);
+
+      // Satır artık yoksa silinmiştir; tombstone sonraki sayfalarda gelir
+      if (change.entity === 'character') {
+        const row = charactersById.get(change.entity_id);
+        if (row) {
+          changes.push({ ...base, deleted: false, character: formatCharacter(row) });
+        }
+      } else {
+        const row = messagesByKey.get(`${change.character_id}:${change.entity_id}`);
+        if (row) {
+          changes.push({ ...base, deleted: false, message: formatMessage(row) });
+        }
       }
-      
-      return character;
-    });
+    }
 
-    console.log(`✅ Successfully loaded ${characters.length} characters for user ${userId}`);
-    res.json({ success: true, characters });
+    await presentImageUrls(changes.map(change => change.character || change.message).filter(Boolean));
+
+    const cursor = page.length > 0 ? `${page[page.length - 1].tx_id}-${page[page.length - 1].seq}` : since;
+
+    console.log(`🔄 Sync for user ${userId}: ${changes.length} changes since ${since} (cursor ${cursor}${hasMore ? ', more' : ''})`);
+    res.json({ success: true, changes, cursor, hasMore, imageUrlsExpireAt: imageUrlsExpireAt() });
   } catch (error) {
-    console.error('❌ Error loading characters:', error);
-    console.error('❌ Error stack:', error.stack);
-    res.status(500).json({ error: 'Failed to load characters', details: error.message });
+    console.error('❌ Error loading sync changes:', error);
+    res.status(500).json({ error: 'Failed to load changes', details: error.message });
   }
 });
 
-// Karakter fotoğraflarını Supabase Storage'a yükle ve Public URL'i kaydet
-app.post('/api/save-character-images', async (req, res) => {
-  try {
-    const { userId, characterId, profileImageBase64, fullBodyImageBase64 } = req.body;
+// ========== PRICING ==========
 
-    if (!userId || !characterId) {
-      return res.status(400).json({ error: 'userId and characterId are required' });
-    }
+// DB'de (`pricing` tablosu) geçerli satır yoksa kullanılan yerleşik fiyat tablosu.
+// 1 Coin = $0.01; coin_multiplier = 500 → maliyetin 5 katı.
+const DEFAULT_PRICING = [
+  // Realtime Mini - Input Audio: ~$0.06 / 1k token, Output Audio: ~$0.24 / 1k token,
+  // Input Text: $0.60 / 1M token, Output Text: $2.40 / 1M token.
+  // Minimum: hiç token yoksa ~1 dakikalık (150 token) input maliyeti.
+  { operation: 'realtime_voice', model: '*', version: 'builtin-2', inputUsdPerToken: 0.00006, outputUsdPerToken: 0.00024, inputTextUsdPerToken: 0.0000006, outputTextUsdPerToken: 0.0000024, minimumTokens: 150, coinMultiplier: 500 },
+  { operation: 'chat', model: '*', version: 'builtin-1', coins: 1 },              // openai/gpt-4o-mini, max 500 token
+  { operation: 'create_images', model: '*', version: 'builtin-1', coins: 40 },    // 2 x flux-1.1-pro (~$0.04/görsel)
+  { operation: 'generate_photo', model: '*', version: 'builtin-1', coins: 30 }    // flux-1.1-pro + face swap / img2img fallback'leri
+];
 
-    if (!supabase) {
-      return res.status(500).json({ error: 'Supabase not configured' });
-    }
+const PRICING_CACHE_TTL_MS = 5 * 60 * 1000;
+let pricingCache = { entries: null, loadedAt: 0, loading: null };
 
-    // Upload images to Supabase Storage and get Public URLs
-    let profileImagePublicUrl = null;
-    let fullBodyImagePublicUrl = null;
+/**
+ * Load pricing rows from the `pricing` table (cached for PRICING_CACHE_TTL_MS).
+ * Falls back to DEFAULT_PRICING when Supabase is unavailable or the table is empty.
+ * @returns {Promise<Array<object>>}
+ */
+async function loadPricing() {
+  if (pricingCache.entries && Date.now() - pricingCache.loadedAt < PRICING_CACHE_TTL_MS) {
+    return pricingCache.entries;
+  }
 
-    if (profileImageBase64) {
-      const filePath = `avatars/${characterId}_profile.jpg`;
-      profileImagePublicUrl = await uploadBase64ToSupabase(profileImageBase64, filePath);
-      if (!profileImagePublicUrl) {
-        console.error('❌ Failed to upload profile image to Supabase Storage');
-      }
-    }
+  if (!supabase) {
+    return DEFAULT_PRICING;
+  }
 
-    if (fullBodyImageBase64) {
-      const filePath = `avatars/${characterId}_fullbody.jpg`;
-      fullBodyImagePublicUrl = await uploadBase64ToSupabase(fullBodyImageBase64, filePath);
-      if (!fullBodyImagePublicUrl) {
-        console.error('❌ Failed to upload full body image to Supabase Storage');
+  if (!pricingCache.loading) {
+    pricingCache.loading = (async () => {
+      try {
+        const { data, error } = await supabase
+          .from('pricing')
+          .select('*')
+          .order('effective_from', { ascending: false });
+
+        if (error) {
+          throw error;
+        }
+
+        const entries = (data || []).map(row => ({
+          operation: row.operation,
+          model: row.model || '*',
+          version: row.version,
+          coins: row.coins,
+          inputUsdPerToken: Number(row.input_usd_per_token || 0),
+          outputUsdPerToken: Number(row.output_usd_per_token || 0),
+          // Metin fiyatı olmayan eski satırlarda metin token'ları ses fiyatından hesaplanır
+          inputTextUsdPerToken: Number(row.input_text_usd_per_token ?? row.input_usd_per_token ?? 0),
+          outputTextUsdPerToken: Number(row.output_text_usd_per_token ?? row.output_usd_per_token ?? 0),
+          minimumTokens: row.minimum_tokens || 0,
+          coinMultiplier: Number(row.coin_multiplier || 0),
+          effectiveFrom: row.effective_from ? Date.parse(row.effective_from) : 0,
+          effectiveUntil: row.effective_until ? Date.parse(row.effective_until) : Infinity
+        }));
+
+        pricingCache.entries = entries;
+        pricingCache.loadedAt = Date.now();
+        console.log(`💲 Loaded ${entries.length} pricing rows`);
+      } catch (error) {
+        // Eski cache varsa onu kullanmaya devam et
+        console.error('❌ Failed to load pricing table, using cached/builtin prices:', error.message || error);
+      } finally {
+        pricingCache.loading = null;
       }
+    })();
+  }
+
+  await pricingCache.loading;
+  return pricingCache.entries || DEFAULT_PRICING;
+}
+
+/**
+ * Find the price entry in effect for an operation (exact model match wins over '*')
+ * @param {string} operation - e.g. 'chat', 'generate_photo', 'realtime_voice'
+ * @param {string} [model]
+ * @returns {Promise<object|null>}
+ */
+async function getPrice(operation, model) {
+  const now = Date.now();
+  const entries = await loadPricing();
+
+  const matches = (list) => list
+    .filter(entry => entry.operation === operation)
+    .filter(entry => (entry.effectiveFrom || 0) <= now && now < (entry.effectiveUntil ?? Infinity))
+    .sort((a, b) => (b.effectiveFrom || 0) - (a.effectiveFrom || 0));
+
+  const pick = (list) => {
+    const active = matches(list);
+    return active.find(entry => model && entry.model === model) ||
+      active.find(entry => entry.model === '*') ||
+      null;
+  };
+
+  return pick(entries) || pick(DEFAULT_PRICING);
+}
+
+/**
+ * Calculate the coin cost of an operation under the current price table
+ * @param {string} operation
+ * @param {object} [usage]
+ * @param {string} [usage.model]
+ * @param {number} [usage.inputTokens] - Audio tokens for realtime_voice
+ * @param {number} [usage.outputTokens] - Audio tokens for realtime_voice
+ * @param {number} [usage.inputTextTokens]
+ * @param {number} [usage.outputTextTokens]
+ * @returns {Promise<{coins: number, priceVersion: string, costBreakdown: object|null}>}
+ */
+async function calculateCost(operation, { model, inputTokens = 0, outputTokens = 0, inputTextTokens = 0, outputTextTokens = 0 } = {}) {
+  const price = await getPrice(operation, model);
+
+  if (!price) {
+    throw new Error(`No price configured for operation ${operation}`);
+  }
+
+  // Sabit fiyatlı işlemler
+  if (price.coins != null) {
+    return { coins: price.coins, priceVersion: price.version, costBreakdown: null };
+  }
+
+  // Token bazlı işlemler: ses ve metin token'ları kendi fiyatlarıyla
+  const inputAudioCostUSD = inputTokens * price.inputUsdPerToken;
+  const outputAudioCostUSD = outputTokens * price.outputUsdPerToken;
+  const inputTextCostUSD = inputTextTokens * (price.inputTextUsdPerToken ?? price.inputUsdPerToken);
+  const outputTextCostUSD = outputTextTokens * (price.outputTextUsdPerToken ?? price.outputUsdPerToken);
+  const inputCostUSD = inputAudioCostUSD + inputTextCostUSD;
+  const outputCostUSD = outputAudioCostUSD + outputTextCostUSD;
+  const totalCostUSD = inputCostUSD + outputCostUSD;
+
+  // Minimum cost: If no tokens used, apply minimum session cost
+  // This ensures users are charged even for very short calls
+  const minimumCostUSD = price.minimumTokens * price.inputUsdPerToken;
+  const finalCostUSD = totalCostUSD > 0 ? totalCostUSD : minimumCostUSD;
+
+  const coins = Math.ceil(finalCostUSD * price.coinMultiplier);
+
+  if (totalCostUSD === 0) {
+    console.log(`💰 Applied minimum cost - Original: $${totalCostUSD.toFixed(4)}, Minimum: $${minimumCostUSD.toFixed(4)}, Final: $${finalCostUSD.toFixed(4)}`);
+  }
+
+  return {
+    coins,
+    priceVersion: price.version,
+    costBreakdown: {
+      inputAudioCostUSD: inputAudioCostUSD.toFixed(4),
+      inputTextCostUSD: inputTextCostUSD.toFixed(4),
+      outputAudioCostUSD: outputAudioCostUSD.toFixed(4),
+      outputTextCostUSD: outputTextCostUSD.toFixed(4),
+      inputCostUSD: inputCostUSD.toFixed(4),
+      outputCostUSD: outputCostUSD.toFixed(4),
+      totalCostUSD: totalCostUSD.toFixed(4)
     }
+  };
+}
 
-    // Karakteri bul ve güncelle (Public URLs ile)
-    // Retry mekanizması: Karakter henüz kaydedilmemiş olabilir, birkaç kez deneyelim
-    let existingCharacter = null;
-    let retries = 3;
-    let fetchError = null;
+// ========== COIN LEDGER ==========
 
-    while (retries > 0 && !existingCharacter) {
-      const { data, error } = await supabase
-        .from('characters')
-        .select('*')
-        .eq('user_id', userId)
-        .eq('character_id', characterId)
-        .single();
+// Yeni kullanıcıların başlangıç bakiyesi (ledger'a 'signup_bonus' olarak yazılır)
+const STARTING_COIN_BALANCE = 500;
+const COIN_HISTORY_DEFAULT_LIMIT = 50;
+const COIN_HISTORY_MAX_LIMIT = 200;
 
-      if (error && error.code !== 'PGRST116') { // PGRST116 = not found
-        fetchError = error;
-        console.error('❌ Supabase error fetching character:', error);
-        break;
-      }
+/**
+ * Atomically apply a coin debit (negative amount) or credit (positive amount) and append it
+ * to `coin_transactions`. Runs inside the `apply_coin_transaction` Postgres function, so the
+ * balance check, the balance update and the ledger row happen in one transaction.
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {number} params.amount - Negative for debits, positive for credits
+ * @param {string} params.reason - e.g. 'realtime_voice', 'refund', 'purchase'
+ * @param {string} [params.model]
+ * @param {number} [params.inputTokens]
+ * @param {number} [params.outputTokens]
+ * @param {string} [params.idempotencyKey] - Same key → same transaction, applied once
+ * @param {object} [params.metadata]
+ * @param {boolean} [params.allowNegative] - Allow the balance to go below zero (e.g. refund clawbacks)
+ * @param {string} [params.priceVersion] - Pricing table version the amount was calculated with
+ * @returns {Promise<{status: 'applied'|'duplicate'|'insufficient', transactionId: string|null, balance: number, amount: number}>}
+ */
+async function applyCoinTransaction({ userId, amount, reason, model, inputTokens, outputTokens, idempotencyKey, metadata, allowNegative = false, priceVersion }) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
 
-      if (data) {
-        existingCharacter = data;
-        break;
-      }
+  const { data, error } = await supabase.rpc('apply_coin_transaction', {
+    p_user_id: userId,
+    p_amount: amount,
+    p_reason: reason,
+    p_model: model || null,
+    p_input_tokens: inputTokens ?? null,
+    p_output_tokens: outputTokens ?? null,
+    p_idempotency_key: idempotencyKey || null,
+    p_metadata: metadata || {},
+    p_allow_negative: allowNegative,
+    p_starting_balance: STARTING_COIN_BALANCE,
+    p_price_version: priceVersion || null
+  });
+
+  if (error) {
+    throw new Error(`Coin transaction failed: ${error.message}`);
+  }
 
-      // Karakter bulunamadı, 500ms bekle ve tekrar dene
-      retries--;
-      if (retries > 0) {
-        console.log(`⚠️ Character ${characterId} not found, retrying... (${retries} attempts left)`);
-        await new Promise(resolve => setTimeout(resolve, 500));
-      }
+  const row = Array.isArray(data) ? data[0] : data;
+  console.log(`💰 Coin transaction ${row.status} - User: ${userId}, Amount: ${amount}, Reason: ${reason}, Balance: ${row.balance}`);
+
+  return {
+    status: row.status,
+    transactionId: row.transaction_id,
+    balance: row.balance,
+    amount: row.amount
+  };
+}
+
+/**
+ * Current coin balance of a user (users without a row yet have STARTING_COIN_BALANCE)
+ * @param {string} userId
+ * @returns {Promise<number>}
+ */
+async function getCoinBalance(userId) {
+  const { data, error } = await supabase
+    .from('users')
+    .select('coin_balance')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch balance: ${error.message}`);
+  }
+
+  return data ? data.coin_balance : STARTING_COIN_BALANCE;
+}
+
+/**
+ * Deduct coins for realtime token usage
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {number} params.inputTokens - Input audio tokens
+ * @param {number} params.outputTokens - Output audio tokens
+ * @param {number} [params.inputTextTokens]
+ * @param {number} [params.outputTextTokens]
+ * @param {string} [params.model]
+ * @param {string} [params.idempotencyKey]
+ * @returns {Promise<object>} - `{ ok: true, deductedAmount, newBalance, costBreakdown, transactionId }` or
+ *   `{ ok: false, status, error, ...details }`
+ */
+async function deductCoins({ userId, inputTokens = 0, outputTokens = 0, inputTextTokens = 0, outputTextTokens = 0, model, idempotencyKey }) {
+  console.log(`💰 Coin deduction request - User: ${userId}, Audio in/out: ${inputTokens}/${outputTokens}, Text in/out: ${inputTextTokens}/${outputTextTokens}, Model: ${model}`);
+
+  if (!supabase) {
+    return { ok: false, status: 500, error: 'Supabase not configured' };
+  }
+
+  const { coins: coinCost, priceVersion, costBreakdown } = await calculateCost('realtime_voice', { model, inputTokens, outputTokens, inputTextTokens, outputTextTokens });
+
+  console.log(`💰 Cost calculation - Input: $${costBreakdown.inputCostUSD}, Output: $${costBreakdown.outputCostUSD}, Total: $${costBreakdown.totalCostUSD}, Coins: ${coinCost} (price ${priceVersion})`);
+
+  let transaction;
+  try {
+    transaction = await applyCoinTransaction({
+      userId,
+      amount: -coinCost,
+      reason: 'realtime_voice',
+      model,
+      inputTokens: inputTokens + inputTextTokens,
+      outputTokens: outputTokens + outputTextTokens,
+      idempotencyKey,
+      metadata: { inputAudioTokens: inputTokens, inputTextTokens, outputAudioTokens: outputTokens, outputTextTokens },
+      priceVersion
+    });
+  } catch (error) {
+    console.error('❌ Failed to update user balance:', error);
+    return { ok: false, status: 500, error: 'Failed to update balance', details: error.message };
+  }
+
+  if (transaction.status === 'insufficient') {
+    console.log(`❌ Insufficient coins - Required: ${coinCost}, Available: ${transaction.balance}`);
+    return { ok: false, status: 400, error: 'Insufficient coins', required: coinCost, available: transaction.balance };
+  }
+
+  console.log(`✅ Coin deduction ${transaction.status} - Deducted: ${-transaction.amount}, New balance: ${transaction.balance}`);
+
+  return {
+    ok: true,
+    deductedAmount: -transaction.amount,
+    newBalance: transaction.balance,
+    transactionId: transaction.transactionId,
+    duplicate: transaction.status === 'duplicate',
+    priceVersion,
+    costBreakdown
+  };
+}
+
+// ========== OPERATION CHARGES ==========
+
+/**
+ * Charge the price of an operation up front (before the provider call)
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {string} params.operation - Pricing operation (e.g. 'chat', 'create_images', 'generate_photo')
+ * @param {string} [params.model]
+ * @param {object} [params.metadata]
+ * @returns {Promise<object>} - `{ ok: true, userId, operation, price, transactionId, balance }` or
+ *   `{ ok: false, status, error, required, available }`
+ */
+async function chargeOperation({ userId, operation, model, metadata }) {
+  const { coins: price, priceVersion } = await calculateCost(operation, { model });
+
+  const transaction = await applyCoinTransaction({
+    userId,
+    amount: -price,
+    reason: operation,
+    model,
+    idempotencyKey: `op:${crypto.randomUUID()}`,
+    metadata,
+    priceVersion
+  });
+
+  if (transaction.status === 'insufficient') {
+    console.log(`❌ Insufficient coins for ${operation} - Required: ${price}, Available: ${transaction.balance}`);
+    return { ok: false, status: 400, error: 'Insufficient coins', required: price, available: transaction.balance };
+  }
+
+  return {
+    ok: true,
+    userId,
+    operation,
+    price,
+    priceVersion,
+    transactionId: transaction.transactionId,
+    balance: transaction.balance
+  };
+}
+
+/**
+ * Pick the highest-priced model of an operation (used to reserve coins before a failover route runs)
+ * @param {string} operation
+ * @param {string[]} models - Candidate models, e.g. every provider model of an LLM route
+ * @returns {Promise<string|undefined>}
+ */
+async function highestPricedModel(operation, models) {
+  let best;
+  let bestCoins = -Infinity;
+  for (const model of models) {
+    const { coins } = await calculateCost(operation, { model });
+    if (coins > bestCoins) {
+      best = model;
+      bestCoins = coins;
     }
+  }
+  return best;
+}
 
-    if (fetchError && fetchError.code !== 'PGRST116') {
-      return res.status(500).json({ error: 'Failed to fetch character', details: fetchError.message });
+/**
+ * Settle a reserved charge at the price of the model that actually ran: the difference
+ * to the reserved amount is credited back (idempotent per charge, never throws)
+ * @param {object|null} charge - Successful result of chargeOperation
+ * @param {string} model - Model that served the request
+ * @returns {Promise<number|null>} - New balance, or null if nothing changed
+ */
+async function settleOperation(charge, model) {
+  if (!charge || !charge.ok) {
+    return null;
+  }
+
+  try {
+    const { coins: price, priceVersion } = await calculateCost(charge.operation, { model });
+    const difference = charge.price - price;
+    if (difference <= 0) {
+      return null;
     }
 
-    if (existingCharacter) {
-      // Karakter var, güncelle (Public URLs ile)
-      const updateData = {};
-      if (profileImagePublicUrl) {
-        updateData.profile_image_url = profileImagePublicUrl;
-      }
-      if (fullBodyImagePublicUrl) {
-        updateData.full_body_image_url = fullBodyImagePublicUrl;
-      }
+    const transaction = await applyCoinTransaction({
+      userId: charge.userId,
+      amount: difference,
+      reason: 'price_adjustment',
+      model,
+      idempotencyKey: `settle:${charge.transactionId}`,
+      priceVersion,
+      metadata: { adjustmentOf: charge.transactionId, operation: charge.operation, reservedPrice: charge.price, price }
+    });
+    console.log(`💰 Settled ${charge.operation} at ${price} coins (${model}), returned ${difference}`);
+    return transaction.balance;
+  } catch (error) {
+    console.error(`❌ Failed to settle ${charge.operation} charge ${charge.transactionId}:`, error);
+    return null;
+  }
+}
 
-      if (Object.keys(updateData).length > 0) {
-        const { error: updateError } = await supabase
-          .from('characters')
-          .update(updateData)
-          .eq('user_id', userId)
-          .eq('character_id', characterId);
+/**
+ * Refund a charge made by chargeOperation (idempotent per charge, never throws)
+ * @param {object|null} charge - Successful result of chargeOperation
+ * @param {string} [details] - Failure reason, stored in the ledger metadata
+ * @returns {Promise<number|null>} - New balance, or null if nothing was refunded
+ */
+async function refundOperation(charge, details) {
+  if (!charge || !charge.ok) {
+    return null;
+  }
 
-        if (updateError) {
-          console.error('❌ Supabase error updating character images:', updateError);
-          return res.status(500).json({ error: 'Failed to update character images', details: updateError.message });
-        }
+  try {
+    const transaction = await applyCoinTransaction({
+      userId: charge.userId,
+      amount: charge.price,
+      reason: 'refund',
+      idempotencyKey: `refund:${charge.transactionId}`,
+      priceVersion: charge.priceVersion,
+      metadata: { refundOf: charge.transactionId, operation: charge.operation, details }
+    });
+    console.log(`💰 Refunded ${charge.price} coins for failed ${charge.operation}`);
+    return transaction.balance;
+  } catch (error) {
+    console.error(`❌ Failed to refund ${charge.operation} charge ${charge.transactionId}:`, error);
+    return null;
+  }
+}
 
-        console.log(`✅ Updated character images for character ${characterId} and user ${userId}`);
-        console.log(`📸 Profile URL: ${profileImagePublicUrl || 'not updated'}`);
-        console.log(`📸 Full Body URL: ${fullBodyImagePublicUrl || 'not updated'}`);
-      }
+// ========== COIN DEDUCTION ENDPOINT ==========
 
-      res.json({ 
-        success: true,
-        profileImageURL: profileImagePublicUrl,
-        fullBodyImageURL: fullBodyImagePublicUrl
-      });
-    } else {
-      // Karakter hala bulunamadı, fotoğraflar yüklenmiş ama karakter kaydına kaydedilemedi
-      console.log(`⚠️ Character ${characterId} not found for user ${userId} after retries, images uploaded but not saved to character record`);
-      console.log(`📸 Profile URL uploaded: ${profileImagePublicUrl || 'none'}`);
-      console.log(`📸 Full Body URL uploaded: ${fullBodyImagePublicUrl || 'none'}`);
-      // Fotoğraflar yüklenmiş, karakter kaydına kaydedilemedi ama başarılı sayılabilir
-      res.json({ 
-        success: true, 
-        message: 'Images uploaded but character not found',
-        profileImageURL: profileImagePublicUrl,
-        fullBodyImageURL: fullBodyImagePublicUrl
-      });
+// Idempotency: aynı `idempotencyKey` (body) veya `Idempotency-Key` header'ı ile tekrarlanan
+// istekler bakiyeden yalnızca bir kez düşer.
+app.post('/api/deduct-coins', async (req, res) => {
+  try {
+    console.log('💰 Coin deduction endpoint called');
+    console.log('💰 Request body:', JSON.stringify(req.body, null, 2));
+    
+    const userId = req.userId;
+    const { inputTokens, outputTokens, inputTextTokens, outputTextTokens, model } = req.body;
+    const idempotencyKey = req.body.idempotencyKey || req.get('Idempotency-Key');
+
+    if (inputTokens === undefined || outputTokens === undefined) {
+      console.error('❌ Missing required fields:', { inputTokens, outputTokens });
+      return res.status(400).json({ error: 'Missing required fields: inputTokens, outputTokens' });
+    }
+
+    const { ok, status, ...result } = await deductCoins({
+      userId,
+      inputTokens,
+      outputTokens,
+      inputTextTokens: Number(inputTextTokens) || 0,
+      outputTextTokens: Number(outputTextTokens) || 0,
+      model,
+      idempotencyKey: idempotencyKey ? `client:${userId}:${idempotencyKey}` : undefined
+    });
+
+    if (!ok) {
+      return res.status(status).json(result);
     }
+
+    res.json({
+      success: true,
+      ...result
+    });
   } catch (error) {
-    console.error('❌ Error saving character images:', error);
-    res.status(500).json({ error: 'Failed to save character images', details: error.message });
+    console.error('❌ Error in deduct-coins:', error);
+    res.status(500).json({ error: 'Failed to deduct coins', details: error.message });
   }
 });
 
-// Mesajları kaydet (Supabase)
-app.post('/api/save-messages', async (req, res) => {
+// Bakiye + sayfalı işlem geçmişi (en yeni önce)
+// Query: `limit` (varsayılan 50, max 200), `before` (önceki sayfanın `nextCursor` değeri)
+app.get('/api/coins', async (req, res) => {
   try {
-    const { userId, characterId, messages } = req.body;
-
-    if (!userId || !characterId) {
-      return res.status(400).json({ error: 'userId and characterId are required' });
-    }
+    const userId = req.userId;
+    const limit = Math.min(parseInt(req.query.limit, 10) || COIN_HISTORY_DEFAULT_LIMIT, COIN_HISTORY_MAX_LIMIT);
+    const { before } = req.query;
 
-    if (!messages) {
-      return res.status(400).json({ error: 'messages is required' });
+    if (before && !decodePageCursor(before)) {
+      return res.status(400).json({ error: 'Invalid cursor' });
     }
 
     if (!supabase) {
       return res.status(500).json({ error: 'Supabase not configured' });
     }
 
-    // Önce mevcut mesajları sil (upsert için)
-    await supabase
-      .from('messages')
-      .delete()
+    const balance = await getCoinBalance(userId);
+
+    let query = supabase
+      .from('coin_transactions')
+      .select('id, amount, balance_after, reason, model, input_tokens, output_tokens, price_version, metadata, created_at')
       .eq('user_id', userId)
-      .eq('character_id', characterId);
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(limit + 1); // Bir fazlası: sonraki sayfa var mı?
 
-    // Process messages: upload images to Supabase Storage if they are Base64
-    console.log('💾 Processing', messages.length, 'messages...');
-    const messagesToInsert = await Promise.all(messages.map(async (msg, index) => {
-      let imageUrl = msg.imageURL || null;
+    if (before) {
+      query = applyPageCursor(query, before, { sortColumn: 'created_at', idColumn: 'id', op: 'lt' });
+    }
 
-      // If imageURL is already a Supabase Storage URL (http:// or https://), use it directly
-      if (imageUrl && (imageUrl.startsWith('http://') || imageUrl.startsWith('https://'))) {
-        // Already a Supabase Storage URL, use it directly
-        console.log(`✅ Message ${index + 1}/${messages.length} already has Supabase Storage URL: ${imageUrl}`);
-        // No need to upload, already in Supabase Storage
-      }
-      // If imageURL is Base64, upload to Storage
-      else if (imageUrl && imageUrl.startsWith('data:image')) {
-        // Extract base64 if it's a data URI
-        const filePath = `chat_images/${msg.id}.jpg`;
-        console.log(`💾 Uploading message image ${index + 1}/${messages.length} to Storage: ${filePath}`);
-        const publicUrl = await uploadBase64ToSupabase(imageUrl, filePath);
-        if (publicUrl) {
-          imageUrl = publicUrl;
-          console.log(`✅ Uploaded message image to Storage: ${filePath}`);
-        } else {
-          console.error(`❌ Failed to upload message image for message ${msg.id}`);
-          imageUrl = null; // Don't save if upload failed
-        }
-      }
-      // If it's a file:// URL, skip (shouldn't happen anymore, but handle gracefully)
-      else if (imageUrl && imageUrl.startsWith('file://')) {
-        console.warn(`⚠️ Message ${index + 1}/${messages.length} has file:// URL, skipping (should be Supabase Storage URL): ${imageUrl}`);
-        imageUrl = null; // Don't save local file paths
-      }
+    const { data, error } = await query;
 
-      return {
-        user_id: userId,
-        character_id: characterId,
-        message_id: msg.id,
-        text: msg.text,
-        is_user: msg.isUser,
-        timestamp: msg.timestamp,
-        image_url: imageUrl
-      };
+    if (error) {
+      console.error('❌ Supabase error loading coin transactions:', error);
+      return res.status(500).json({ error: 'Failed to load coin transactions', details: error.message });
+    }
+
+    const rows = data || [];
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+
+    const transactions = page.map(row => ({
+      id: row.id,
+      amount: row.amount,
+      balanceAfter: row.balance_after,
+      reason: row.reason,
+      model: row.model,
+      inputTokens: row.input_tokens,
+      outputTokens: row.output_tokens,
+      priceVersion: row.price_version,
+      metadata: row.metadata,
+      createdAt: row.created_at
     }));
 
-    console.log('💾 Inserting', messagesToInsert.length, 'messages into Supabase...');
-    console.log('💾 First message to insert:', JSON.stringify(messagesToInsert[0], null, 2));
-    
-    const { data: insertData, error } = await supabase
-      .from('messages')
-      .insert(messagesToInsert)
-      .select(); // Insert edilen verileri döndür
+    res.json({
+      success: true,
+      balance,
+      transactions,
+      hasMore,
+      nextCursor: hasMore ? encodePageCursor(page[page.length - 1].created_at, page[page.length - 1].id) : null
+    });
+  } catch (error) {
+    console.error('❌ Error loading coins:', error);
+    res.status(500).json({ error: 'Failed to load coins', details: error.message });
+  }
+});
 
-    if (error) {
-      console.error('❌ Supabase error saving messages:', error);
-      console.error('❌ Error code:', error.code);
-      console.error('❌ Error message:', error.message);
-      console.error('❌ Error details:', JSON.stringify(error, null, 2));
-      console.error('❌ Error hint:', error.hint);
-      return res.status(500).json({ error: 'Failed to save messages', details: error.message });
+// Bir işlemin maliyetini önceden göster ("bu fotoğraf N coin")
+// Body: `operation` ('chat' | 'create_images' | 'generate_photo' | 'realtime_voice'), opsiyonel
+// `model`, `inputTokens`, `outputTokens` (ses), `inputTextTokens`, `outputTextTokens` (token bazlı fiyatlar için)
+app.post('/api/estimate-cost', async (req, res) => {
+  try {
+    const { operation, model, inputTokens, outputTokens, inputTextTokens, outputTextTokens } = req.body;
+
+    if (!operation) {
+      return res.status(400).json({ error: 'operation is required' });
     }
 
-    console.log('💾 Insert result:', insertData ? `${insertData.length} rows inserted` : 'no data returned');
-    if (insertData && insertData.length > 0) {
-      console.log('💾 First inserted message:', JSON.stringify(insertData[0], null, 2));
-      console.log('💾 Inserted message character_id:', insertData[0].character_id);
-      console.log('💾 Inserted message user_id:', insertData[0].user_id);
-    } else if (!insertData) {
-      console.warn('⚠️ Insert returned no data - this might indicate RLS policy blocking the response');
+    const price = await getPrice(operation, model);
+    if (!price) {
+      return res.status(400).json({ error: `Unknown operation: ${operation}` });
     }
 
-    // Verify: Hemen query yap ve kontrol et
-    console.log('💾 Verifying insert by querying Supabase...');
-    console.log('💾 Verification query filters: user_id=', userId, ', character_id=', characterId);
-    const { data: verifyData, error: verifyError } = await supabase
-      .from('messages')
-      .select('*')
-      .eq('user_id', userId)
-      .eq('character_id', characterId);
+    const { coins, priceVersion, costBreakdown } = await calculateCost(operation, {
+      model,
+      inputTokens: Number(inputTokens) || 0,
+      outputTokens: Number(outputTokens) || 0,
+      inputTextTokens: Number(inputTextTokens) || 0,
+      outputTextTokens: Number(outputTextTokens) || 0
+    });
 
-    if (verifyError) {
-      console.error('❌ Error verifying messages:', verifyError);
-      console.error('❌ Verification error details:', JSON.stringify(verifyError, null, 2));
-    } else {
-      console.log('💾 Verification: Found', verifyData?.length || 0, 'messages in database');
-      if (verifyData && verifyData.length > 0) {
-        console.log('💾 First verified message:', JSON.stringify(verifyData[0], null, 2));
-        console.log('💾 Verified message character_id:', verifyData[0].character_id);
-        console.log('💾 Verified message user_id:', verifyData[0].user_id);
-      } else {
-        console.error('❌ VERIFICATION FAILED: No messages found after insert!');
-        console.error('❌ This means insert succeeded but query failed - possible RLS issue or data type mismatch');
-        
-        // Try querying without filters to see if data exists
-        const { data: allData, error: allError } = await supabase
-          .from('messages')
-          .select('*')
-          .limit(5);
-        
-        if (allError) {
-          console.error('❌ Error querying all messages:', allError);
-        } else {
-          console.log('💾 Total messages in table:', allData?.length || 0);
-          if (allData && allData.length > 0) {
-            console.log('💾 Sample message from table:', JSON.stringify(allData[0], null, 2));
-          }
-        }
-      }
-    }
+    const balance = supabase ? await getCoinBalance(req.userId) : null;
 
-    console.log(`✅ Successfully saved ${messages.length} messages for user ${userId}, character ${characterId}`);
-    res.json({ success: true, count: messages.length });
+    res.json({
+      success: true,
+      operation,
+      model: model || null,
+      coins,
+      priceVersion,
+      costBreakdown,
+      balance,
+      affordable: balance === null ? null : balance >= coins
+    });
   } catch (error) {
-    console.error('❌ Error saving messages:', error);
-    res.status(500).json({ error: 'Failed to save messages', details: error.message });
+    console.error('❌ Error estimating cost:', error);
+    res.status(500).json({ error: 'Failed to estimate cost', details: error.message });
   }
 });
 
-// Mesajları yükle (Supabase)
-app.get('/api/load-messages', async (req, res) => {
-  try {
-    console.log('📥 ========== LOAD MESSAGES REQUEST ==========');
-    const { userId, characterId } = req.query;
+// ========== IN-APP PURCHASES (APP STORE) ==========
 
-    console.log('📥 User ID:', userId);
-    console.log('📥 Character ID:', characterId);
+// Ürün ID -> coin paketi, örn. {"com.charactique.coins.100": 100, "com.charactique.coins.550": 550}
+const APP_STORE_COIN_PACKS = JSON.parse(process.env.APP_STORE_COIN_PACKS || '{}');
+const APP_STORE_BUNDLE_ID = process.env.APP_STORE_BUNDLE_ID;
+const APP_STORE_ALLOWED_ENVIRONMENTS = (process.env.APP_STORE_ALLOWED_ENVIRONMENTS || 'Production,Sandbox')
+  .split(',')
+  .map(env => env.trim());
+
+// Apple'ın App Store imza sertifikalarındaki işaret uzantıları: aynı kökten çıkmış başka
+// sertifikalar (ör. başka Apple servisleri) bildirim imzalayamasın
+const APPLE_RECEIPT_SIGNING_OID = '1.2.840.113635.100.6.11.1';
+const APPLE_WWDR_INTERMEDIATE_OID = '1.2.840.113635.100.6.2.1';
 
-    if (!userId || !characterId) {
-      console.error('❌ Missing userId or characterId');
-      return res.status(400).json({ error: 'userId and characterId are required' });
+let appleRootCertificates = null;
+
+/**
+ * Read one DER TLV header
+ * @param {Buffer} buffer
+ * @param {number} offset
+ * @returns {{tag: number, start: number, end: number}} - Content bounds
+ */
+function readDerElement(buffer, offset) {
+  const tag = buffer[offset];
+  let length = buffer[offset + 1];
+  let start = offset + 2;
+
+  if (length & 0x80) {
+    const byteCount = length & 0x7f;
+    if (byteCount === 0 || byteCount > 4) {
+      throw new Error('Unsupported DER length');
+    }
+    length = 0;
+    for (let i = 0; i < byteCount; i++) {
+      length = length * 256 + buffer[start + i];
     }
+    start += byteCount;
+  }
 
-    if (!supabase) {
-      console.error('❌ Supabase not configured');
-      return res.status(500).json({ error: 'Supabase not configured' });
+  if (start + length > buffer.length) {
+    throw new Error('Truncated DER element');
+  }
+  return { tag, start, end: start + length };
+}
+
+/**
+ * Decode a DER OBJECT IDENTIFIER body to dotted form
+ * @param {Buffer} bytes
+ * @returns {string}
+ */
+function decodeDerOid(bytes) {
+  const arcs = [Math.floor(bytes[0] / 40), bytes[0] % 40];
+  let value = 0;
+  for (const byte of bytes.subarray(1)) {
+    value = value * 128 + (byte & 0x7f);
+    if (!(byte & 0x80)) {
+      arcs.push(value);
+      value = 0;
     }
+  }
+  return arcs.join('.');
+}
 
-    console.log('📥 Querying Supabase for messages...');
-    console.log('📥 Query filters: user_id=', userId, ', character_id=', characterId);
-    
-    // Önce tüm mesajları kontrol et (debug için)
-    const { data: allMessages, error: allError } = await supabase
-      .from('messages')
-      .select('*')
-      .eq('user_id', userId);
-    
-    if (allError) {
-      console.error('❌ Error querying all messages for user:', allError);
-    } else {
-      console.log('📥 Total messages for user', userId, ':', allMessages?.length || 0);
-      if (allMessages && allMessages.length > 0) {
-        console.log('📥 First message in DB:', JSON.stringify(allMessages[0], null, 2));
-        console.log('📥 First message character_id:', allMessages[0].character_id);
-        console.log('📥 Requested character_id:', characterId);
-        console.log('📥 Character IDs match?', allMessages[0].character_id === characterId);
+/**
+ * Extension OIDs of an X.509 certificate (crypto.X509Certificate does not expose them)
+ * @param {crypto.X509Certificate} certificate
+ * @returns {string[]}
+ */
+function getCertificateExtensionOids(certificate) {
+  const raw = certificate.raw;
+  const cert = readDerElement(raw, 0);
+  const tbs = readDerElement(raw, cert.start);
+
+  // TBSCertificate alanları arasında [3] (extensions) etiketini bul
+  for (let offset = tbs.start; offset < tbs.end;) {
+    const field = readDerElement(raw, offset);
+    if (field.tag === 0xa3) {
+      const extensions = readDerElement(raw, field.start);
+      const oids = [];
+      for (let extOffset = extensions.start; extOffset < extensions.end;) {
+        const extension = readDerElement(raw, extOffset);
+        const oid = readDerElement(raw, extension.start);
+        oids.push(decodeDerOid(raw.subarray(oid.start, oid.end)));
+        extOffset = extension.end;
       }
+      return oids;
     }
-    
-    const { data, error } = await supabase
-      .from('messages')
-      .select('*')
-      .eq('user_id', userId)
-      .eq('character_id', characterId)
-      .order('timestamp', { ascending: true });
+    offset = field.end;
+  }
 
-    if (error) {
-      console.error('❌ Supabase error loading messages:', error);
-      console.error('❌ Error details:', JSON.stringify(error, null, 2));
-      return res.status(500).json({ error: 'Failed to load messages', details: error.message });
+  return [];
+}
+
+/**
+ * Trusted root certificates for App Store JWS chains.
+ * APPLE_ROOT_CA_PEM: one or more PEM certificates; APPLE_ROOT_CA_PATHS: comma separated PEM/DER files
+ * (e.g. AppleRootCA-G3.cer from https://www.apple.com/certificateauthority/).
+ * @returns {crypto.X509Certificate[]}
+ */
+function getAppleRootCertificates() {
+  if (appleRootCertificates) {
+    return appleRootCertificates;
+  }
+
+  const certificates = [];
+
+  if (process.env.APPLE_ROOT_CA_PEM) {
+    const pems = process.env.APPLE_ROOT_CA_PEM.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || [];
+    for (const pem of pems) {
+      certificates.push(new crypto.X509Certificate(pem));
     }
+  }
 
-    console.log('📥 Supabase returned', data?.length || 0, 'messages');
-    if (data && data.length === 0) {
-      console.warn('⚠️ No messages found! Query filters might be wrong or messages not saved correctly.');
+  if (process.env.APPLE_ROOT_CA_PATHS) {
+    for (const certPath of process.env.APPLE_ROOT_CA_PATHS.split(',').map(p => p.trim()).filter(Boolean)) {
+      certificates.push(new crypto.X509Certificate(fs.readFileSync(certPath)));
     }
+  }
 
-    // Supabase'den gelen verileri iOS formatına çevir
-    const messages = (data || []).map((row, index) => {
-      const message = {
-        id: row.message_id,
-        text: row.text,
-        isUser: row.is_user,
-        timestamp: row.timestamp,
-        imageURL: row.image_url
-      };
-      
-      // İlk 3 mesajı logla
-      if (index < 3) {
-        console.log(`📥 Message ${index + 1}: id=${row.message_id}, text=${row.text?.substring(0, 50)}..., isUser=${row.is_user}, imageURL=${row.image_url || 'nil'}`);
-      }
-      
-      return message;
-    });
+  appleRootCertificates = certificates;
+  console.log(`🍎 Loaded ${certificates.length} Apple root certificate(s)`);
+  return certificates;
+}
 
-    console.log(`✅ Successfully loaded ${messages.length} messages for user ${userId}, character ${characterId}`);
-    res.json({ success: true, messages });
+/**
+ * Verify an App Store signed payload (JWS with an x5c chain) and return its decoded payload.
+ * Checks: ES256 signature by the leaf key, Apple's marker extensions on the leaf and intermediate,
+ * each certificate issued and signed by the next one, the chain ends at a configured root,
+ * and every certificate is valid at the payload's signedDate.
+ * @param {string} jws - Compact JWS (signedTransactionInfo / signedPayload)
+ * @returns {object} - Decoded payload (throws on any verification failure)
+ */
+function verifyAppleSignedPayload(jws) {
+  if (typeof jws !== 'string') {
+    throw new Error('Signed payload must be a string');
+  }
+
+  const parts = jws.split('.');
+  if (parts.length !== 3) {
+    throw new Error('Malformed JWS');
+  }
+
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
   } catch (error) {
-    console.error('❌ Error loading messages:', error);
-    console.error('❌ Error stack:', error.stack);
-    res.status(500).json({ error: 'Failed to load messages', details: error.message });
+    throw new Error('Malformed JWS');
   }
-});
 
-// Bir karakteri sil (Supabase)
-app.delete('/api/delete-character', async (req, res) => {
+  if (header.alg !== 'ES256') {
+    throw new Error(`Unsupported JWS algorithm: ${header.alg}`);
+  }
+
+  if (!Array.isArray(header.x5c) || header.x5c.length < 2) {
+    throw new Error('JWS is missing its certificate chain');
+  }
+
+  const roots = getAppleRootCertificates();
+  if (roots.length === 0) {
+    throw new Error('No Apple root certificates configured');
+  }
+
+  const chain = header.x5c.map(der => new crypto.X509Certificate(Buffer.from(der, 'base64')));
+  const effectiveDate = payload.signedDate ? new Date(payload.signedDate) : new Date();
+
+  if (!getCertificateExtensionOids(chain[0]).includes(APPLE_RECEIPT_SIGNING_OID)) {
+    throw new Error('Leaf certificate is not an App Store signing certificate');
+  }
+  if (!getCertificateExtensionOids(chain[1]).includes(APPLE_WWDR_INTERMEDIATE_OID)) {
+    throw new Error('Intermediate certificate is not an Apple WWDR certificate');
+  }
+
+  chain.forEach((certificate, index) => {
+    if (effectiveDate < new Date(certificate.validFrom) || effectiveDate > new Date(certificate.validTo)) {
+      throw new Error(`Certificate ${index} is not valid at ${effectiveDate.toISOString()}`);
+    }
+    if (index > 0 && !certificate.ca) {
+      throw new Error(`Certificate ${index} is not a CA certificate`);
+    }
+  });
+
+  for (let i = 0; i < chain.length - 1; i++) {
+    if (!chain[i].checkIssued(chain[i + 1]) || !chain[i].verify(chain[i + 1].publicKey)) {
+      throw new Error(`Certificate ${i} is not signed by certificate ${i + 1}`);
+    }
+  }
+
+  // Zincirin sonu ya güvenilen bir kökün kendisi ya da onun tarafından imzalanmış olmalı
+  const top = chain[chain.length - 1];
+  const anchored = roots.some(root =>
+    root.fingerprint256 === top.fingerprint256 ||
+    (top.checkIssued(root) && top.verify(root.publicKey))
+  );
+  if (!anchored) {
+    throw new Error('Certificate chain does not end at a trusted root');
+  }
+
+  const valid = crypto.verify(
+    'sha256',
+    Buffer.from(`${parts[0]}.${parts[1]}`),
+    { key: chain[0].publicKey, dsaEncoding: 'ieee-p1363' },
+    Buffer.from(parts[2], 'base64url')
+  );
+  if (!valid) {
+    throw new Error('Invalid JWS signature');
+  }
+
+  return payload;
+}
+
+// App Store satın alımını doğrula ve coin'leri ekle (transactionId başına tek sefer)
+// Body: `signedTransaction` (StoreKit 2 Transaction.jwsRepresentation)
+app.post('/api/purchases/verify', async (req, res) => {
   try {
-    const { userId, characterId } = req.body;
+    const userId = req.userId;
+    const { signedTransaction } = req.body;
 
-    if (!userId || !characterId) {
-      return res.status(400).json({ error: 'userId and characterId are required' });
+    if (!signedTransaction) {
+      return res.status(400).json({ error: 'signedTransaction is required' });
     }
 
     if (!supabase) {
       return res.status(500).json({ error: 'Supabase not configured' });
     }
 
-    // Önce karakterin mesajlarını sil
-    await supabase
-      .from('messages')
-      .delete()
-      .eq('user_id', userId)
-      .eq('character_id', characterId);
+    let transaction;
+    try {
+      transaction = verifyAppleSignedPayload(signedTransaction);
+    } catch (error) {
+      console.warn('⚠️ App Store transaction verification failed:', error.message);
+      return res.status(400).json({ error: 'Invalid signed transaction', details: error.message });
+    }
 
-    // Sonra karakteri sil
-    const { error } = await supabase
-      .from('characters')
-      .delete()
-      .eq('user_id', userId)
-      .eq('character_id', characterId);
+    console.log(`🍎 Verified transaction ${transaction.transactionId} (${transaction.productId}, ${transaction.environment}) for user ${userId}`);
 
-    if (error) {
-      console.error('❌ Supabase error deleting character:', error);
-      return res.status(500).json({ error: 'Failed to delete character', details: error.message });
+    if (APP_STORE_BUNDLE_ID && transaction.bundleId !== APP_STORE_BUNDLE_ID) {
+      return res.status(400).json({ error: 'Transaction belongs to a different app' });
     }
 
-    console.log(`✅ Deleted character ${characterId} and its messages for user ${userId}`);
-    res.json({ success: true });
-  } catch (error) {
-    console.error('❌ Error deleting character:', error);
-    res.status(500).json({ error: 'Failed to delete character', details: error.message });
-  }
-});
+    if (!APP_STORE_ALLOWED_ENVIRONMENTS.includes(transaction.environment)) {
+      return res.status(400).json({ error: `Environment ${transaction.environment} is not accepted` });
+    }
 
-// Bir karakterin mesajlarını sil (Supabase)
-app.delete('/api/delete-messages', async (req, res) => {
-  try {
-    const { userId, characterId } = req.body;
+    if (transaction.revocationDate) {
+      return res.status(400).json({ error: 'Transaction has been refunded or revoked' });
+    }
 
-    if (!userId || !characterId) {
-      return res.status(400).json({ error: 'userId and characterId are required' });
+    // App, appAccountToken olarak Supabase kullanıcı ID'sini gönderiyorsa başka kullanıcıya ait satın alım reddedilir
+    if (transaction.appAccountToken && transaction.appAccountToken.toLowerCase() !== String(userId).toLowerCase()) {
+      return res.status(403).json({ error: 'Transaction belongs to a different user' });
     }
 
-    if (!supabase) {
-      return res.status(500).json({ error: 'Supabase not configured' });
+    const packCoins = APP_STORE_COIN_PACKS[transaction.productId];
+    if (!packCoins) {
+      return res.status(400).json({ error: `Unknown product: ${transaction.productId}` });
     }
 
-    const { error } = await supabase
-      .from('messages')
-      .delete()
-      .eq('user_id', userId)
-      .eq('character_id', characterId);
+    const coins = packCoins * (transaction.quantity || 1);
+    const idempotencyKey = `appstore:${transaction.transactionId}`;
+
+    const result = await applyCoinTransaction({
+      userId,
+      amount: coins,
+      reason: 'purchase',
+      idempotencyKey,
+      metadata: {
+        transactionId: transaction.transactionId,
+        originalTransactionId: transaction.originalTransactionId,
+        productId: transaction.productId,
+        environment: transaction.environment
+      }
+    });
 
-    if (error) {
-      console.error('❌ Supabase error deleting messages:', error);
-      return res.status(500).json({ error: 'Failed to delete messages', details: error.message });
+    if (result.status === 'duplicate') {
+      // Aynı transaction başka bir kullanıcıya yazılmışsa bildir
+      const { data: original } = await supabase
+        .from('coin_transactions')
+        .select('user_id')
+        .eq('idempotency_key', idempotencyKey)
+        .maybeSingle();
+
+      if (original && original.user_id !== userId) {
+        return res.status(409).json({ error: 'Transaction was already credited to another user' });
+      }
     }
 
-    console.log(`✅ Deleted messages for character ${characterId} and user ${userId}`);
-    res.json({ success: true });
+    console.log(`✅ Purchase ${result.status} - User: ${userId}, Coins: ${coins}, Balance: ${result.balance}`);
+
+    res.json({
+      success: true,
+      transactionId: transaction.transactionId,
+      productId: transaction.productId,
+      credited: result.status === 'applied' ? coins : 0,
+      duplicate: result.status === 'duplicate',
+      newBalance: result.balance
+    });
   } catch (error) {
-    console.error('❌ Error deleting messages:', error);
-    res.status(500).json({ error: 'Failed to delete messages', details: error.message });
+    console.error('❌ Error verifying purchase:', error);
+    res.status(500).json({ error: 'Failed to verify purchase', details: error.message });
   }
 });
 
-// ========== COIN DEDUCTION ENDPOINT ==========
-
-app.post('/api/deduct-coins', async (req, res) => {
+// App Store Server Notifications V2 (JWT yerine Apple imzası ile doğrulanır)
+// REFUND / REVOKE: kullanıcıda kalan kredi geri alınır (bakiye eksiye düşebilir), REFUND_REVERSED: geri alınan kısım tekrar eklenir.
+app.post('/api/webhooks/app-store', async (req, res) => {
   try {
-    console.log('💰 Coin deduction endpoint called');
-    console.log('💰 Request body:', JSON.stringify(req.body, null, 2));
-    
-    const { userId, inputTokens, outputTokens, model } = req.body;
+    const { signedPayload } = req.body;
 
-    if (!userId || inputTokens === undefined || outputTokens === undefined) {
-      console.error('❌ Missing required fields:', { userId, inputTokens, outputTokens });
-      return res.status(400).json({ error: 'Missing required fields: userId, inputTokens, outputTokens' });
+    if (!supabase) {
+      return res.status(500).json({ error: 'Supabase not configured' });
     }
 
-    console.log(`💰 Coin deduction request - User: ${userId}, Input: ${inputTokens}, Output: ${outputTokens}, Model: ${model}`);
-
-    // Pricing: Realtime Mini
-    // Input Audio: ~$0.06 per 1k tokens = $0.00006 per token
-    // Output Audio: ~$0.24 per 1k tokens = $0.00024 per token
-    // Cost calculation: maliyetin 5 katı kadar coin düşecek
-    // 1 Coin = $0.01, yani maliyet * 5 / 0.01 = maliyet * 500
-    const inputCostUSD = inputTokens * 0.00006;
-    const outputCostUSD = outputTokens * 0.00024;
-    const totalCostUSD = inputCostUSD + outputCostUSD;
-    
-    // Minimum cost: If no tokens used, apply minimum session cost (e.g., 1 minute = ~150 tokens)
-    // This ensures users are charged even for very short calls
-    const minimumTokens = 150; // Approximate tokens for 1 minute
-    const minimumCostUSD = minimumTokens * 0.00006; // Minimum input cost
-    const finalCostUSD = totalCostUSD > 0 ? totalCostUSD : minimumCostUSD;
-    
-    const coinCost = Math.ceil(finalCostUSD * 500); // Maliyetin 5 katı (500x multiplier)
-    
-    if (totalCostUSD === 0) {
-      console.log(`💰 Applied minimum cost - Original: $${totalCostUSD.toFixed(4)}, Minimum: $${minimumCostUSD.toFixed(4)}, Final: $${finalCostUSD.toFixed(4)}`);
+    let notification;
+    let transaction;
+    try {
+      notification = verifyAppleSignedPayload(signedPayload);
+      transaction = notification.data?.signedTransactionInfo
+        ? verifyAppleSignedPayload(notification.data.signedTransactionInfo)
+        : null;
+    } catch (error) {
+      console.warn('⚠️ App Store notification verification failed:', error.message);
+      return res.status(401).json({ error: 'Invalid signed payload', details: error.message });
     }
 
-    console.log(`💰 Cost calculation - Input: $${inputCostUSD.toFixed(4)}, Output: $${outputCostUSD.toFixed(4)}, Total: $${totalCostUSD.toFixed(4)}, Coins: ${coinCost}`);
+    console.log(`🍎 App Store notification ${notification.notificationType}${notification.subtype ? `/${notification.subtype}` : ''} (${notification.notificationUUID})`);
 
-    // Get or create user record in Supabase
-    // First, check if users table exists, if not create it
-    let { data: userData, error: fetchError } = await supabase
-      .from('users')
-      .select('*')
-      .eq('user_id', userId)
-      .single();
+    if (APP_STORE_BUNDLE_ID && notification.data?.bundleId && notification.data.bundleId !== APP_STORE_BUNDLE_ID) {
+      console.warn('⚠️ Notification for a different bundle, ignoring');
+      return res.json({ success: true });
+    }
 
-    if (fetchError && fetchError.code === 'PGRST116') {
-      // User doesn't exist, create with 500 coins
-      console.log(`📝 User ${userId} not found, creating with 500 coins`);
-      const { data: newUser, error: createError } = await supabase
-        .from('users')
-        .insert([{
-          user_id: userId,
-          coin_balance: 500,
-          created_at: new Date().toISOString()
-        }])
-        .select()
-        .single();
+    const handled = ['REFUND', 'REVOKE', 'REFUND_REVERSED'];
+    if (!handled.includes(notification.notificationType) || !transaction) {
+      return res.json({ success: true });
+    }
 
-      if (createError) {
-        console.error('❌ Failed to create user:', createError);
-        return res.status(500).json({ error: 'Failed to create user', details: createError.message });
-      }
+    // Orijinal kredi kaydını bul (kullanıcı ve miktar buradan gelir)
+    const { data: credit, error } = await supabase
+      .from('coin_transactions')
+      .select('user_id, amount')
+      .eq('idempotency_key', `appstore:${transaction.transactionId}`)
+      .maybeSingle();
 
-      userData = newUser;
-    } else if (fetchError) {
-      console.error('❌ Error fetching user:', fetchError);
-      return res.status(500).json({ error: 'Failed to fetch user', details: fetchError.message });
+    if (error) {
+      console.error('❌ Error looking up purchase credit:', error);
+      return res.status(500).json({ error: 'Failed to look up purchase', details: error.message });
     }
 
-    const currentBalance = userData?.coin_balance || 500;
-    console.log(`💰 Current balance: ${currentBalance} coins`);
-
-    if (currentBalance < coinCost) {
-      console.log(`❌ Insufficient coins - Required: ${coinCost}, Available: ${currentBalance}`);
-      return res.status(400).json({ 
-        error: 'Insufficient coins', 
-        required: coinCost, 
-        available: currentBalance 
-      });
+    if (!credit) {
+      console.warn(`⚠️ No credit found for transaction ${transaction.transactionId}, nothing to claw back`);
+      return res.json({ success: true });
     }
 
-    const newBalance = currentBalance - coinCost;
+    // Bu satın alma için şimdiye kadar uygulanan iade/geri alma kayıtları
+    const { data: adjustments, error: adjustmentsError } = await supabase
+      .from('coin_transactions')
+      .select('amount')
+      .eq('user_id', credit.user_id)
+      .in('reason', ['purchase_refund', 'purchase_refund_reversed'])
+      .eq('metadata->>transactionId', transaction.transactionId);
+
+    if (adjustmentsError) {
+      console.error('❌ Error looking up purchase refunds:', adjustmentsError);
+      return res.status(500).json({ error: 'Failed to look up purchase', details: adjustmentsError.message });
+    }
 
-    // Update user balance
-    const { error: updateError } = await supabase
-      .from('users')
-      .update({ coin_balance: newBalance })
-      .eq('user_id', userId);
+    // Geri alınmış (ve henüz iade-iptaliyle geri verilmemiş) coin miktarı
+    const refunded = -(adjustments || []).reduce((sum, row) => sum + row.amount, 0);
+    const reversed = notification.notificationType === 'REFUND_REVERSED';
+    // REFUND/REVOKE yalnızca hâlâ kullanıcıda olan krediyi, REFUND_REVERSED yalnızca gerçekten geri alınanı işler
+    const amount = reversed ? refunded : -(credit.amount - refunded);
 
-    if (updateError) {
-      console.error('❌ Failed to update user balance:', updateError);
-      return res.status(500).json({ error: 'Failed to update balance', details: updateError.message });
+    if (amount === 0) {
+      console.log(`🍎 ${notification.notificationType} for transaction ${transaction.transactionId}: nothing outstanding`);
+      return res.json({ success: true });
     }
 
-    console.log(`✅ Coin deduction successful - Deducted: ${coinCost}, New balance: ${newBalance}`);
-
-    res.json({
-      success: true,
-      deductedAmount: coinCost,
-      newBalance: newBalance,
-      costBreakdown: {
-        inputCostUSD: inputCostUSD.toFixed(4),
-        outputCostUSD: outputCostUSD.toFixed(4),
-        totalCostUSD: totalCostUSD.toFixed(4)
+    const result = await applyCoinTransaction({
+      userId: credit.user_id,
+      amount,
+      reason: reversed ? 'purchase_refund_reversed' : 'purchase_refund',
+      // Anahtar bu satın almanın düzeltme sırasındaki konumu: aynı durumu gören eşzamanlı
+      // ya da tekrarlanan bildirimler aynı anahtarı üretir ve yalnızca biri uygulanır
+      idempotencyKey: `appstore-adjustment:${transaction.transactionId}:${(adjustments || []).length + 1}`,
+      allowNegative: true,
+      metadata: {
+        transactionId: transaction.transactionId,
+        productId: transaction.productId,
+        notificationUUID: notification.notificationUUID,
+        notificationType: notification.notificationType
       }
     });
+
+    console.log(`✅ ${notification.notificationType} ${result.status} for transaction ${transaction.transactionId} - User: ${credit.user_id}, Balance: ${result.balance}`);
+    res.json({ success: true });
   } catch (error) {
-    console.error('❌ Error in deduct-coins:', error);
-    res.status(500).json({ error: 'Failed to deduct coins', details: error.message });
+    console.error('❌ Error handling App Store notification:', error);
+    res.status(500).json({ error: 'Failed to handle notification', details: error.message });
   }
 });
 
@@ -1619,6 +6680,48 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
+// Body parser hataları (büyük/bozuk gövde) Express'in HTML sayfası yerine JSON olarak dönsün
+app.use((err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Request body too large' });
+  }
+
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Invalid JSON body' });
+  }
+
+  console.error('❌ Unhandled error:', err);
+  const status = err.status || err.statusCode || 500;
+  res.status(status >= 400 && status < 600 ? status : 500).json({ error: status < 500 ? err.message : 'Internal server error' });
 });
+
+// Testler modülü require ettiğinde sunucu başlatılmaz
+if (require.main === module) {
+  const server = app.listen(PORT, () => {
+    console.log(`Server is running on port ${PORT}`);
+
+    // Yeniden başlatmadan önce yarım kalan üretim job'larını devam ettir
+    resumePendingJobs().catch(error => console.error('❌ Error resuming jobs:', error));
+  });
+
+  // Realtime relay WebSocket'lerini aynı HTTP sunucusu üzerinden kabul et
+  attachRealtimeRelay(server);
+}
+
+module.exports = {
+  app,
+  sniffImageType,
+  verifySupabaseJwt,
+  verifyAppleSignedPayload,
+  resolvePublicAddress,
+  fetchRemoteImage,
+  multipartUpload,
+  encodePageCursor,
+  decodePageCursor,
+  pageCursorCondition,
+  applyPageCursor
+};
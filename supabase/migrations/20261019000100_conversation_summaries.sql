@@ -0,0 +1,18 @@
+-- Rolling per-conversation summary used by /api/chat to keep the model context
+-- inside CHAT_CONTEXT_TOKEN_BUDGET. Messages up to (summarized_until, summarized_until_message_id)
+-- in (timestamp, message_id) order are represented by `summary` and no longer sent to the model verbatim.
+create table if not exists conversation_summaries (
+  user_id text not null,
+  character_id text not null,
+  summary text not null default '',
+  summarized_until timestamptz,
+  summarized_until_message_id text,
+  updated_at timestamptz not null default now(),
+  primary key (user_id, character_id)
+);
+
+-- Summaries of private conversations: server only, RLS on with no policies.
+alter table conversation_summaries enable row level security;
+
+create index if not exists messages_user_character_timestamp_idx
+  on messages (user_id, character_id, timestamp);
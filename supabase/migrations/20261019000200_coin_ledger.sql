@@ -0,0 +1,113 @@
+-- Append-only coin ledger. Every debit (negative amount) and credit (positive amount)
+-- is one row; users.coin_balance is only ever changed by apply_coin_transaction().
+create table if not exists coin_transactions (
+  id uuid primary key default gen_random_uuid(),
+  user_id text not null,
+  amount integer not null,
+  balance_after integer not null,
+  reason text not null,
+  model text,
+  input_tokens integer,
+  output_tokens integer,
+  idempotency_key text unique,
+  metadata jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists coin_transactions_user_created_idx
+  on coin_transactions (user_id, created_at desc);
+
+-- Server-only table: RLS on with no policies, so anon/authenticated clients can neither read nor write it
+-- (the server uses the service role key, which bypasses RLS).
+alter table coin_transactions enable row level security;
+
+create unique index if not exists users_user_id_key on users (user_id);
+
+-- Applies one ledger entry atomically.
+-- status: 'applied'     -> balance changed, new row written
+--         'duplicate'   -> idempotency key already used, nothing changed
+--         'insufficient'-> debit would take the balance below zero, nothing changed
+create or replace function apply_coin_transaction(
+  p_user_id text,
+  p_amount integer,
+  p_reason text,
+  p_model text default null,
+  p_input_tokens integer default null,
+  p_output_tokens integer default null,
+  p_idempotency_key text default null,
+  p_metadata jsonb default '{}'::jsonb,
+  p_allow_negative boolean default false,
+  p_starting_balance integer default 500
+)
+returns table (transaction_id uuid, balance integer, amount integer, status text)
+language plpgsql
+as $$
+declare
+  v_existing coin_transactions%rowtype;
+  v_balance integer;
+  v_inserted integer;
+  v_id uuid;
+begin
+  if p_idempotency_key is not null then
+    select * into v_existing from coin_transactions where idempotency_key = p_idempotency_key;
+    if found then
+      return query
+        select v_existing.id, u.coin_balance, v_existing.amount, 'duplicate'::text
+        from users u where u.user_id = p_user_id;
+      return;
+    end if;
+  end if;
+
+  -- First contact: create the user with the starting balance and record it in the ledger
+  insert into users (user_id, coin_balance, created_at)
+  values (p_user_id, p_starting_balance, now())
+  on conflict (user_id) do nothing;
+  get diagnostics v_inserted = row_count;
+
+  if v_inserted > 0 and p_starting_balance <> 0 then
+    insert into coin_transactions (user_id, amount, balance_after, reason)
+    values (p_user_id, p_starting_balance, p_starting_balance, 'signup_bonus');
+  end if;
+
+  begin
+    -- Row lock + conditional update: concurrent debits cannot both pass the balance check
+    update users
+    set coin_balance = coin_balance + p_amount
+    where user_id = p_user_id
+      and (p_allow_negative or p_amount >= 0 or coin_balance + p_amount >= 0)
+    returning coin_balance into v_balance;
+
+    if not found then
+      return query
+        select null::uuid, u.coin_balance, p_amount, 'insufficient'::text
+        from users u where u.user_id = p_user_id;
+      return;
+    end if;
+
+    insert into coin_transactions (
+      user_id, amount, balance_after, reason, model,
+      input_tokens, output_tokens, idempotency_key, metadata
+    )
+    values (
+      p_user_id, p_amount, v_balance, p_reason, p_model,
+      p_input_tokens, p_output_tokens, p_idempotency_key, coalesce(p_metadata, '{}'::jsonb)
+    )
+    returning id into v_id;
+  exception when unique_violation then
+    -- A concurrent call with the same idempotency key won; the balance update above is rolled back
+    return query
+      select t.id, u.coin_balance, t.amount, 'duplicate'::text
+      from coin_transactions t join users u on u.user_id = t.user_id
+      where t.idempotency_key = p_idempotency_key;
+    return;
+  end;
+
+  return query select v_id, v_balance, p_amount, 'applied'::text;
+end;
+$$;
+
+-- Only the server may move coins: PostgREST exposes functions to anon/authenticated by default.
+revoke execute on function apply_coin_transaction(text, integer, text, text, integer, integer, text, jsonb, boolean, integer)
+  from public, anon, authenticated;
+grant execute on function apply_coin_transaction(text, integer, text, text, integer, integer, text, jsonb, boolean, integer)
+  to service_role;
@@ -0,0 +1,120 @@
+-- Versioned pricing table. The server caches it and picks, per operation, the row whose
+-- [effective_from, effective_until) window contains now; an exact model match wins over '*'.
+-- Flat-priced operations set `coins`; token-priced ones set the USD rates and coin_multiplier.
+create table if not exists pricing (
+  id bigint generated always as identity primary key,
+  version text not null,
+  operation text not null,
+  model text not null default '*',
+  coins integer,
+  input_usd_per_token numeric(12, 8),
+  output_usd_per_token numeric(12, 8),
+  minimum_tokens integer not null default 0,
+  coin_multiplier numeric(10, 2),
+  effective_from timestamptz not null default now(),
+  effective_until timestamptz,
+  created_at timestamptz not null default now(),
+  unique (version, operation, model)
+);
+
+-- The server charges by these rows: RLS on with no policies, so only the service role can read or change them.
+alter table pricing enable row level security;
+
+insert into pricing (version, operation, model, coins, input_usd_per_token, output_usd_per_token, minimum_tokens, coin_multiplier, effective_from)
+values
+  ('2026-10-01', 'realtime_voice', '*', null, 0.00006, 0.00024, 150, 500, '2026-10-01'),
+  ('2026-10-01', 'chat', '*', 1, null, null, 0, null, '2026-10-01'),
+  ('2026-10-01', 'create_images', '*', 40, null, null, 0, null, '2026-10-01'),
+  ('2026-10-01', 'generate_photo', '*', 30, null, null, 0, null, '2026-10-01')
+on conflict (version, operation, model) do nothing;
+
+-- Every ledger row keeps the price version it was charged under
+alter table coin_transactions add column if not exists price_version text;
+
+drop function if exists apply_coin_transaction(text, integer, text, text, integer, integer, text, jsonb, boolean, integer);
+
+create or replace function apply_coin_transaction(
+  p_user_id text,
+  p_amount integer,
+  p_reason text,
+  p_model text default null,
+  p_input_tokens integer default null,
+  p_output_tokens integer default null,
+  p_idempotency_key text default null,
+  p_metadata jsonb default '{}'::jsonb,
+  p_allow_negative boolean default false,
+  p_starting_balance integer default 500,
+  p_price_version text default null
+)
+returns table (transaction_id uuid, balance integer, amount integer, status text)
+language plpgsql
+as $$
+declare
+  v_existing coin_transactions%rowtype;
+  v_balance integer;
+  v_inserted integer;
+  v_id uuid;
+begin
+  if p_idempotency_key is not null then
+    select * into v_existing from coin_transactions where idempotency_key = p_idempotency_key;
+    if found then
+      return query
+        select v_existing.id, u.coin_balance, v_existing.amount, 'duplicate'::text
+        from users u where u.user_id = p_user_id;
+      return;
+    end if;
+  end if;
+
+  -- First contact: create the user with the starting balance and record it in the ledger
+  insert into users (user_id, coin_balance, created_at)
+  values (p_user_id, p_starting_balance, now())
+  on conflict (user_id) do nothing;
+  get diagnostics v_inserted = row_count;
+
+  if v_inserted > 0 and p_starting_balance <> 0 then
+    insert into coin_transactions (user_id, amount, balance_after, reason)
+    values (p_user_id, p_starting_balance, p_starting_balance, 'signup_bonus');
+  end if;
+
+  begin
+    -- Row lock + conditional update: concurrent debits cannot both pass the balance check
+    update users
+    set coin_balance = coin_balance + p_amount
+    where user_id = p_user_id
+      and (p_allow_negative or p_amount >= 0 or coin_balance + p_amount >= 0)
+    returning coin_balance into v_balance;
+
+    if not found then
+      return query
+        select null::uuid, u.coin_balance, p_amount, 'insufficient'::text
+        from users u where u.user_id = p_user_id;
+      return;
+    end if;
+
+    insert into coin_transactions (
+      user_id, amount, balance_after, reason, model,
+      input_tokens, output_tokens, idempotency_key, metadata, price_version
+    )
+    values (
+      p_user_id, p_amount, v_balance, p_reason, p_model,
+      p_input_tokens, p_output_tokens, p_idempotency_key, coalesce(p_metadata, '{}'::jsonb), p_price_version
+    )
+    returning id into v_id;
+  exception when unique_violation then
+    -- A concurrent call with the same idempotency key won; the balance update above is rolled back
+    return query
+      select t.id, u.coin_balance, t.amount, 'duplicate'::text
+      from coin_transactions t join users u on u.user_id = t.user_id
+      where t.idempotency_key = p_idempotency_key;
+    return;
+  end;
+
+  return query select v_id, v_balance, p_amount, 'applied'::text;
+end;
+$$;
+
+-- Re-created above, so the grants start from the defaults again: server only.
+revoke execute on function apply_coin_transaction(text, integer, text, text, integer, integer, text, jsonb, boolean, integer, text)
+  from public, anon, authenticated;
+grant execute on function apply_coin_transaction(text, integer, text, text, integer, integer, text, jsonb, boolean, integer, text)
+  to service_role;
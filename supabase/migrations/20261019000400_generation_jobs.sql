@@ -0,0 +1,25 @@
+-- Asynchronous generation jobs (POST /api/generate-photo with async: true).
+-- Rows in 'queued' / 'running' are resumed when the server starts.
+create table if not exists generation_jobs (
+  id uuid primary key,
+  user_id text not null,
+  character_id text,
+  kind text not null,
+  status text not null default 'queued'
+    check (status in ('queued', 'running', 'succeeded', 'failed')),
+  steps jsonb not null default '{}'::jsonb,
+  input jsonb not null default '{}'::jsonb,
+  result jsonb,
+  error jsonb,
+  charge jsonb,
+  attempts integer not null default 0,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists generation_jobs_user_idx on generation_jobs (user_id, created_at desc);
+create index if not exists generation_jobs_pending_idx on generation_jobs (status)
+  where status in ('queued', 'running');
+
+-- Jobs carry other users' inputs (including base64 profile images): server only, no policies.
+alter table generation_jobs enable row level security;
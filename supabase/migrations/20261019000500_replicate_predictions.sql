@@ -0,0 +1,20 @@
+-- Replicate predictions created by the server (webhook-driven generation).
+-- Links completed predictions back to generation job steps so a job resumed after a
+-- restart reuses the prediction instead of starting (and paying for) a new one.
+create table if not exists replicate_predictions (
+  id text primary key,
+  job_id uuid references generation_jobs (id) on delete cascade,
+  step text,
+  model text not null,
+  status text not null,
+  output jsonb,
+  error text,
+  created_at timestamptz not null default now(),
+  completed_at timestamptz
+);
+
+create index if not exists replicate_predictions_job_step_idx
+  on replicate_predictions (job_id, step, model, created_at desc);
+
+-- Server only: RLS on with no policies.
+alter table replicate_predictions enable row level security;
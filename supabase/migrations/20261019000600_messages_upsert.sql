@@ -0,0 +1,13 @@
+-- Messages are upserted by (user_id, character_id, message_id) instead of delete + re-insert.
+-- Keep only the newest copy of any duplicated message before adding the unique index.
+delete from messages m
+using messages d
+where m.user_id = d.user_id
+  and m.character_id = d.character_id
+  and m.message_id = d.message_id
+  and m.ctid < d.ctid;
+
+create unique index if not exists messages_user_character_message_idx
+  on messages (user_id, character_id, message_id);
+
+alter table messages add column if not exists updated_at timestamptz not null default now();
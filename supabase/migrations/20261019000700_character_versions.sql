@@ -0,0 +1,24 @@
+-- Optimistic concurrency for characters (PATCH /api/characters/:id).
+-- Every update bumps `version`; writers send the version they read and stale writes match no row.
+alter table characters add column if not exists version integer not null default 1;
+alter table characters add column if not exists updated_at timestamptz not null default now();
+
+create unique index if not exists characters_user_character_idx
+  on characters (user_id, character_id);
+
+create or replace function bump_character_version()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.version := old.version + 1;
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+drop trigger if exists characters_bump_version on characters;
+create trigger characters_bump_version
+  before update on characters
+  for each row
+  execute function bump_character_version();
@@ -0,0 +1,96 @@
+-- Change log for GET /api/sync (multi-device sync).
+-- Triggers record every insert/update/delete on characters and messages; deletes become tombstones.
+-- tx_id is the writing transaction: seq values are assigned before commit, so a slow transaction can
+-- commit a lower seq after a reader has moved past it. Reads are ordered by (tx_id, seq) instead and
+-- only see transactions older than every in-flight one (see sync_changes_page).
+create table if not exists sync_changes (
+  seq bigserial primary key,
+  tx_id xid8 not null default pg_current_xact_id(),
+  user_id text not null,
+  entity text not null check (entity in ('character', 'message')),
+  entity_id text not null,
+  character_id text not null,
+  op text not null check (op in ('upsert', 'delete')),
+  changed_at timestamptz not null default now()
+);
+
+create index if not exists sync_changes_user_tx_seq_idx on sync_changes (user_id, tx_id, seq);
+
+-- Read through GET /api/sync only: RLS on with no policies.
+alter table sync_changes enable row level security;
+
+create or replace function record_sync_change()
+returns trigger
+language plpgsql
+-- Runs as the owner so writes by any role can log to the RLS-protected sync_changes
+security definer
+set search_path = public
+as $$
+declare
+  v_row record;
+begin
+  if tg_op = 'DELETE' then
+    v_row := old;
+  else
+    v_row := new;
+  end if;
+
+  -- The function is shared by both tables: plpgsql resolves every v_row.<field> reference
+  -- (even in an untaken CASE branch), and characters has no message_id, so read the id through jsonb.
+  insert into sync_changes (user_id, entity, entity_id, character_id, op)
+  values (
+    v_row.user_id,
+    tg_argv[0],
+    to_jsonb(v_row) ->> (case when tg_argv[0] = 'message' then 'message_id' else 'character_id' end),
+    v_row.character_id,
+    case when tg_op = 'DELETE' then 'delete' else 'upsert' end
+  );
+
+  return null;
+end;
+$$;
+
+drop trigger if exists characters_sync_change on characters;
+create trigger characters_sync_change
+  after insert or update or delete on characters
+  for each row
+  execute function record_sync_change('character');
+
+drop trigger if exists messages_sync_change on messages;
+create trigger messages_sync_change
+  after insert or update or delete on messages
+  for each row
+  execute function record_sync_change('message');
+
+-- Existing data: one upsert entry per row so a first sync from cursor 0 returns everything
+insert into sync_changes (user_id, entity, entity_id, character_id, op)
+select user_id, 'character', character_id, character_id, 'upsert' from characters;
+
+insert into sync_changes (user_id, entity, entity_id, character_id, op)
+select user_id, 'message', message_id, character_id, 'upsert' from messages;
+
+-- One page of committed changes after the (p_after_tx, p_after_seq) cursor. Rows of transactions at or
+-- above the snapshot xmin are held back until every older transaction has finished, so no change can
+-- later appear behind a returned cursor. tx_id is exchanged as text (xid8 has no JSON number mapping).
+create or replace function sync_changes_page(
+  p_user_id text,
+  p_after_tx text,
+  p_after_seq bigint,
+  p_limit integer
+)
+returns table (tx_id text, seq bigint, entity text, entity_id text, character_id text, op text)
+language sql
+stable
+set search_path = public
+as $$
+  select c.tx_id::text, c.seq, c.entity, c.entity_id, c.character_id, c.op
+  from sync_changes c
+  where c.user_id = p_user_id
+    and (c.tx_id, c.seq) > (p_after_tx::xid8, p_after_seq)
+    and c.tx_id < pg_snapshot_xmin(pg_current_snapshot())
+  order by c.tx_id, c.seq
+  limit p_limit;
+$$;
+
+revoke execute on function sync_changes_page(text, text, bigint, integer) from public, anon, authenticated;
+grant execute on function sync_changes_page(text, text, bigint, integer) to service_role;
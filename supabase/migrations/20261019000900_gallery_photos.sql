@@ -0,0 +1,20 @@
+-- Generated photos per character (generate-photo, async jobs and photos requested in chat).
+create table if not exists gallery_photos (
+  id uuid primary key,
+  user_id text not null,
+  character_id text,
+  storage_path text not null,
+  image_url text not null,
+  prompt text,
+  model text,
+  seed bigint,
+  scenario text,
+  job_id uuid,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists gallery_photos_character_idx
+  on gallery_photos (user_id, character_id, created_at desc);
+
+-- Read through the server's gallery endpoints only: RLS on with no policies.
+alter table gallery_photos enable row level security;
@@ -0,0 +1,23 @@
+-- Private bucket mode (STORAGE_PRIVATE_BUCKET=true) stores object paths instead of public URLs in image columns.
+-- The server reads both forms, so this migration is safe to run in either mode.
+-- The character updates bump versions and land in sync_changes, so devices pick up fresh (signed) URLs on their next sync.
+
+update characters
+set profile_image_url = regexp_replace(profile_image_url, '^https?://[^/]+/storage/v1/object/(public|sign)/images/([^?#]*).*$', '\2')
+where profile_image_url ~ '^https?://[^/]+/storage/v1/object/(public|sign)/images/';
+
+update characters
+set full_body_image_url = regexp_replace(full_body_image_url, '^https?://[^/]+/storage/v1/object/(public|sign)/images/([^?#]*).*$', '\2')
+where full_body_image_url ~ '^https?://[^/]+/storage/v1/object/(public|sign)/images/';
+
+update messages
+set image_url = regexp_replace(image_url, '^https?://[^/]+/storage/v1/object/(public|sign)/images/([^?#]*).*$', '\2')
+where image_url ~ '^https?://[^/]+/storage/v1/object/(public|sign)/images/';
+
+update gallery_photos
+set image_url = storage_path
+where image_url ~ '^https?://[^/]+/storage/v1/object/(public|sign)/images/';
+
+-- Once the server runs with STORAGE_PRIVATE_BUCKET=true, make the bucket private
+-- (a server in public mode turns paths into public URLs, which a private bucket refuses):
+--   update storage.buckets set public = false where id = 'images';
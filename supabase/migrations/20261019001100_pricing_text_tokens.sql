@@ -0,0 +1,10 @@
+-- Realtime text tokens are billed at their own rates instead of the audio rates.
+-- Rows without text rates (older versions) keep billing text tokens at the audio rates.
+alter table pricing add column if not exists input_text_usd_per_token numeric(12, 8);
+alter table pricing add column if not exists output_text_usd_per_token numeric(12, 8);
+
+-- New price version; the 2026-10-01 row stays for the ledger history
+insert into pricing (version, operation, model, coins, input_usd_per_token, output_usd_per_token, input_text_usd_per_token, output_text_usd_per_token, minimum_tokens, coin_multiplier, effective_from)
+values
+  ('2026-10-20', 'realtime_voice', '*', null, 0.00006, 0.00024, 0.0000006, 0.0000024, 150, 500, '2026-10-20')
+on conflict (version, operation, model) do nothing;
@@ -0,0 +1,198 @@
+// App Store JWS doğrulaması (x5c zinciri), yerel üretilen sertifika zinciriyle çevrimdışı
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECEIPT_SIGNING_OID = '1.2.840.113635.100.6.11.1';
+const WWDR_INTERMEDIATE_OID = '1.2.840.113635.100.6.2.1';
+
+// ---- Minimal DER / X.509 (yalnızca bu testlerin ihtiyacı kadar) ----
+
+function der(tag, content) {
+  const length = content.length < 0x80
+    ? Buffer.from([content.length])
+    : content.length < 0x100
+      ? Buffer.from([0x81, content.length])
+      : Buffer.from([0x82, content.length >> 8, content.length & 0xff]);
+  return Buffer.concat([Buffer.from([tag]), length, content]);
+}
+
+const sequence = (...items) => der(0x30, Buffer.concat(items));
+const set = (...items) => der(0x31, Buffer.concat(items));
+const explicit = (index, content) => der(0xa0 + index, content);
+const utf8 = text => der(0x0c, Buffer.from(text, 'utf8'));
+const octetString = content => der(0x04, content);
+const bitString = content => der(0x03, Buffer.concat([Buffer.from([0]), content]));
+const boolean = value => der(0x01, Buffer.from([value ? 0xff : 0]));
+
+function integer(bytes) {
+  return der(0x02, bytes[0] & 0x80 ? Buffer.concat([Buffer.from([0]), bytes]) : bytes);
+}
+
+function oid(dotted) {
+  const [first, second, ...rest] = dotted.split('.').map(Number);
+  const bytes = [first * 40 + second];
+  for (const arc of rest) {
+    const chunk = [arc & 0x7f];
+    for (let value = arc >> 7; value > 0; value >>= 7) {
+      chunk.unshift((value & 0x7f) | 0x80);
+    }
+    bytes.push(...chunk);
+  }
+  return der(0x06, Buffer.from(bytes));
+}
+
+function generalizedTime(date) {
+  return der(0x18, Buffer.from(date.toISOString().replace(/[-:T]/g, '').replace(/\.\d+Z$/, 'Z')));
+}
+
+function name(commonName) {
+  return sequence(set(sequence(oid('2.5.4.3'), utf8(commonName))));
+}
+
+/**
+ * Build a DER certificate signed with ecdsa-with-SHA256
+ * @returns {Buffer}
+ */
+function createCertificate({ subject, issuer, publicKey, signingKey, notBefore, notAfter, ca, markers = [] }) {
+  const signatureAlgorithm = sequence(oid('1.2.840.10045.4.3.2'));
+  const basicConstraints = sequence(oid('2.5.29.19'), boolean(true), octetString(ca ? sequence(boolean(true)) : sequence()));
+  // Apple işaret uzantıları: değer NULL
+  const markerExtensions = markers.map(marker => sequence(oid(marker), octetString(Buffer.from([0x05, 0x00]))));
+  const tbs = sequence(
+    explicit(0, integer(Buffer.from([2]))),
+    integer(crypto.randomBytes(8)),
+    signatureAlgorithm,
+    name(issuer),
+    sequence(generalizedTime(notBefore), generalizedTime(notAfter)),
+    name(subject),
+    publicKey.export({ type: 'spki', format: 'der' }),
+    explicit(3, sequence(basicConstraints, ...markerExtensions))
+  );
+  return sequence(tbs, signatureAlgorithm, bitString(crypto.sign('sha256', tbs, signingKey)));
+}
+
+function toPem(certificate) {
+  return `-----BEGIN CERTIFICATE-----\n${certificate.toString('base64').match(/.{1,64}/g).join('\n')}\n-----END CERTIFICATE-----\n`;
+}
+
+/**
+ * Root -> intermediate -> leaf chain, Apple'ın x5c yapısıyla aynı sırada
+ * @returns {{root: Buffer, intermediate: Buffer, leaf: Buffer, leafKey: crypto.KeyObject}}
+ */
+function createChain({ rootName = 'Test Root CA', leafNotAfter, intermediateCa = true, leafMarker = true, intermediateMarker = true } = {}) {
+  const now = Date.now();
+  const notBefore = new Date(now - DAY_MS);
+  const notAfter = new Date(now + 365 * DAY_MS);
+  const rootKey = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const intermediateKey = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const leafKey = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+  const root = createCertificate({
+    subject: rootName, issuer: rootName, publicKey: rootKey.publicKey, signingKey: rootKey.privateKey,
+    notBefore, notAfter, ca: true
+  });
+  const intermediate = createCertificate({
+    subject: 'Test WWDR CA', issuer: rootName, publicKey: intermediateKey.publicKey, signingKey: rootKey.privateKey,
+    notBefore, notAfter, ca: intermediateCa, markers: intermediateMarker ? [WWDR_INTERMEDIATE_OID] : []
+  });
+  const leaf = createCertificate({
+    subject: 'Test App Store Signing', issuer: 'Test WWDR CA', publicKey: leafKey.publicKey, signingKey: intermediateKey.privateKey,
+    notBefore, notAfter: leafNotAfter || notAfter, ca: false, markers: leafMarker ? [RECEIPT_SIGNING_OID] : []
+  });
+
+  return { root, intermediate, leaf, leafKey: leafKey.privateKey };
+}
+
+function signJws(payload, { chain, x5c = [chain.leaf, chain.intermediate, chain.root], key = chain.leafKey, alg = 'ES256' }) {
+  const header = { alg, x5c: x5c.map(certificate => certificate.toString('base64')) };
+  const input = `${Buffer.from(JSON.stringify(header)).toString('base64url')}.${Buffer.from(JSON.stringify(payload)).toString('base64url')}`;
+  const signature = crypto.sign('sha256', Buffer.from(input), { key, dsaEncoding: 'ieee-p1363' });
+  return `${input}.${signature.toString('base64url')}`;
+}
+
+function transaction(overrides = {}) {
+  return {
+    transactionId: '2000000000000001',
+    productId: 'coins_100',
+    bundleId: 'com.example.app',
+    environment: 'Sandbox',
+    signedDate: Date.now(),
+    ...overrides
+  };
+}
+
+// ---- Testler ----
+
+let trusted;
+let verifyAppleSignedPayload;
+
+before(() => {
+  trusted = createChain();
+  // server.js kök sertifikaları ilk doğrulamada env'den okur
+  process.env.APPLE_ROOT_CA_PEM = toPem(trusted.root);
+  ({ verifyAppleSignedPayload } = require('../server'));
+});
+
+test('accepts a valid chain ending at the trusted root', () => {
+  const payload = verifyAppleSignedPayload(signJws(transaction(), { chain: trusted }));
+  assert.equal(payload.transactionId, '2000000000000001');
+});
+
+test('accepts a chain that stops at an intermediate issued by the trusted root', () => {
+  const jws = signJws(transaction(), { chain: trusted, x5c: [trusted.leaf, trusted.intermediate] });
+  assert.equal(verifyAppleSignedPayload(jws).productId, 'coins_100');
+});
+
+test('rejects a chain from an untrusted root', () => {
+  const untrusted = createChain();
+  assert.throws(() => verifyAppleSignedPayload(signJws(transaction(), { chain: untrusted })), /does not end at a trusted root/);
+});
+
+test('rejects an untrusted root that copies the trusted root name', () => {
+  const impostor = createChain({ rootName: 'Test Root CA' });
+  assert.throws(
+    () => verifyAppleSignedPayload(signJws(transaction(), { chain: impostor, x5c: [impostor.leaf, impostor.intermediate] })),
+    /does not end at a trusted root/
+  );
+});
+
+test('rejects an expired leaf certificate', () => {
+  const chain = createChain({ leafNotAfter: new Date(Date.now() - 60 * 60 * 1000) });
+  assert.throws(() => verifyAppleSignedPayload(signJws(transaction(), { chain })), /Certificate 0 is not valid/);
+});
+
+test('rejects a tampered payload', () => {
+  const [header, , signature] = signJws(transaction(), { chain: trusted }).split('.');
+  const forged = Buffer.from(JSON.stringify(transaction({ productId: 'coins_10000' }))).toString('base64url');
+  assert.throws(() => verifyAppleSignedPayload(`${header}.${forged}.${signature}`), /Invalid JWS signature/);
+});
+
+test('rejects a payload signed by a key other than the leaf', () => {
+  const otherKey = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).privateKey;
+  assert.throws(() => verifyAppleSignedPayload(signJws(transaction(), { chain: trusted, key: otherKey })), /Invalid JWS signature/);
+});
+
+test('rejects a chain whose intermediate is not a CA', () => {
+  const chain = createChain({ intermediateCa: false });
+  const jws = signJws(transaction(), { chain, x5c: [chain.leaf, chain.intermediate, trusted.root] });
+  assert.throws(() => verifyAppleSignedPayload(jws), /Certificate 1 is not a CA certificate/);
+});
+
+test('rejects a leaf without the App Store signing extension', () => {
+  const chain = createChain({ leafMarker: false });
+  const jws = signJws(transaction(), { chain, x5c: [chain.leaf, chain.intermediate, trusted.root] });
+  assert.throws(() => verifyAppleSignedPayload(jws), /Leaf certificate is not an App Store signing certificate/);
+});
+
+test('rejects an intermediate without the WWDR extension', () => {
+  const chain = createChain({ intermediateMarker: false });
+  const jws = signJws(transaction(), { chain, x5c: [chain.leaf, chain.intermediate, trusted.root] });
+  assert.throws(() => verifyAppleSignedPayload(jws), /Intermediate certificate is not an Apple WWDR certificate/);
+});
+
+test('rejects non-ES256 algorithms and missing chains', () => {
+  assert.throws(() => verifyAppleSignedPayload(signJws(transaction(), { chain: trusted, alg: 'none' })), /Unsupported JWS algorithm: none/);
+  assert.throws(() => verifyAppleSignedPayload(signJws(transaction(), { chain: trusted, x5c: [trusted.leaf] })), /missing its certificate chain/);
+});
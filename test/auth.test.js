@@ -0,0 +1,170 @@
+// Supabase JWT doğrulaması: HS256 (paylaşılan secret) ve JWKS (RS256/ES256), yerel üretilen anahtarlarla
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+
+const HS256_SECRET = 'test-jwt-secret';
+const rsaKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const ecKey = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const otherEcKey = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+let jwksServer;
+let jwksRequests = 0;
+let verifySupabaseJwt;
+let app;
+
+/**
+ * Build a signed JWT
+ * @param {object} header
+ * @param {object} payload
+ * @param {function(Buffer): Buffer} sign - Signs the `header.payload` input
+ * @returns {string}
+ */
+function signJwt(header, payload, sign) {
+  const input = `${Buffer.from(JSON.stringify(header)).toString('base64url')}.${Buffer.from(JSON.stringify(payload)).toString('base64url')}`;
+  return `${input}.${sign(Buffer.from(input)).toString('base64url')}`;
+}
+
+function hs256(payload, secret = HS256_SECRET) {
+  return signJwt({ alg: 'HS256', typ: 'JWT' }, payload, input => crypto.createHmac('sha256', secret).update(input).digest());
+}
+
+function rs256(payload, kid = 'rsa-1', key = rsaKey.privateKey) {
+  return signJwt({ alg: 'RS256', typ: 'JWT', kid }, payload, input => crypto.sign('sha256', input, key));
+}
+
+function es256(payload, kid = 'ec-1', key = ecKey.privateKey) {
+  return signJwt({ alg: 'ES256', typ: 'JWT', kid }, payload, input => crypto.sign('sha256', input, { key, dsaEncoding: 'ieee-p1363' }));
+}
+
+function claims(overrides = {}) {
+  return {
+    sub: 'user-1',
+    aud: 'authenticated',
+    exp: Math.floor(Date.now() / 1000) + 3600,
+    ...overrides
+  };
+}
+
+before(async () => {
+  const keys = [
+    { ...rsaKey.publicKey.export({ format: 'jwk' }), kid: 'rsa-1', alg: 'RS256', use: 'sig' },
+    { ...ecKey.publicKey.export({ format: 'jwk' }), kid: 'ec-1', alg: 'ES256', use: 'sig' }
+  ];
+  jwksServer = http.createServer((req, res) => {
+    jwksRequests++;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ keys }));
+  });
+  await new Promise(resolve => jwksServer.listen(0, '127.0.0.1', resolve));
+
+  // server.js yapılandırmayı yüklenirken okur
+  process.env.SUPABASE_JWT_SECRET = HS256_SECRET;
+  process.env.SUPABASE_JWKS_URL = `http://127.0.0.1:${jwksServer.address().port}/auth/v1/.well-known/jwks.json`;
+  ({ verifySupabaseJwt, app } = require('../server'));
+});
+
+after(() => {
+  jwksServer.close();
+});
+
+test('HS256: accepts a valid token', async () => {
+  const payload = await verifySupabaseJwt(hs256(claims()));
+  assert.equal(payload.sub, 'user-1');
+});
+
+test('HS256: rejects an expired token', async () => {
+  await assert.rejects(verifySupabaseJwt(hs256(claims({ exp: Math.floor(Date.now() / 1000) - 10 }))), /Token expired/);
+});
+
+test('HS256: rejects a token without exp', async () => {
+  await assert.rejects(verifySupabaseJwt(hs256(claims({ exp: undefined }))), /Token expired/);
+});
+
+test('HS256: rejects a wrong audience', async () => {
+  await assert.rejects(verifySupabaseJwt(hs256(claims({ aud: 'anon' }))), /Invalid token audience/);
+});
+
+test('HS256: rejects a token signed with another secret', async () => {
+  await assert.rejects(verifySupabaseJwt(hs256(claims(), 'other-secret')), /Invalid token signature/);
+});
+
+test('HS256: rejects a tampered payload', async () => {
+  const [header, , signature] = hs256(claims()).split('.');
+  const forged = Buffer.from(JSON.stringify(claims({ sub: 'user-2' }))).toString('base64url');
+  await assert.rejects(verifySupabaseJwt(`${header}.${forged}.${signature}`), /Invalid token signature/);
+});
+
+test('rejects alg:none', async () => {
+  const token = signJwt({ alg: 'none', typ: 'JWT' }, claims(), () => Buffer.alloc(0));
+  await assert.rejects(verifySupabaseJwt(token), /Unsupported token algorithm: none/);
+});
+
+test('rejects a malformed token', async () => {
+  await assert.rejects(verifySupabaseJwt('not-a-jwt'), /Malformed token/);
+});
+
+test('JWKS: accepts valid RS256 and ES256 tokens', async () => {
+  assert.equal((await verifySupabaseJwt(rs256(claims()))).sub, 'user-1');
+  assert.equal((await verifySupabaseJwt(es256(claims({ sub: 'user-2' })))).sub, 'user-2');
+});
+
+test('JWKS: caches the key set', async () => {
+  const requestsBefore = jwksRequests;
+  await verifySupabaseJwt(es256(claims()));
+  await verifySupabaseJwt(rs256(claims()));
+  assert.equal(jwksRequests, requestsBefore);
+});
+
+test('JWKS: rejects an expired token', async () => {
+  await assert.rejects(verifySupabaseJwt(es256(claims({ exp: Math.floor(Date.now() / 1000) - 10 }))), /Token expired/);
+});
+
+test('JWKS: rejects a wrong audience', async () => {
+  await assert.rejects(verifySupabaseJwt(rs256(claims({ aud: ['other'] }))), /Invalid token audience/);
+});
+
+test('JWKS: rejects a token signed by a key outside the set', async () => {
+  await assert.rejects(verifySupabaseJwt(es256(claims(), 'ec-1', otherEcKey.privateKey)), /Invalid token signature/);
+});
+
+test('JWKS: rejects an unknown kid', async () => {
+  await assert.rejects(verifySupabaseJwt(es256(claims(), 'unknown', otherEcKey.privateKey)), /No signing key found/);
+});
+
+test('JWKS: a token without kid uses a key that fits its algorithm', async () => {
+  const rsaNoKid = signJwt({ alg: 'RS256', typ: 'JWT' }, claims(), input => crypto.sign('sha256', input, rsaKey.privateKey));
+  const ecNoKid = signJwt({ alg: 'ES256', typ: 'JWT' }, claims({ sub: 'user-2' }), input => crypto.sign('sha256', input, { key: ecKey.privateKey, dsaEncoding: 'ieee-p1363' }));
+  assert.equal((await verifySupabaseJwt(rsaNoKid)).sub, 'user-1');
+  assert.equal((await verifySupabaseJwt(ecNoKid)).sub, 'user-2');
+
+  const forged = signJwt({ alg: 'ES256', typ: 'JWT' }, claims(), input => crypto.sign('sha256', input, { key: otherEcKey.privateKey, dsaEncoding: 'ieee-p1363' }));
+  await assert.rejects(verifySupabaseJwt(forged), /Invalid token signature/);
+});
+
+test('JWKS: rejects a kid whose key does not fit the token algorithm', async () => {
+  await assert.rejects(verifySupabaseJwt(rs256(claims(), 'ec-1')), /No signing key found for kid ec-1/);
+  await assert.rejects(verifySupabaseJwt(es256(claims(), 'rsa-1')), /No signing key found for kid rsa-1/);
+});
+
+test('requireAuth: /api rejects missing, alg:none and accepts valid tokens', async () => {
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/api/traits`;
+
+  try {
+    assert.equal((await fetch(url)).status, 401);
+
+    const none = signJwt({ alg: 'none' }, claims(), () => Buffer.alloc(0));
+    assert.equal((await fetch(url, { headers: { Authorization: `Bearer ${none}` } })).status, 401);
+
+    const response = await fetch(url, { headers: { Authorization: `Bearer ${hs256(claims())}` } });
+    assert.notEqual(response.status, 401);
+
+    const mismatch = await fetch(`${url}?userId=user-2`, { headers: { Authorization: `Bearer ${hs256(claims())}` } });
+    assert.equal(mismatch.status, 403);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,135 @@
+// Keyset sayfalama cursor'ları: encode/decode, bozuk cursor'lar ve (timestamp, id) eşitlik ayrımı
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { encodePageCursor, decodePageCursor, pageCursorCondition, applyPageCursor } = require('../server');
+
+const MESSAGES = { sortColumn: 'timestamp', idColumn: 'message_id' };
+
+/**
+ * Split on commas outside parentheses and quotes
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '\\') {
+      i++;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (!quoted && char === '(') {
+      depth++;
+    } else if (!quoted && char === ')') {
+      depth--;
+    } else if (!quoted && depth === 0 && char === ',') {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts;
+}
+
+/**
+ * Evaluate the PostgREST `or=(...)` body from pageCursorCondition against a row
+ * (only the subset it produces: column.op."value" and and(...))
+ * @param {string} condition
+ * @param {object} row
+ * @returns {boolean}
+ */
+function matches(condition, row) {
+  return splitTopLevel(condition).some(part => {
+    if (part.startsWith('and(')) {
+      return splitTopLevel(part.slice(4, -1)).every(inner => matches(inner, row));
+    }
+    const [, column, op, quoted] = part.match(/^(\w+)\.(lt|lte|gt|gte|eq)\.(".*")$/);
+    const value = JSON.parse(quoted);
+    const actual = row[column];
+    return { lt: actual < value, lte: actual <= value, gt: actual > value, gte: actual >= value, eq: actual === value }[op];
+  });
+}
+
+test('encodePageCursor/decodePageCursor round-trip the sort value and id', () => {
+  const cursor = encodePageCursor('2026-10-01T12:00:00.123456+00:00', 'msg-1');
+  assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+  assert.deepEqual(decodePageCursor(cursor), { sortValue: '2026-10-01T12:00:00.123456+00:00', id: 'msg-1' });
+});
+
+test('decodePageCursor accepts legacy plain timestamps without an id', () => {
+  assert.deepEqual(decodePageCursor('2026-10-01T12:00:00Z'), { sortValue: '2026-10-01T12:00:00Z', id: null });
+  assert.deepEqual(decodePageCursor('2026-10-01 12:00:00+00'), { sortValue: '2026-10-01 12:00:00+00', id: null });
+});
+
+test('decodePageCursor rejects malformed cursors', () => {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  for (const cursor of [
+    undefined, null, '', 'not-a-cursor', '12345', ['2026-10-01T12:00:00Z'],
+    Buffer.from('{"broken').toString('base64url'),
+    encode({ sortValue: '2026-10-01T12:00:00Z', id: 'a' }),
+    encode(['2026-10-01T12:00:00Z']),
+    encode(['2026-10-01T12:00:00Z', 'a', 'b']),
+    encode(['2026-10-01T12:00:00Z', 42]),
+    encode(['2026-10-01T12:00:00Z', ''])
+  ]) {
+    assert.equal(decodePageCursor(cursor), null, String(cursor));
+  }
+});
+
+test('decodePageCursor rejects tampered sort values', () => {
+  assert.equal(decodePageCursor(encodePageCursor('2026-10-01T12:00:00Z,user_id.neq.x', 'a')), null);
+  assert.equal(decodePageCursor(encodePageCursor('2026-13-45T99:99:99Z', 'a')), null);
+  assert.equal(decodePageCursor('2026-10-01T12:00:00Z),user_id.neq.(x'), null);
+});
+
+test('pageCursorCondition keeps a tampered id inside one quoted value', () => {
+  const condition = pageCursorCondition(encodePageCursor('2026-10-01T12:00:00Z', 'x"),user_id.neq.("y'), { ...MESSAGES, op: 'lt' });
+  assert.equal(condition, 'timestamp.lt."2026-10-01T12:00:00Z",and(timestamp.eq."2026-10-01T12:00:00Z",message_id.lt."x\\"),user_id.neq.(\\"y")');
+  assert.equal(splitTopLevel(condition).length, 2);
+});
+
+test('pageCursorCondition throws on an invalid cursor', () => {
+  assert.throws(() => pageCursorCondition('garbage', { ...MESSAGES, op: 'lt' }), /Invalid page cursor/);
+});
+
+test('pageCursorCondition breaks timestamp ties by id', () => {
+  const cursor = encodePageCursor('2026-10-01T12:00:00Z', 'm5');
+  assert.equal(pageCursorCondition(cursor, { ...MESSAGES, op: 'lt' }), 'timestamp.lt."2026-10-01T12:00:00Z",and(timestamp.eq."2026-10-01T12:00:00Z",message_id.lt."m5")');
+  assert.equal(pageCursorCondition(cursor, { ...MESSAGES, op: 'gt' }), 'timestamp.gt."2026-10-01T12:00:00Z",and(timestamp.eq."2026-10-01T12:00:00Z",message_id.gt."m5")');
+  assert.equal(pageCursorCondition(cursor, { ...MESSAGES, op: 'lte' }), 'timestamp.lt."2026-10-01T12:00:00Z",and(timestamp.eq."2026-10-01T12:00:00Z",message_id.lte."m5")');
+  assert.equal(pageCursorCondition('2026-10-01T12:00:00Z', { ...MESSAGES, op: 'lt' }), 'timestamp.lt."2026-10-01T12:00:00Z"');
+});
+
+test('applyPageCursor pages through rows sharing a timestamp without skipping or repeating', () => {
+  // Aynı timestamp'li 5 mesaj + öncesi/sonrası
+  const rows = [
+    { timestamp: '2026-10-01T11:00:00Z', message_id: 'a' },
+    ...['m1', 'm2', 'm3', 'm4', 'm5'].map(id => ({ timestamp: '2026-10-01T12:00:00Z', message_id: id })),
+    { timestamp: '2026-10-01T13:00:00Z', message_id: 'z' }
+  ];
+  const descending = [...rows].sort((a, b) => b.timestamp.localeCompare(a.timestamp) || b.message_id.localeCompare(a.message_id));
+
+  const seen = [];
+  let cursor = null;
+  for (let page = 0; page < 10; page++) {
+    let condition = null;
+    const query = { or: value => { condition = value; return query; } };
+    if (cursor) {
+      assert.equal(applyPageCursor(query, cursor, { ...MESSAGES, op: 'lt' }), query);
+    }
+
+    const pageRows = descending.filter(row => !condition || matches(condition, row)).slice(0, 2);
+    if (pageRows.length === 0) {
+      break;
+    }
+    seen.push(...pageRows.map(row => row.message_id));
+    const last = pageRows[pageRows.length - 1];
+    cursor = encodePageCursor(last.timestamp, last.message_id);
+  }
+
+  assert.deepEqual(seen, ['z', 'm5', 'm4', 'm3', 'm2', 'm1', 'a']);
+});
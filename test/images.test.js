@@ -0,0 +1,59 @@
+// Görsel formatı tespiti (magic byte'lar; dosya adı / Content-Type'a bakılmaz)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { sniffImageType } = require('../server');
+
+/**
+ * Pad a header to the 12 bytes sniffImageType needs
+ * @param {number[]|string} header - Bytes or ASCII text
+ * @returns {Buffer}
+ */
+function withHeader(header) {
+  const bytes = typeof header === 'string' ? Buffer.from(header, 'ascii') : Buffer.from(header);
+  return Buffer.concat([bytes, Buffer.alloc(Math.max(0, 16 - bytes.length))]);
+}
+
+/**
+ * ISO BMFF file start: box size + "ftyp" + major brand
+ * @param {string} brand
+ * @returns {Buffer}
+ */
+function ftyp(brand) {
+  return withHeader(Buffer.concat([Buffer.from([0, 0, 0, 0x18]), Buffer.from(`ftyp${brand}`, 'ascii')]));
+}
+
+test('detects JPEG, PNG, GIF and WebP', () => {
+  assert.equal(sniffImageType(withHeader([0xff, 0xd8, 0xff, 0xe0])), 'image/jpeg');
+  assert.equal(sniffImageType(withHeader([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])), 'image/png');
+  assert.equal(sniffImageType(withHeader('GIF89a')), 'image/gif');
+  assert.equal(sniffImageType(withHeader('RIFF\0\0\0\0WEBP')), 'image/webp');
+});
+
+test('detects HEIC, HEIF and AVIF by ftyp brand', () => {
+  assert.equal(sniffImageType(ftyp('heic')), 'image/heic');
+  assert.equal(sniffImageType(ftyp('hevc')), 'image/heic');
+  assert.equal(sniffImageType(ftyp('mif1')), 'image/heif');
+  assert.equal(sniffImageType(ftyp('avif')), 'image/avif');
+});
+
+test('rejects other ISO BMFF files (e.g. MP4 video)', () => {
+  assert.equal(sniffImageType(ftyp('isom')), null);
+  assert.equal(sniffImageType(ftyp('mp42')), null);
+});
+
+test('rejects RIFF containers that are not WebP', () => {
+  assert.equal(sniffImageType(withHeader('RIFF\0\0\0\0WAVE')), null);
+});
+
+test('rejects non-images regardless of content', () => {
+  assert.equal(sniffImageType(withHeader('<svg xmlns="')), null);
+  assert.equal(sniffImageType(withHeader('%PDF-1.7')), null);
+  assert.equal(sniffImageType(withHeader([0x50, 0x4b, 0x03, 0x04])), null);
+});
+
+test('rejects empty, missing and truncated buffers', () => {
+  assert.equal(sniffImageType(null), null);
+  assert.equal(sniffImageType(Buffer.alloc(0)), null);
+  assert.equal(sniffImageType(Buffer.from([0xff, 0xd8, 0xff])), null);
+});
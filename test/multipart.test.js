@@ -0,0 +1,118 @@
+// multipart/form-data middleware: alan ve dosya limitleri, beklenmeyen dosya alanları
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const MAX_FILE_BYTES = 1024;
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const { multipartUpload } = require('../server');
+
+  const app = express();
+  app.use(express.json());
+  const echo = (req, res) => res.json({
+    body: req.body,
+    files: Object.fromEntries(Object.entries(req.files || {}).map(([name, file]) => [name, { size: file.buffer.length, mimeType: file.mimeType, filename: file.filename }]))
+  });
+  app.post('/single', multipartUpload({ maxFiles: 1, fileFields: ['profileImage'], maxFileBytes: MAX_FILE_BYTES, maxFields: 3 }), echo);
+  app.post('/prefixed', multipartUpload({ maxFiles: 2, fileFields: name => name.startsWith('image:'), maxFileBytes: MAX_FILE_BYTES }), echo);
+
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+/**
+ * POST a multipart form
+ * @param {string} path
+ * @param {function(FormData): void} build
+ * @returns {Promise<{status: number, body: object}>}
+ */
+async function postForm(path, build) {
+  const form = new FormData();
+  build(form);
+  const response = await fetch(`${baseUrl}${path}`, { method: 'POST', body: form });
+  return { status: response.status, body: await response.json() };
+}
+
+const file = (size, type = 'image/jpeg') => new Blob([Buffer.alloc(size, 1)], { type });
+
+test('parses text fields into req.body and files into req.files', async () => {
+  const { status, body } = await postForm('/single', form => {
+    form.append('characterId', 'c1');
+    form.append('profileImage', file(MAX_FILE_BYTES), 'me.jpg');
+  });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.body, { characterId: 'c1' });
+  assert.deepEqual(body.files.profileImage, { size: MAX_FILE_BYTES, mimeType: 'image/jpeg', filename: 'me.jpg' });
+});
+
+test('rejects a file over maxFileBytes with 413', async () => {
+  const { status, body } = await postForm('/single', form => form.append('profileImage', file(MAX_FILE_BYTES + 1), 'big.jpg'));
+  assert.equal(status, 413);
+  assert.match(body.error, /File profileImage exceeds 1024 bytes/);
+});
+
+test('rejects more files than maxFiles with 413', async () => {
+  const { status, body } = await postForm('/prefixed', form => {
+    form.append('image:1', file(10), '1.jpg');
+    form.append('image:2', file(10), '2.jpg');
+    form.append('image:3', file(10), '3.jpg');
+  });
+  assert.equal(status, 413);
+  assert.match(body.error, /At most 2 file\(s\) per request/);
+});
+
+test('rejects more fields than maxFields with 413', async () => {
+  const { status, body } = await postForm('/single', form => {
+    for (let i = 0; i < 4; i++) {
+      form.append(`field${i}`, 'x');
+    }
+  });
+  assert.equal(status, 413);
+  assert.match(body.error, /At most 3 fields per request/);
+});
+
+test('accepts a field value at the field size limit and rejects one over it with 413', async () => {
+  const atLimit = await postForm('/single', form => form.append('messages', 'x'.repeat(1024 * 1024)));
+  assert.equal(atLimit.status, 200);
+  assert.equal(atLimit.body.body.messages.length, 1024 * 1024);
+
+  const { status, body } = await postForm('/single', form => form.append('messages', 'x'.repeat(1024 * 1024 + 1)));
+  assert.equal(status, 413);
+  assert.match(body.error, /Field messages exceeds/);
+});
+
+test('rejects file parts under unexpected field names with 400', async () => {
+  const unexpected = await postForm('/single', form => form.append('avatar', file(10), 'a.jpg'));
+  assert.equal(unexpected.status, 400);
+  assert.match(unexpected.body.error, /Unexpected file field avatar/);
+
+  const unprefixed = await postForm('/prefixed', form => form.append('profileImage', file(10), 'a.jpg'));
+  assert.equal(unprefixed.status, 400);
+
+  const prefixed = await postForm('/prefixed', form => form.append('image:m1', file(10), 'a.jpg'));
+  assert.equal(prefixed.status, 200);
+  assert.equal(prefixed.body.files['image:m1'].size, 10);
+});
+
+test('rejects a multipart body without a boundary with 400', async () => {
+  const response = await fetch(`${baseUrl}/single`, { method: 'POST', headers: { 'Content-Type': 'multipart/form-data' }, body: 'x' });
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).error, /Invalid multipart body/);
+});
+
+test('passes JSON bodies through untouched', async () => {
+  const response = await fetch(`${baseUrl}/single`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ characterId: 'c1' }) });
+  const body = await response.json();
+  assert.equal(response.status, 200);
+  assert.deepEqual(body, { body: { characterId: 'c1' }, files: {} });
+});
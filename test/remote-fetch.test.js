@@ -0,0 +1,133 @@
+// Uzak görsel indirme (SSRF korumaları): DNS ve HTTPS istekleri taklit edilir, ağa çıkılmaz
+const { test, before, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const https = require('https');
+const { EventEmitter } = require('events');
+const { PassThrough } = require('stream');
+
+const MAX_BYTES = 1024;
+
+let resolvePublicAddress;
+let fetchRemoteImage;
+
+/**
+ * Fake DNS: hostname -> address (IP literals resolve to themselves)
+ * @param {object} records
+ */
+function mockDns(records) {
+  mock.method(dns.promises, 'lookup', async (hostname) => {
+    const address = records[hostname] || hostname;
+    return [{ address, family: address.includes(':') ? 6 : 4 }];
+  });
+}
+
+/**
+ * Fake https.get: `respond(url)` returns { statusCode, headers, chunks } for each request
+ * @param {function(URL): object} respond
+ * @returns {Array<{url: URL, options: object}>} - Requests made
+ */
+function mockHttps(respond) {
+  const requests = [];
+  mock.method(https, 'get', (url, options, callback) => {
+    requests.push({ url, options });
+    const request = new EventEmitter();
+    request.setTimeout = () => request;
+    request.destroy = () => {};
+
+    const { statusCode = 200, headers = {}, chunks = [] } = respond(url);
+    const response = new PassThrough();
+    Object.assign(response, { statusCode, headers });
+    process.nextTick(() => {
+      callback(response);
+      chunks.forEach(chunk => response.write(chunk));
+      response.end();
+    });
+    return request;
+  });
+  return requests;
+}
+
+before(() => {
+  // server.js yapılandırmayı yüklenirken okur
+  process.env.REMOTE_IMAGE_HOSTS = 'replicate.delivery';
+  process.env.REMOTE_IMAGE_MAX_BYTES = String(MAX_BYTES);
+  ({ resolvePublicAddress, fetchRemoteImage } = require('../server'));
+});
+
+beforeEach(() => {
+  mockDns({
+    'cdn.replicate.delivery': '203.0.113.10',
+    'internal.replicate.delivery': '10.0.0.5',
+    'metadata.replicate.delivery': '169.254.169.254'
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('resolvePublicAddress: refuses private, loopback and link-local addresses', async () => {
+  for (const address of ['10.1.2.3', '172.16.0.1', '192.168.1.1', '127.0.0.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1']) {
+    await assert.rejects(resolvePublicAddress(address), /resolves to a private address/, address);
+  }
+});
+
+test('resolvePublicAddress: refuses a host with any private address', async () => {
+  mock.restoreAll();
+  mock.method(dns.promises, 'lookup', async () => [{ address: '203.0.113.10', family: 4 }, { address: '127.0.0.1', family: 4 }]);
+  await assert.rejects(resolvePublicAddress('cdn.replicate.delivery'), /resolves to a private address/);
+});
+
+test('resolvePublicAddress: returns a public address', async () => {
+  assert.deepEqual(await resolvePublicAddress('cdn.replicate.delivery'), { address: '203.0.113.10', family: 4 });
+});
+
+test('fetchRemoteImage: downloads from an allowlisted host, pinned to the resolved address', async () => {
+  const requests = mockHttps(() => ({ headers: { 'content-type': 'image/png' }, chunks: [Buffer.from('png')] }));
+
+  const { buffer, contentType } = await fetchRemoteImage('https://cdn.replicate.delivery/out.png');
+  assert.equal(buffer.toString(), 'png');
+  assert.equal(contentType, 'image/png');
+
+  const pinned = await new Promise(resolve => requests[0].options.lookup('cdn.replicate.delivery', {}, (error, address) => resolve(address)));
+  assert.equal(pinned, '203.0.113.10');
+});
+
+test('fetchRemoteImage: refuses hosts outside the allowlist, plain HTTP and private hosts', async () => {
+  const requests = mockHttps(() => ({ headers: { 'content-type': 'image/png' } }));
+
+  await assert.rejects(fetchRemoteImage('https://example.com/a.png'), /not on the allowlist/);
+  await assert.rejects(fetchRemoteImage('http://cdn.replicate.delivery/a.png'), /non-HTTPS/);
+  await assert.rejects(fetchRemoteImage('https://internal.replicate.delivery/a.png'), /private address/);
+  assert.equal(requests.length, 0);
+});
+
+test('fetchRemoteImage: refuses a redirect to a private address', async () => {
+  const requests = mockHttps(url => url.hostname === 'cdn.replicate.delivery'
+    ? { statusCode: 302, headers: { location: 'https://metadata.replicate.delivery/latest/meta-data/' } }
+    : { headers: { 'content-type': 'image/png' }, chunks: [Buffer.from('secret')] });
+
+  await assert.rejects(fetchRemoteImage('https://cdn.replicate.delivery/out.png'), /private address/);
+  assert.equal(requests.length, 1);
+});
+
+test('fetchRemoteImage: refuses a redirect to a raw private IP', async () => {
+  mockHttps(() => ({ statusCode: 301, headers: { location: 'https://169.254.169.254/latest/meta-data/' } }));
+  await assert.rejects(fetchRemoteImage('https://cdn.replicate.delivery/out.png'), /not on the allowlist/);
+});
+
+test('fetchRemoteImage: rejects an oversize body by Content-Length', async () => {
+  mockHttps(() => ({ headers: { 'content-type': 'image/jpeg', 'content-length': String(MAX_BYTES + 1) } }));
+  await assert.rejects(fetchRemoteImage('https://cdn.replicate.delivery/big.jpg'), /Image too large/);
+});
+
+test('fetchRemoteImage: rejects an oversize streamed body without Content-Length', async () => {
+  mockHttps(() => ({ headers: { 'content-type': 'image/jpeg' }, chunks: [Buffer.alloc(MAX_BYTES / 2), Buffer.alloc(MAX_BYTES / 2), Buffer.alloc(1)] }));
+  await assert.rejects(fetchRemoteImage('https://cdn.replicate.delivery/big.jpg'), /Image too large/);
+});
+
+test('fetchRemoteImage: rejects non-image content types', async () => {
+  mockHttps(() => ({ headers: { 'content-type': 'text/html' }, chunks: [Buffer.from('<html>')] }));
+  await assert.rejects(fetchRemoteImage('https://cdn.replicate.delivery/out.png'), /non-image content type: text\/html/);
+});